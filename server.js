@@ -1,7 +1,16 @@
 require('dotenv').config();
 const express = require('express');
-const { scrapeWebsite } = require('./src/controllers/scrapeController');
+const { scrapeWebsite, exportStyles } = require('./src/controllers/scrapeController');
+const { crawlWebsite } = require('./src/controllers/crawlController');
+const { compareWebsites } = require('./src/controllers/compareController');
+const { analyzeDocument } = require('./src/controllers/analyzeController');
+const { createSnapshot, listSnapshots, getSnapshot, diffSnapshots, setBaseline } = require('./src/controllers/snapshotController');
+const { createJob, getJob, cancelJob } = require('./src/controllers/jobController');
+const { getArtifact } = require('./src/controllers/artifactController');
+const { requireAdminToken, getCacheStats, listCacheEntries, purgeCache, getProxyStats } = require('./src/controllers/adminController');
+const { initJobs, shutdownJobs } = require('./src/services/jobService');
 const { logMemoryUsage, scheduleMemoryCleanup } = require('./src/utils/memoryUtils');
+const browserPool = require('./src/utils/browserPool');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -11,10 +20,17 @@ const SERVER_TIMEOUT = parseInt(process.env.SERVER_TIMEOUT || 120000);
 // CORS middleware
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Admin-Token');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
   next();
 });
 
+// Submitted documents and zipped assets need a larger body limit than other requests
+app.use('/analyze', express.json({ limit: process.env.ANALYZE_MAX_BODY || '20mb' }));
+
+// Parse JSON request bodies
+app.use(express.json());
+
 // Set timeout for all requests
 app.use((req, res, next) => {
   res.setTimeout(SERVER_TIMEOUT, () => {
@@ -41,7 +57,8 @@ app.get('/', (req, res) => {
   res.json({ 
     status: 'ok', 
     message: 'Style Finder API is running',
-    memory: process.memoryUsage()
+    memory: process.memoryUsage(),
+    browserPool: browserPool.getPoolStats()
   });
 });
 
@@ -53,10 +70,54 @@ const asyncHandler = fn => (req, res, next) => {
 // Scrape endpoint
 app.get('/scrape', asyncHandler(scrapeWebsite));
 
+// Design token export endpoint
+app.get('/export', asyncHandler(exportStyles));
+
+// Submitted HTML and CSS analysis endpoint
+app.post('/analyze', asyncHandler(analyzeDocument));
+
+// Site comparison endpoint
+app.get('/compare', asyncHandler(compareWebsites));
+
+// Multi-page crawl endpoint
+app.get('/crawl', asyncHandler(crawlWebsite));
+
+// Style snapshot and drift endpoints
+app.post('/snapshots', asyncHandler(createSnapshot));
+app.get('/snapshots', asyncHandler(listSnapshots));
+app.get('/snapshots/diff', asyncHandler(diffSnapshots));
+app.get('/snapshots/:id', asyncHandler(getSnapshot));
+app.put('/snapshots/:id/baseline', asyncHandler(setBaseline));
+
+// Asynchronous scrape job endpoints
+app.post('/jobs', asyncHandler(createJob));
+app.get('/jobs/:id', asyncHandler(getJob));
+app.delete('/jobs/:id', asyncHandler(cancelJob));
+
+// Generated screenshot and image downloads
+app.get('/artifacts/:file', asyncHandler(getArtifact));
+
+// Cache and proxy administration endpoints
+app.use('/admin', requireAdminToken);
+app.get('/admin/cache', asyncHandler(getCacheStats));
+app.get('/admin/cache/entries', asyncHandler(listCacheEntries));
+app.delete('/admin/cache', asyncHandler(purgeCache));
+app.get('/admin/proxies', asyncHandler(getProxyStats));
+
 // Global error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
   
+  // Request bodies above the JSON parser's limit
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      status: "error",
+      code: "PAYLOAD_TOO_LARGE",
+      message: "The request body is too large.",
+      details: `Request bodies are limited to ${err.limit} bytes.`
+    });
+  }
+  
   // Handle specific errors
   if (err.message && err.message.includes('Timed out')) {
     return res.status(504).json({ 
@@ -72,6 +133,16 @@ app.use((err, req, res, next) => {
 const server = app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT} with timeout set to ${SERVER_TIMEOUT}ms`);
   logMemoryUsage();
+
+  // Launch pooled browsers so the first requests don't pay for a cold start
+  browserPool.warmUp().catch(error => {
+    console.error('Failed to warm up browser pool:', error);
+  });
+
+  // Resume jobs that were queued or running before the last shutdown
+  initJobs().catch(error => {
+    console.error('Failed to load stored jobs:', error);
+  });
 });
 
 // Configure server timeouts
@@ -84,7 +155,11 @@ const cleanupInterval = scheduleMemoryCleanup();
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
   clearInterval(cleanupInterval);
-  server.close(() => {
+  server.close(async () => {
     console.log('HTTP server closed');
+    await shutdownJobs();
+    console.log('Job runner stopped');
+    await browserPool.shutdown();
+    console.log('Browser pool closed');
   });
 });
\ No newline at end of file
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const cacheService = require('../services/cacheService');
+const { getProxyStats: getProxyPoolStats } = require('../utils/proxyPool');
+
+/**
+ * Middleware protecting admin routes with the ADMIN_TOKEN environment variable
+ * Accepts the token as a bearer token or in the X-Admin-Token header. Admin routes are disabled when no token is configured.
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const requireAdminToken = (req, res, next) => {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(403).json({
+      status: "error",
+      code: "ADMIN_DISABLED",
+      message: "Admin endpoints are disabled.",
+      details: "Set ADMIN_TOKEN to enable the admin endpoints."
+    });
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const provided = authorization.startsWith('Bearer ')
+    ? authorization.substring(7).trim()
+    : (req.get('X-Admin-Token') || '');
+
+  // Compare digests so the check takes the same time for every token
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  if (!crypto.timingSafeEqual(digest(provided), digest(adminToken))) {
+    return res.status(401).json({
+      status: "error",
+      code: "UNAUTHORIZED",
+      message: "Admin token is missing or invalid.",
+      details: "Send the admin token as a bearer token or in the X-Admin-Token header."
+    });
+  }
+  next();
+};
+
+/**
+ * Controller for cache usage and hit/miss statistics
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const getCacheStats = async (req, res, next) => {
+  res.json(await cacheService.getCacheStats());
+};
+
+/**
+ * Controller for listing cached entries
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const listCacheEntries = async (req, res, next) => {
+  const entries = await cacheService.listCacheEntries();
+  const { url } = req.query;
+  const normalizedUrl = url ? cacheService.normalizeCacheUrl(url) : null;
+
+  res.json({
+    entries: normalizedUrl ? entries.filter(entry => entry.url === normalizedUrl) : entries
+  });
+};
+
+/**
+ * Controller for purging cached results of a URL, or the whole cache
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const purgeCache = async (req, res, next) => {
+  const { url, all } = req.query;
+
+  // Clearing everything has to be asked for explicitly
+  if (!url && all !== 'true') {
+    return res.status(400).json({
+      status: "error",
+      code: "MISSING_URL",
+      message: "URL parameter is required.",
+      details: "Pass the URL whose cached results should be removed, or all=true to clear the whole cache."
+    });
+  }
+
+  const removed = await cacheService.purgeCache(url);
+  res.json({
+    status: "success",
+    url: url || null,
+    removed
+  });
+};
+
+/**
+ * Controller for the health of the pooled outbound proxies
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const getProxyStats = async (req, res, next) => {
+  res.json(getProxyPoolStats());
+};
+
+module.exports = {
+  requireAdminToken,
+  getCacheStats,
+  listCacheEntries,
+  purgeCache,
+  getProxyStats
+};
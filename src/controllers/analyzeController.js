@@ -0,0 +1,47 @@
+const { resolveAnalyzeInput, analyzeContent } = require('../services/analyzeService');
+const { parseScrapeOptions, parseViewports } = require('./scrapeController');
+const { sendScrapeError } = require('../utils/errorUtils');
+
+/**
+ * Controller for analyzing an HTML document submitted with its CSS or a zip of assets
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const analyzeDocument = async (req, res, next) => {
+  const params = req.body || {};
+
+  // Submitted CSS is the point of the analysis, so stylesheets and fonts load by default
+  const options = parseScrapeOptions({ ...params, resources: params.resources || 'full' }, res);
+  if (!options) return;
+
+  let viewports = null;
+  if (params.viewports !== undefined) {
+    viewports = parseViewports(params.viewports, res);
+    if (!viewports) return;
+  }
+
+  let input;
+  try {
+    input = await resolveAnalyzeInput(params);
+  } catch (error) {
+    if (error.code !== 'INVALID_ANALYZE_INPUT') throw error;
+    return res.status(400).json({
+      status: "error",
+      code: "INVALID_ANALYZE_INPUT",
+      message: "The submitted document or assets are invalid.",
+      details: error.message
+    });
+  }
+
+  try {
+    res.json(await analyzeContent(input, { ...options, viewports }));
+  } catch (error) {
+    console.error(`Analyze error for submitted ${input.source.type}:`, error);
+    return sendScrapeError(res, error, null);
+  }
+};
+
+module.exports = {
+  analyzeDocument
+};
@@ -0,0 +1,31 @@
+const { findArtifact } = require('../utils/artifactStore');
+
+/**
+ * Controller for downloading a stored screenshot or style board image
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const getArtifact = async (req, res, next) => {
+  const artifact = await findArtifact(req.params.file);
+  if (!artifact) {
+    return res.status(404).json({
+      status: "error",
+      code: "ARTIFACT_NOT_FOUND",
+      message: "Artifact not found.",
+      details: `No artifact named "${req.params.file}" exists, or it has expired.`
+    });
+  }
+
+  // Images are built from page content, so SVGs may run no script and load nothing but their fonts
+  res.set({
+    'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; font-src *; img-src data:",
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.type(artifact.contentType);
+  return res.sendFile(artifact.path);
+};
+
+module.exports = {
+  getArtifact
+};
@@ -0,0 +1,76 @@
+const { scrapeUrl } = require('../services/scrapeService');
+const { compareResults, DEFAULT_COLOR_TOLERANCE } = require('../services/compareService');
+const { parseScrapeRequest } = require('./scrapeController');
+const { sendScrapeError } = require('../utils/errorUtils');
+
+/**
+ * Validates the color tolerance parameter
+ * @param {string} tolerance - Requested Delta E 2000 tolerance
+ * @param {Response} res - Express response object
+ * @returns {number|null} Tolerance, or null if an error response was sent
+ */
+const parseColorTolerance = (tolerance, res) => {
+  if (tolerance === undefined) return DEFAULT_COLOR_TOLERANCE;
+
+  const colorTolerance = parseFloat(tolerance);
+  if (isNaN(colorTolerance) || colorTolerance < 0 || colorTolerance > 100) {
+    res.status(400).json({
+      status: "error",
+      code: "INVALID_TOLERANCE",
+      message: "The provided color tolerance is invalid.",
+      details: "tolerance must be a Delta E 2000 value between 0 and 100."
+    });
+    return null;
+  }
+  return colorTolerance;
+};
+
+/**
+ * Controller for diffing the styles of two websites
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const compareWebsites = async (req, res, next) => {
+  const { a, b, tolerance } = req.query;
+  if (!a || !b) {
+    return res.status(400).json({
+      status: "error",
+      code: "MISSING_URL",
+      message: "Parameters a and b are required.",
+      details: "Please provide the two URLs to compare, e.g. /compare?a=https://example.com&b=https://example.org"
+    });
+  }
+
+  // Both sites are scraped with the same options
+  const optionsA = parseScrapeRequest({ ...req.query, url: a }, res);
+  if (!optionsA) return;
+  const optionsB = parseScrapeRequest({ ...req.query, url: b }, res);
+  if (!optionsB) return;
+
+  const colorTolerance = parseColorTolerance(tolerance, res);
+  if (colorTolerance === null) return;
+
+  // Scrape both sites at once, failures are reported for the URL that caused them
+  const [settledA, settledB] = await Promise.allSettled([scrapeUrl(a, optionsA), scrapeUrl(b, optionsB)]);
+  for (const [url, settled] of [[a, settledA], [b, settledB]]) {
+    if (settled.status === 'rejected') {
+      console.error(`Compare error for ${url}:`, settled.reason);
+      return sendScrapeError(res, settled.reason, url);
+    }
+  }
+  const resultA = settledA.value;
+  const resultB = settledB.value;
+
+  res.json({
+    status: "success",
+    a: { url: a, title: resultA.title },
+    b: { url: b, title: resultB.title },
+    ...compareResults(resultA, resultB, { tolerance: colorTolerance })
+  });
+};
+
+module.exports = {
+  parseColorTolerance,
+  compareWebsites
+};
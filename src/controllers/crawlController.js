@@ -0,0 +1,105 @@
+const { crawlSite, CRAWL_MAX_PAGES, DEFAULT_MAX_PAGES, DEFAULT_MAX_DEPTH } = require('../services/crawlService');
+const { parseScrapeRequest } = require('./scrapeController');
+const { sendScrapeError } = require('../utils/errorUtils');
+
+// Links followed from the start page are capped to keep crawls bounded
+const CRAWL_MAX_DEPTH = 10;
+
+/**
+ * Parses an integer crawl limit within bounds
+ * @param {string|number} value - Raw parameter value
+ * @param {number} defaultValue - Value used when the parameter is missing
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number|null} Parsed limit, or null if it is invalid
+ */
+const parseLimit = (value, defaultValue, min, max) => {
+  if (value === undefined || value === '') return defaultValue;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < min || limit > max) return null;
+  return limit;
+};
+
+/**
+ * Validates the parameters of a crawl
+ * @param {Object} params - Query string or JSON body parameters
+ * @param {Response} res - Express response object
+ * @returns {Object|null} Crawl options, or null if an error response was sent
+ */
+const parseCrawlRequest = (params, res) => {
+  const options = parseScrapeRequest(params, res);
+  if (!options) return null;
+
+  // Pages are merged from their default rendering, options that change it per page aren't supported
+  const unsupported = [
+    options.includeStates && 'states',
+    options.colorScheme && 'colorScheme',
+    options.artifacts && 'screenshot and images',
+    params.viewports !== undefined && 'viewports'
+  ].filter(Boolean);
+  if (unsupported.length > 0) {
+    res.status(400).json({
+      status: "error",
+      code: "INVALID_CRAWL_OPTIONS",
+      message: "The provided options can't be used in a crawl.",
+      details: `${unsupported.join(', ')} can't be used in a crawl. Scrape the pages one by one instead.`
+    });
+    return null;
+  }
+
+  const maxPages = parseLimit(params.maxPages, DEFAULT_MAX_PAGES, 1, CRAWL_MAX_PAGES);
+  const maxDepth = parseLimit(params.maxDepth, DEFAULT_MAX_DEPTH, 0, CRAWL_MAX_DEPTH);
+  if (maxPages === null || maxDepth === null) {
+    res.status(400).json({
+      status: "error",
+      code: "INVALID_CRAWL_LIMIT",
+      message: "The provided crawl limits are invalid.",
+      details: `maxPages must be an integer between 1 and ${CRAWL_MAX_PAGES}, maxDepth an integer between 0 and ${CRAWL_MAX_DEPTH}.`
+    });
+    return null;
+  }
+
+  return {
+    ...options,
+    maxPages,
+    maxDepth,
+    include: params.include,
+    exclude: params.exclude,
+    sitemap: params.sitemap === 'true' || params.sitemap === true
+  };
+};
+
+/**
+ * Controller for crawling a site and aggregating the styles of its pages
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const crawlWebsite = async (req, res, next) => {
+  const options = parseCrawlRequest(req.query, res);
+  if (!options) return;
+
+  // Stop crawling once nobody waits for the report, when the client goes away or the request times out
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  res.on('timeout', abort);
+  res.on('close', abort);
+
+  const { url } = options;
+  try {
+    const result = await crawlSite(url, { ...options, signal: controller.signal });
+    if (!res.headersSent) res.json(result);
+  } catch (error) {
+    if (res.headersSent || error.code === 'SCRAPE_CANCELLED') {
+      console.log(`Crawl of ${url} stopped: ${error.message}`);
+      return;
+    }
+    console.error(`Crawl error for ${url}:`, error);
+    return sendScrapeError(res, error, url);
+  }
+};
+
+module.exports = {
+  parseCrawlRequest,
+  crawlWebsite
+};
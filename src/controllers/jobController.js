@@ -0,0 +1,146 @@
+const jobService = require('../services/jobService');
+const { parseScrapeRequest, parseScrapeMode, parseViewports } = require('./scrapeController');
+const { parseCrawlRequest } = require('./crawlController');
+const { sendScrapeError } = require('../utils/errorUtils');
+
+/**
+ * Builds the public representation of a job
+ * @param {Object} job - Job record
+ * @returns {Object} Job status, with the result or error once it has finished
+ */
+const toJobResponse = (job) => ({
+  id: job.id,
+  type: job.type || 'scrape',
+  status: job.status,
+  stage: job.stage,
+  progress: job.progress,
+  url: job.url,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  ...(job.status === jobService.JOB_STATUS.SUCCEEDED && { result: job.result }),
+  ...(job.status === jobService.JOB_STATUS.FAILED && { error: job.error })
+});
+
+/**
+ * Sends the standard response for an unknown job id
+ * @param {Response} res - Express response object
+ * @param {string} id - Requested job id
+ * @returns {Response} Express response
+ */
+const sendJobNotFound = (res, id) => {
+  return res.status(404).json({
+    status: "error",
+    code: "JOB_NOT_FOUND",
+    message: "Job not found.",
+    details: `No job with id ${id} exists. Finished jobs are removed after their retention period.`
+  });
+};
+
+/**
+ * Validates the parameters of a scrape job, which runs in browser or static mode and at several viewports like /scrape
+ * @param {Object} params - JSON body parameters
+ * @param {Response} res - Express response object
+ * @returns {Object|null} Job options, or null if an error response was sent
+ */
+const parseScrapeJobRequest = (params, res) => {
+  const options = parseScrapeRequest(params, res);
+  if (!options) return null;
+
+  const mode = parseScrapeMode(params, options, res);
+  if (!mode) return null;
+
+  // Job results are stored as JSON, design token files are exported from /scrape or /export
+  if (params.format) {
+    res.status(400).json({
+      status: "error",
+      code: "INVALID_JOB_OPTIONS",
+      message: "The provided options can't be used in a job.",
+      details: "format can't be used in a job. Export the tokens with /export instead."
+    });
+    return null;
+  }
+
+  let viewports;
+  if (params.viewports !== undefined) {
+    viewports = parseViewports(params.viewports, res);
+    if (!viewports) return null;
+  }
+
+  return { ...options, mode, ...(viewports && { viewports }) };
+};
+
+/**
+ * Controller for queueing an asynchronous scrape or crawl
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const createJob = async (req, res, next) => {
+  const params = req.body || {};
+  const type = params.type || 'scrape';
+  if (!Object.keys(jobService.JOB_RUNNERS).includes(type)) {
+    return res.status(400).json({
+      status: "error",
+      code: "INVALID_JOB_TYPE",
+      message: "The provided job type is not supported.",
+      details: `Supported job types: ${Object.keys(jobService.JOB_RUNNERS).join(', ')}`
+    });
+  }
+
+  const options = type === 'crawl' ? parseCrawlRequest(params, res) : parseScrapeJobRequest(params, res);
+  if (!options) return;
+
+  const { url, ...jobOptions } = options;
+  try {
+    const job = await jobService.createJob(url, jobOptions, type);
+    res.status(202)
+      .location(`/jobs/${job.id}`)
+      .json(toJobResponse(job));
+  } catch (error) {
+    console.error(`Failed to create job for ${url}:`, error);
+    return sendScrapeError(res, error, url);
+  }
+};
+
+/**
+ * Controller for polling a job's status and result
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const getJob = async (req, res, next) => {
+  const job = jobService.getJob(req.params.id);
+  if (!job) return sendJobNotFound(res, req.params.id);
+
+  res.json(toJobResponse(job));
+};
+
+/**
+ * Controller for cancelling a queued or running job
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const cancelJob = async (req, res, next) => {
+  const existing = jobService.getJob(req.params.id);
+  if (!existing) return sendJobNotFound(res, req.params.id);
+
+  if (existing.status !== jobService.JOB_STATUS.QUEUED && existing.status !== jobService.JOB_STATUS.RUNNING) {
+    return res.status(409).json({
+      status: "error",
+      code: "JOB_ALREADY_FINISHED",
+      message: "The job has already finished.",
+      details: `Job ${existing.id} is ${existing.status} and can no longer be cancelled.`
+    });
+  }
+
+  const job = await jobService.cancelJob(req.params.id);
+  res.json(toJobResponse(job));
+};
+
+module.exports = {
+  createJob,
+  getJob,
+  cancelJob
+};
@@ -1,385 +1,340 @@
-// Use puppeteer-extra with stealth plugin
-const puppeteer = require('puppeteer-extra');
-const StealthPlugin = require('puppeteer-extra-plugin-stealth');
-
-const { extractTypography } = require('../services/typographyService');
-const { extractColors } = require('../services/colorService');
-const { extractGradients } = require('../services/gradientService');
-const { extractPageTitle } = require('../services/titleService');
-
-// Use stealth plugin if enabled in env
-if (process.env.STEALTH_MODE === 'true') {
-  console.log('Stealth mode enabled');
-  puppeteer.use(StealthPlugin());
-}
-
-// Simple in-memory cache
-const cache = new Map();
-const CACHE_TTL = 3600000; // 1 hour in milliseconds
-
-/**
- * Retry a function with a delay between attempts
- * @param {Function} fn - Function to retry
- * @param {number} maxRetries - Maximum number of retry attempts
- * @param {number} retryDelay - Delay between retries in ms
- * @returns {Promise<any>} - Result of the function call
- */
-const retry = async (fn, maxRetries = 3, retryDelay = 2000) => {
-  const actualMaxRetries = parseInt(process.env.MAX_RETRIES || maxRetries);
-  const actualRetryDelay = parseInt(process.env.RETRY_DELAY || retryDelay);
-  let lastError;
-  
-  for (let attempt = 1; attempt <= actualMaxRetries; attempt++) {
-    try {
-      return await fn();
-    } catch (error) {
-      lastError = error;
-      console.log(`Attempt ${attempt}/${actualMaxRetries} failed: ${error.message}`);
-      
-      if (attempt < actualMaxRetries) {
-        // Use exponential backoff
-        const backoffDelay = actualRetryDelay * Math.pow(1.5, attempt - 1);
-        console.log(`Retrying in ${backoffDelay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, backoffDelay));
-      }
-    }
-  }
-  
-  throw lastError;
-};
-
-/**
- * Handle page navigation with retries and better error handling
- * @param {puppeteer.Page} page - Puppeteer page
- * @param {string} url - URL to navigate to
- * @param {number} timeout - Navigation timeout
- * @returns {Promise<void>}
- */
-const navigateToUrl = async (page, url, timeout) => {
-  return retry(async () => {
-    try {
-      // Set longer timeout for navigation
-      await page.goto(url, { 
-        waitUntil: 'networkidle2', 
-        timeout: timeout
-      });
-    } catch (error) {
-      // Check for specific network errors
-      if (
-        error.message.includes('net::ERR_NETWORK_CHANGED') ||
-        error.message.includes('net::ERR_INTERNET_DISCONNECTED') ||
-        error.message.includes('net::ERR_CONNECTION_RESET')
-      ) {
-        console.log('Network connection issue detected. Waiting before retry...');
-        // Wait longer before retry for network issues
-        await new Promise(resolve => setTimeout(resolve, 5000));
-      }
-      throw error;
-    }
-  }, parseInt(process.env.MAX_RETRIES || 3), parseInt(process.env.RETRY_DELAY || 5000));
-};
+const { scrapeUrl, scrapeViewports } = require('../services/scrapeService');
+const { scrapeStatic } = require('../services/staticService');
+const { resolveExportFormat, exportTokens, EXPORT_FORMATS } = require('../services/exportService');
+const { resolveArtifactOptions } = require('../services/artifactService');
+const { DEFAULT_PALETTE_THRESHOLD } = require('../services/colorService');
+const { resolveResourcePolicy } = require('../utils/resourcePolicy');
+const { resolveViewports } = require('../utils/viewportUtils');
+const { resolveColorScheme } = require('../utils/colorSchemeUtils');
+const { resolveProxyOption } = require('../utils/proxyPool');
+const { sendScrapeError } = require('../utils/errorUtils');
 
 /**
- * Controller for handling web scraping requests
- * @param {Request} req - Express request object
+ * Validates the shared parameters of scrape based endpoints
+ * @param {Object} params - Query string or JSON body parameters
  * @param {Response} res - Express response object
- * @param {NextFunction} next - Express next middleware function
+ * @returns {Object|null} Scrape options, or null if an error response was sent
  */
-const scrapeWebsite = async (req, res, next) => {
-  const { url, nocache } = req.query;
+const parseScrapeRequest = (params, res) => {
+  const { url } = params;
   if (!url) {
-    return res.status(400).json({ 
+    res.status(400).json({
       status: "error",
       code: "MISSING_URL",
       message: "URL parameter is required.",
       details: "Please provide a valid URL to analyze."
     });
+    return null;
   }
 
   // Validate URL format
   try {
     new URL(url);
   } catch (error) {
-    return res.status(400).json({
+    res.status(400).json({
       status: "error",
       code: "INVALID_URL_FORMAT",
       message: "The provided URL is invalid.",
       details: "Please provide a valid URL with proper format (e.g., https://example.com)"
     });
+    return null;
   }
 
-  // Use cache unless nocache is specified
-  const useCache = nocache !== 'true';
-  if (useCache && cache.has(url)) {
-    const cachedData = cache.get(url);
-    if (Date.now() - cachedData.timestamp < CACHE_TTL) {
-      console.log(`Serving cached result for ${url}`);
-      return res.json(cachedData.data);
-    } else {
-      // Remove expired cache
-      cache.delete(url);
-    }
-  }
+  const options = parseScrapeOptions(params, res);
+  return options && { url, ...options };
+};
+
+/**
+ * Validates the options that control how a page is rendered and analyzed
+ * @param {Object} params - Query string or JSON body parameters
+ * @param {Response} res - Express response object
+ * @returns {Object|null} Scrape options without the URL, or null if an error response was sent
+ */
+const parseScrapeOptions = (params, res) => {
+  const { nocache, resources, block, paletteThreshold, states } = params;
 
-  let browser;
+  // Resolve which resources the page is allowed to load
+  let resourcePolicy;
   try {
-    console.log(`Starting scrape for ${url}`);
-    const puppeteerTimeout = parseInt(process.env.PUPPETEER_TIMEOUT || 60000);
-    
-    // Launch browser with timeout from environment variable and additional settings
-    const launchOptions = {
-      executablePath: process.env.NODE_ENV === 'production' 
-        ? '/usr/bin/google-chrome-stable' 
-        : puppeteer.executablePath(),
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--single-process',
-        '--disable-gpu',
-        '--disable-extensions',
-        '--ignore-certificate-errors',
-        '--disable-web-security',
-        '--disable-features=IsolateOrigins,site-per-process',
-        '--disable-infobars',
-        '--window-position=0,0',
-        '--disable-notifications',
-        '--disable-blink-features=AutomationControlled'
-      ],
-      headless: true,
-      timeout: puppeteerTimeout,
-      ignoreHTTPSErrors: true
-    };
-    
-    browser = await puppeteer.launch(launchOptions);
-    
-    // Create new page with optimized settings
-    const page = await browser.newPage();
-    
-    // User agent selection
-    const userAgents = [
-      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
-      'Mozilla/5.0 (iPhone; CPU iPhone OS 16_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.5 Mobile/15E148 Safari/604.1'
-    ];
-    
-    // Pick a random user agent
-    const randomUserAgent = userAgents[Math.floor(Math.random() * userAgents.length)];
-    
-    // Basic evasion 
-    await page.evaluateOnNewDocument(() => {
-      // Overwrite the 'plugins' property to use a custom getter
-      Object.defineProperty(navigator, 'plugins', {
-        // This just needs to have length > 0
-        get: () => [1, 2, 3, 4, 5],
-      });
+    resourcePolicy = resolveResourcePolicy(resources, block);
+  } catch (error) {
+    res.status(400).json({
+      status: "error",
+      code: "INVALID_RESOURCE_POLICY",
+      message: "The provided resource policy is invalid.",
+      details: error.message
+    });
+    return null;
+  }
 
-      // Overwrite the 'languages' property to use a custom getter
-      Object.defineProperty(navigator, 'languages', {
-        get: () => ['en-US', 'en', 'es'],
-      });
-      
-      // Pass the Webdriver test
-      Object.defineProperty(navigator, 'webdriver', {
-        get: () => false,
+  // Delta E 2000 used to merge near-duplicate colors into the palette
+  let threshold = DEFAULT_PALETTE_THRESHOLD;
+  if (paletteThreshold !== undefined) {
+    threshold = parseFloat(paletteThreshold);
+    if (isNaN(threshold) || threshold < 0 || threshold > 100) {
+      res.status(400).json({
+        status: "error",
+        code: "INVALID_PALETTE_THRESHOLD",
+        message: "The provided palette threshold is invalid.",
+        details: "paletteThreshold must be a Delta E 2000 value between 0 and 100."
       });
-      
-      // Pass the Chrome test
-      window.chrome = {
-        runtime: {},
-      };
-      
-      // Pass the Permissions test
-      const originalQuery = window.navigator.permissions.query;
-      window.navigator.permissions.query = (parameters) => (
-        parameters.name === 'notifications' ?
-          Promise.resolve({ state: Notification.permission }) :
-          originalQuery(parameters)
-      );
+      return null;
+    }
+  }
+
+  // Optionally compare the light rendering with an emulated dark scheme
+  let colorScheme;
+  try {
+    colorScheme = resolveColorScheme(params);
+  } catch (error) {
+    res.status(400).json({
+      status: "error",
+      code: "INVALID_COLOR_SCHEME",
+      message: "The provided color scheme options are invalid.",
+      details: error.message
     });
-    
-    // Set user agent to mimic a regular browser
-    await page.setUserAgent(randomUserAgent);
-    console.log(`Using user agent: ${randomUserAgent}`);
-    
-    // Set extra HTTP headers
-    await page.setExtraHTTPHeaders({
-      'Accept-Language': 'en-US,en;q=0.9',
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
-      'Sec-Ch-Ua': '"Not A(Brand";v="99", "Google Chrome";v="121", "Chromium";v="121"',
-      'Sec-Ch-Ua-Mobile': '?0',
-      'Sec-Ch-Ua-Platform': '"macOS"',
-      'Sec-Fetch-Dest': 'document',
-      'Sec-Fetch-Mode': 'navigate',
-      'Sec-Fetch-Site': 'none',
-      'Sec-Fetch-User': '?1',
-      'Upgrade-Insecure-Requests': '1'
+    return null;
+  }
+
+  // Optionally add a screenshot and images of the palette, gradients and type specimen
+  let artifacts;
+  try {
+    artifacts = resolveArtifactOptions(params);
+  } catch (error) {
+    res.status(400).json({
+      status: "error",
+      code: "INVALID_ARTIFACT_OPTIONS",
+      message: "The provided screenshot or image options are invalid.",
+      details: error.message
     });
-    
-    // Set viewport
-    await page.setViewport({
-      width: 1920,
-      height: 1080
+    return null;
+  }
+
+  // Optionally send this request through its own proxy, or skip the configured ones with none
+  let proxy;
+  try {
+    proxy = resolveProxyOption(params.proxy);
+  } catch (error) {
+    res.status(400).json({
+      status: "error",
+      code: "INVALID_PROXY",
+      message: "The provided proxy is invalid.",
+      details: error.message
     });
-    
-    // Set resource blocking for better performance
-    await page.setRequestInterception(true);
-    page.on('request', (request) => {
-      // Block unnecessary resources to improve performance
-      const resourceType = request.resourceType();
-      if (['image', 'media', 'font', 'stylesheet'].includes(resourceType)) {
-        request.abort();
-      } else {
-        request.continue();
-      }
+    return null;
+  }
+
+  return {
+    resourcePolicy,
+    paletteThreshold: threshold,
+    ...(proxy !== undefined && { proxy }),
+    colorScheme,
+    artifacts,
+    includeStates: states === 'true' || states === true,
+    // Use cache unless nocache is specified
+    useCache: nocache !== 'true' && nocache !== true
+  };
+};
+
+/**
+ * Validates the viewports parameter
+ * @param {string|Array} viewports - Comma separated presets or custom sizes
+ * @param {Response} res - Express response object
+ * @returns {Array|null} Viewports, or null if an error response was sent
+ */
+const parseViewports = (viewports, res) => {
+  try {
+    return resolveViewports(viewports);
+  } catch (error) {
+    res.status(400).json({
+      status: "error",
+      code: "INVALID_VIEWPORTS",
+      message: "The provided viewports are invalid.",
+      details: error.message
     });
-    
-    // Add error handler for page errors
-    page.on('error', error => {
-      console.error(`Page error: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Validates the mode parameter and the options it can be combined with
+ * @param {Object} params - Query string parameters
+ * @param {Object} options - Options from parseScrapeRequest
+ * @param {Response} res - Express response object
+ * @returns {string|null} browser or static, or null if an error response was sent
+ */
+const parseScrapeMode = (params, options, res) => {
+  const mode = String(params.mode || 'browser').toLowerCase();
+  const sendModeError = (details) => {
+    res.status(400).json({
+      status: "error",
+      code: "INVALID_MODE",
+      message: "The provided mode is invalid.",
+      details
     });
-    
-    // Set a timeout for the navigation
-    console.log(`Navigating to ${url} with timeout ${puppeteerTimeout}ms`);
-    await navigateToUrl(page, url, puppeteerTimeout);
-    
-    // Allow a bit more time for dynamic content to load
-    await page.waitForTimeout(2000);
-    
-    console.log(`Successfully loaded ${url}, extracting data`);
-    // Extract data using our services
-    const [titleResult, typographyResult, colorsResult, gradientsResult] = await Promise.all([
-      extractPageTitle(page),
-      extractTypography(page),
-      extractColors(page),
-      extractGradients(page)
-    ]);
-    
-    // Build the response object
-    const result = {
-      status: "success",
-      url,
-      title: titleResult,
-      ...typographyResult,
-      colors: colorsResult,
-      gradients: gradientsResult
-    };
-    
-    // Cache the result
-    if (useCache) {
-      cache.set(url, {
-        data: result,
-        timestamp: Date.now()
-      });
+    return null;
+  };
+
+  if (!['browser', 'static'].includes(mode)) {
+    return sendModeError(`Unknown mode "${params.mode}". Use browser or static.`);
+  }
+
+  // Static mode never renders the page, so everything that needs a rendering is out
+  if (mode === 'static') {
+    const browserOnly = [
+      params.viewports !== undefined && 'viewports',
+      params.format && 'format',
+      options.includeStates && 'states',
+      options.colorScheme && 'colorScheme',
+      options.artifacts && 'screenshot and images'
+    ].filter(Boolean);
+    if (browserOnly.length > 0) {
+      return sendModeError(`${browserOnly.join(', ')} can't be used in static mode.`);
     }
-    
-    console.log(`Scraping complete for ${url}`);
-    res.json(result);
-  } catch (error) {
-    console.error(`Scraping error for ${url}:`, error);
-    
-    // Define standard error response structure
-    const errorResponse = {
+  }
+
+  return mode;
+};
+
+/**
+ * Validates the export format parameter
+ * @param {string} format - Requested format
+ * @param {Response} res - Express response object
+ * @returns {string|null} Canonical format, or null if an error response was sent
+ */
+const parseExportFormat = (format, res) => {
+  const exportFormat = resolveExportFormat(format);
+  if (!exportFormat) {
+    res.status(400).json({
       status: "error",
-      url,
-      timestamp: new Date().toISOString()
-    };
-    
-    // Check for specific network and HTTP errors
-    if (error.message.includes('net::ERR_NETWORK_CHANGED')) {
-      return res.status(503).json({
-        ...errorResponse,
-        code: "NETWORK_CHANGED",
-        message: "Network connection issue",
-        details: "Network connection changed during request. Please try again."
-      });
-    } else if (error.message.includes('Navigation timeout')) {
-      return res.status(504).json({
-        ...errorResponse,
-        code: "GATEWAY_TIMEOUT",
-        message: "Gateway timeout",
-        details: "The page took too long to load. The website might be too complex or unavailable."
-      });
-    } else if (error.message.includes('ERR_NAME_NOT_RESOLVED')) {
+      code: "INVALID_EXPORT_FORMAT",
+      message: "The provided export format is not supported.",
+      details: `Supported formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+  return exportFormat;
+};
+
+/**
+ * Sends a scrape result as a design token file
+ * @param {Response} res - Express response object
+ * @param {Object} result - Result from scrapeUrl
+ * @param {string} format - Canonical export format
+ * @param {boolean} download - Whether to send the file as an attachment
+ * @returns {Response} Express response
+ */
+const sendExport = (res, result, format, download) => {
+  const { content, contentType, fileName } = exportTokens(result, format);
+
+  if (download) {
+    res.attachment(fileName);
+  }
+  return res.type(contentType).send(content);
+};
+
+/**
+ * Controller for handling web scraping requests
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const scrapeWebsite = async (req, res, next) => {
+  const options = parseScrapeRequest(req.query, res);
+  if (!options) return;
+
+  // Static mode reads the declared CSS over HTTP instead of rendering the page
+  const mode = parseScrapeMode(req.query, options, res);
+  if (!mode) return;
+  if (mode === 'static') {
+    try {
+      return res.json(await scrapeStatic(options.url, options));
+    } catch (error) {
+      console.error(`Static analysis error for ${options.url}:`, error);
+      return sendScrapeError(res, error, options.url);
+    }
+  }
+
+  // Optionally return the result as design tokens instead of raw JSON
+  let exportFormat = null;
+  if (req.query.format) {
+    exportFormat = parseExportFormat(req.query.format, res);
+    if (!exportFormat) return;
+  }
+
+  // Optionally analyze the page at several viewports
+  let viewports = null;
+  if (req.query.viewports !== undefined) {
+    viewports = parseViewports(req.query.viewports, res);
+    if (!viewports) return;
+
+    // Design tokens describe a single rendering of the page
+    if (exportFormat && viewports.length > 1) {
       return res.status(400).json({
-        ...errorResponse,
-        code: "DOMAIN_NOT_FOUND",
-        message: "Domain not found",
-        details: "The URL provided could not be resolved. Please check it and try again."
-      });
-    } else if (error.message.includes('ERR_CONNECTION_REFUSED')) {
-      return res.status(503).json({
-        ...errorResponse,
-        code: "CONNECTION_REFUSED",
-        message: "Connection refused",
-        details: "The server refused the connection. The site might be down or blocking requests."
-      });
-    } else if (error.message.includes('ERR_CONNECTION_TIMED_OUT')) {
-      return res.status(504).json({
-        ...errorResponse,
-        code: "CONNECTION_TIMEOUT",
-        message: "Connection timeout",
-        details: "The connection to the server timed out. Please try again later."
-      });
-    } else if (error.message.includes('404')) {
-      return res.status(404).json({
-        ...errorResponse,
-        code: "PAGE_NOT_FOUND",
-        message: "Page not found",
-        details: "The requested page does not exist on the target website."
-      });
-    } else if (error.message.includes('403')) {
-      return res.status(403).json({
-        ...errorResponse,
-        code: "ACCESS_FORBIDDEN",
-        message: "Access forbidden",
-        details: "The target website has forbidden access to this page."
-      });
-    } else if (error.message.includes('net::ERR_ABORTED')) {
-      return res.status(500).json({
-        ...errorResponse,
-        code: "REQUEST_ABORTED",
-        message: "Request aborted",
-        details: "The request was aborted. The website might be blocking scraping attempts."
-      });
-    } else if (error.message.includes('net::ERR_CERT')) {
-      return res.status(526).json({
-        ...errorResponse,
-        code: "SSL_ERROR",
-        message: "SSL certificate error",
-        details: "The website has an invalid SSL certificate."
-      });
-    } else if (error.message.includes('Protocol error')) {
-      return res.status(500).json({
-        ...errorResponse,
-        code: "PROTOCOL_ERROR",
-        message: "Protocol error",
-        details: "A protocol error occurred while communicating with the website."
+        status: "error",
+        code: "INVALID_VIEWPORTS",
+        message: "Exports support a single viewport.",
+        details: "Pass one viewport together with format, or leave out format to get the responsive report."
       });
     }
-    
-    // Generic error for all other cases
-    return res.status(500).json({
-      ...errorResponse,
-      code: "INTERNAL_ERROR",
-      message: "Internal server error",
-      details: "An unexpected error occurred while processing your request."
-    });
-  } finally {
-    if (browser) {
-      try {
-        await browser.close();
-        console.log('Browser closed successfully');
-      } catch (err) {
-        console.error('Error closing browser:', err);
-      }
+  }
+
+  const { url } = options;
+  try {
+    if (viewports && !exportFormat) {
+      // Stop the remaining viewports once nobody waits for the report, when the client goes away or the request times out
+      const controller = new AbortController();
+      const abort = () => controller.abort();
+      res.on('timeout', abort);
+      res.on('close', abort);
+
+      const report = await scrapeViewports(url, { ...options, viewports, signal: controller.signal });
+      return res.headersSent ? undefined : res.json(report);
+    }
+
+    const result = await scrapeUrl(url, { ...options, viewport: viewports ? viewports[0] : undefined });
+
+    if (exportFormat) {
+      return sendExport(res, result, exportFormat, req.query.download === 'true');
     }
+    res.json(result);
+  } catch (error) {
+    if (res.headersSent) {
+      console.log(`Scrape of ${url} stopped: ${error.message}`);
+      return;
+    }
+    console.error(`Scraping error for ${url}:`, error);
+    return sendScrapeError(res, error, url);
+  }
+};
+
+/**
+ * Controller for exporting a website's styles as design tokens
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const exportStyles = async (req, res, next) => {
+  const options = parseScrapeRequest(req.query, res);
+  if (!options) return;
+
+  const exportFormat = parseExportFormat(req.query.format || 'w3c', res);
+  if (!exportFormat) return;
+
+  const { url } = options;
+  try {
+    const result = await scrapeUrl(url, options);
+    return sendExport(res, result, exportFormat, req.query.download === 'true');
+  } catch (error) {
+    console.error(`Export error for ${url}:`, error);
+    return sendScrapeError(res, error, url);
   }
 };
 
 module.exports = {
-  scrapeWebsite
-}; 
\ No newline at end of file
+  parseScrapeRequest,
+  parseScrapeOptions,
+  parseViewports,
+  parseScrapeMode,
+  scrapeWebsite,
+  exportStyles
+};
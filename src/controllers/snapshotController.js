@@ -0,0 +1,165 @@
+const snapshotService = require('../services/snapshotService');
+const { parseScrapeRequest } = require('./scrapeController');
+const { parseColorTolerance } = require('./compareController');
+const { sendScrapeError } = require('../utils/errorUtils');
+
+/**
+ * Validates drift threshold overrides
+ * @param {Object} params - Query string or JSON body parameters
+ * @param {Response} res - Express response object
+ * @returns {Object|null} Thresholds that were given, or null if an error response was sent
+ */
+const parseDriftThresholds = (params, res) => {
+  const thresholds = {};
+
+  for (const name of Object.keys(snapshotService.DEFAULT_DRIFT_THRESHOLDS)) {
+    if (params[name] === undefined) continue;
+
+    const value = Number(params[name]);
+    const valid = name === 'minSimilarity'
+      ? !isNaN(value) && value >= 0 && value <= 100
+      : Number.isInteger(value) && value >= 0;
+    if (!valid) {
+      res.status(400).json({
+        status: "error",
+        code: "INVALID_DRIFT_THRESHOLD",
+        message: "The provided drift threshold is invalid.",
+        details: `${name} must be ${name === 'minSimilarity' ? 'a number between 0 and 100' : 'a non-negative integer'}.`
+      });
+      return null;
+    }
+    thresholds[name] = value;
+  }
+
+  return thresholds;
+};
+
+/**
+ * Sends the standard response for an unknown snapshot id
+ * @param {Response} res - Express response object
+ * @param {Error} error - Error with code SNAPSHOT_NOT_FOUND
+ * @returns {Response} Express response
+ */
+const sendSnapshotNotFound = (res, error) => {
+  return res.status(404).json({
+    status: "error",
+    code: "SNAPSHOT_NOT_FOUND",
+    message: "Snapshot not found.",
+    details: error.message
+  });
+};
+
+/**
+ * Controller for taking a snapshot of a URL's styles
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const createSnapshot = async (req, res, next) => {
+  const params = req.body || {};
+  const options = parseScrapeRequest(params, res);
+  if (!options) return;
+
+  const thresholds = parseDriftThresholds(params, res);
+  if (!thresholds) return;
+
+  const { url } = options;
+  try {
+    const snapshot = await snapshotService.createSnapshot(url, options, {
+      baseline: params.baseline === true || params.baseline === 'true',
+      thresholds
+    });
+    res.status(201).json({ status: "success", ...snapshot });
+  } catch (error) {
+    console.error(`Snapshot error for ${url}:`, error);
+    return sendScrapeError(res, error, url);
+  }
+};
+
+/**
+ * Controller for listing the snapshot history of a URL
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const listSnapshots = async (req, res, next) => {
+  const { url } = req.query;
+  if (!url) {
+    return res.status(400).json({
+      status: "error",
+      code: "MISSING_URL",
+      message: "URL parameter is required.",
+      details: "Please provide the URL whose snapshots should be listed."
+    });
+  }
+
+  res.json(await snapshotService.listSnapshots(url));
+};
+
+/**
+ * Controller for a single snapshot including its scrape result
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const getSnapshot = async (req, res, next) => {
+  try {
+    res.json(await snapshotService.getSnapshot(req.params.id));
+  } catch (error) {
+    if (error.code === 'SNAPSHOT_NOT_FOUND') return sendSnapshotNotFound(res, error);
+    throw error;
+  }
+};
+
+/**
+ * Controller for diffing two snapshots
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const diffSnapshots = async (req, res, next) => {
+  const { from, to } = req.query;
+  if (!from || !to) {
+    return res.status(400).json({
+      status: "error",
+      code: "MISSING_SNAPSHOT_ID",
+      message: "Parameters from and to are required.",
+      details: "Please provide the ids of the two snapshots to compare."
+    });
+  }
+
+  const tolerance = parseColorTolerance(req.query.tolerance, res);
+  if (tolerance === null) return;
+  const thresholds = parseDriftThresholds(req.query, res);
+  if (!thresholds) return;
+
+  try {
+    res.json(await snapshotService.diffSnapshots(from, to, { tolerance, thresholds }));
+  } catch (error) {
+    if (error.code === 'SNAPSHOT_NOT_FOUND') return sendSnapshotNotFound(res, error);
+    throw error;
+  }
+};
+
+/**
+ * Controller for making a snapshot the baseline of its URL
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next middleware function
+ */
+const setBaseline = async (req, res, next) => {
+  try {
+    res.json(await snapshotService.setBaseline(req.params.id));
+  } catch (error) {
+    if (error.code === 'SNAPSHOT_NOT_FOUND') return sendSnapshotNotFound(res, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  createSnapshot,
+  listSnapshots,
+  getSnapshot,
+  diffSnapshots,
+  setBaseline
+};
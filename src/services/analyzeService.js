@@ -0,0 +1,231 @@
+const path = require('path');
+const yauzl = require('yauzl');
+const { scrapeUrl, scrapeViewports } = require('./scrapeService');
+const { startAssetServer } = require('../utils/assetServer');
+
+// Most files accepted from a zip of assets
+const ANALYZE_MAX_FILES = parseInt(process.env.ANALYZE_MAX_FILES || 500);
+
+// Most bytes the submitted files may add up to once unzipped
+const ANALYZE_MAX_ASSET_BYTES = parseInt(process.env.ANALYZE_MAX_ASSET_BYTES || 52428800);
+
+// Entry document used when none is named
+const DEFAULT_ENTRY = 'index.html';
+
+/**
+ * Creates the error thrown for unusable submitted content
+ * @param {string} message - What is wrong
+ * @returns {Error} Error with code INVALID_ANALYZE_INPUT
+ */
+const createAnalyzeError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_ANALYZE_INPUT';
+  return error;
+};
+
+/**
+ * Normalizes a submitted file path and rejects paths leaving the asset root
+ * @param {string} name - Path as submitted
+ * @returns {string|null} Relative path with forward slashes, or null if it's unsafe
+ */
+const normalizeAssetPath = (name) => {
+  const normalized = path.posix.normalize(String(name).replace(/\\/g, '/')).replace(/^\/+/, '');
+  if (!normalized || normalized === '.' || normalized.startsWith('..')) return null;
+  return normalized;
+};
+
+/**
+ * Reads the files of a zip archive into memory
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Promise<Map>} File contents keyed by relative path
+ */
+const readZip = (buffer) => new Promise((resolve, reject) => {
+  yauzl.fromBuffer(buffer, { lazyEntries: true }, (error, zip) => {
+    if (error) return reject(createAnalyzeError(`assets is not a valid zip archive: ${error.message}`));
+
+    const files = new Map();
+    let totalBytes = 0;
+    const fail = (message) => {
+      zip.close();
+      reject(createAnalyzeError(message));
+    };
+
+    zip.on('error', zipError => reject(createAnalyzeError(`assets is not a valid zip archive: ${zipError.message}`)));
+    zip.on('end', () => resolve(files));
+    zip.on('entry', entry => {
+      // Folders and macOS resource forks carry no assets
+      if (entry.fileName.endsWith('/') || entry.fileName.startsWith('__MACOSX/')) return zip.readEntry();
+
+      const filePath = normalizeAssetPath(entry.fileName);
+      if (!filePath) return fail(`Zip entry "${entry.fileName}" points outside the archive`);
+      if (files.size >= ANALYZE_MAX_FILES) return fail(`The zip holds more than ${ANALYZE_MAX_FILES} files`);
+
+      // yauzl checks the inflated data against these header sizes, so a forged header can't get past this
+      totalBytes += entry.uncompressedSize;
+      if (totalBytes > ANALYZE_MAX_ASSET_BYTES) return fail(`The assets exceed ${ANALYZE_MAX_ASSET_BYTES} bytes once unzipped`);
+
+      zip.openReadStream(entry, (streamError, stream) => {
+        if (streamError) return fail(`Zip entry "${entry.fileName}" can't be read: ${streamError.message}`);
+
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('error', readError => fail(`Zip entry "${entry.fileName}" can't be read: ${readError.message}`));
+        stream.on('end', () => {
+          files.set(filePath, Buffer.concat(chunks));
+          zip.readEntry();
+        });
+      });
+    });
+
+    zip.readEntry();
+  });
+});
+
+/**
+ * Picks the document to load from the submitted files
+ * @param {Map} files - Submitted files
+ * @param {string} [entry] - Requested entry path
+ * @returns {string} Path of the entry document
+ */
+const findEntry = (files, entry) => {
+  if (entry !== undefined) {
+    const entryPath = normalizeAssetPath(entry);
+    if (!entryPath || !files.has(entryPath)) throw createAnalyzeError(`Entry document "${entry}" is not in the assets`);
+    return entryPath;
+  }
+
+  const documents = Array.from(files.keys()).filter(filePath => /\.html?$/i.test(filePath));
+  const depth = (filePath) => filePath.split('/').length;
+
+  // Archives often wrap the site in a single folder, so the shallowest index.html wins
+  const index = documents
+    .filter(filePath => path.posix.basename(filePath).toLowerCase() === DEFAULT_ENTRY)
+    .sort((a, b) => depth(a) - depth(b))[0];
+  if (index) return index;
+  if (documents.length === 1) return documents[0];
+
+  throw createAnalyzeError(documents.length === 0
+    ? 'The assets contain no HTML document'
+    : 'The assets contain several HTML documents but no index.html, name one with entry');
+};
+
+/**
+ * Adds link elements for stylesheets the document doesn't reference yet
+ * @param {string} html - Entry document
+ * @param {Array} hrefs - Stylesheet URLs relative to the document
+ * @returns {string} Document with the stylesheets linked
+ */
+const linkStylesheets = (html, hrefs) => {
+  const links = hrefs
+    .filter(href => !html.includes(href))
+    .map(href => `<link rel="stylesheet" href="${href}">`)
+    .join('');
+  if (!links) return html;
+
+  // Added at the end of the head so the submitted CSS wins over styles the document already has
+  return /<\/head>/i.test(html) ? html.replace(/<\/head>/i, `${links}</head>`) : `${links}${html}`;
+};
+
+/**
+ * Validates the submitted HTML, CSS and zip of assets and builds the files to serve
+ * @param {Object} params - JSON body parameters
+ * @param {string} [params.html] - HTML document, required without assets
+ * @param {Array} [params.css] - Stylesheets as strings or objects with name and content
+ * @param {string} [params.assets] - Base64 encoded zip of the document and its assets
+ * @param {string} [params.entry] - Path of the document to load inside the zip
+ * @returns {Promise<Object>} Files keyed by path, the entry path and a description of the source
+ */
+const resolveAnalyzeInput = async ({ html, css, assets, entry }) => {
+  if (html === undefined && assets === undefined) {
+    throw createAnalyzeError('Provide an html document, a base64 zip of assets, or both');
+  }
+  if (html !== undefined && (typeof html !== 'string' || !html.trim())) {
+    throw createAnalyzeError('html must be a non-empty string');
+  }
+
+  let files = new Map();
+  if (assets !== undefined) {
+    if (typeof assets !== 'string' || !/^[A-Za-z0-9+/=\s]+$/.test(assets)) {
+      throw createAnalyzeError('assets must be a base64 encoded zip archive');
+    }
+    files = await readZip(Buffer.from(assets, 'base64'));
+  }
+
+  // A submitted document takes the place of the zip's entry document
+  let entryPath;
+  if (html !== undefined) {
+    entryPath = entry !== undefined ? normalizeAssetPath(entry) : DEFAULT_ENTRY;
+    if (!entryPath) throw createAnalyzeError(`Entry document "${entry}" is not a valid path`);
+    files.set(entryPath, Buffer.from(html));
+  } else {
+    entryPath = findEntry(files, entry);
+  }
+
+  const stylesheets = css === undefined ? [] : css;
+  if (!Array.isArray(stylesheets)) throw createAnalyzeError('css must be an array of stylesheets');
+
+  const entryDir = path.posix.dirname(entryPath);
+  const hrefs = stylesheets.map((stylesheet, index) => {
+    const { name = `style-${index + 1}.css`, content } = typeof stylesheet === 'string' ? { content: stylesheet } : (stylesheet || {});
+    if (typeof content !== 'string') throw createAnalyzeError(`css[${index}] must be a string or an object with name and content`);
+
+    // Names are relative to the document, like the href that would load them
+    const filePath = normalizeAssetPath(path.posix.join(entryDir, String(name)));
+    if (!filePath || !/\.css$/i.test(filePath)) throw createAnalyzeError(`css[${index}] needs a relative file name ending in .css`);
+    files.set(filePath, Buffer.from(content));
+    return path.posix.relative(entryDir, filePath);
+  });
+
+  const totalBytes = Array.from(files.values()).reduce((sum, content) => sum + content.length, 0);
+  if (totalBytes > ANALYZE_MAX_ASSET_BYTES) {
+    throw createAnalyzeError(`The submitted files exceed ${ANALYZE_MAX_ASSET_BYTES} bytes`);
+  }
+
+  if (hrefs.length > 0) {
+    files.set(entryPath, Buffer.from(linkStylesheets(files.get(entryPath).toString('utf8'), hrefs)));
+  }
+
+  return {
+    files,
+    entry: entryPath,
+    source: {
+      type: assets !== undefined ? 'zip' : 'html',
+      entry: entryPath,
+      files: files.size,
+      stylesheets: hrefs
+    }
+  };
+};
+
+/**
+ * Serves submitted files on a loopback server and runs the scrape pipeline on them
+ * @param {Object} input - Input from resolveAnalyzeInput
+ * @param {Object} options - Scrape options, as for scrapeUrl
+ * @param {Array} [options.viewports] - Viewports from resolveViewports, adds the responsive report
+ * @returns {Promise<Object>} Result in the /scrape response shape, with url null and the source described
+ */
+const analyzeContent = async ({ files, entry, source }, options) => {
+  const { viewports, ...scrapeOptions } = options;
+  const server = await startAssetServer(files);
+
+  try {
+    const pageUrl = `${server.origin}/${entry.split('/').map(encodeURIComponent).join('/')}`;
+    console.log(`Analyzing submitted ${source.type} (${source.files} files) at ${pageUrl}`);
+
+    // The server and its port only exist for this request, so results are never cached.
+    // It is the one loopback origin the target URL policy lets the page load.
+    const trustedOrigins = [server.origin];
+    const result = viewports
+      ? await scrapeViewports(pageUrl, { ...scrapeOptions, viewports, trustedOrigins, useCache: false })
+      : await scrapeUrl(pageUrl, { ...scrapeOptions, trustedOrigins, useCache: false });
+
+    return { ...result, url: null, source };
+  } finally {
+    await server.close();
+  }
+};
+
+module.exports = {
+  resolveAnalyzeInput,
+  analyzeContent
+};
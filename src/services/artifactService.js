@@ -0,0 +1,339 @@
+const { hexToRgb, parseRgb, relativeLuminance } = require('../utils/colorUtils');
+const { saveArtifact } = require('../utils/artifactStore');
+
+// Values accepted by the artifact parameters
+const SCREENSHOT_MODES = ['viewport', 'full'];
+const IMAGE_TYPES = ['palette', 'gradients', 'specimen'];
+const IMAGE_FORMATS = ['svg', 'png'];
+const DELIVERY_MODES = ['inline', 'url'];
+
+// Entries drawn per image, so boards stay readable
+const MAX_SWATCHES = 48;
+const MAX_GRADIENTS = 24;
+const MAX_SPECIMENS = 40;
+
+// Text drawn in every specimen row
+const SPECIMEN_TEXT = 'The quick brown fox jumps over the lazy dog';
+
+// Font used for labels on the generated boards
+const LABEL_FONT = 'font-family="-apple-system, Segoe UI, Helvetica, Arial, sans-serif"';
+
+/**
+ * Creates the error thrown for invalid artifact parameters
+ * @param {string} message - What is wrong
+ * @returns {Error} Error with code INVALID_ARTIFACT_OPTIONS
+ */
+const createArtifactError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_ARTIFACT_OPTIONS';
+  return error;
+};
+
+/**
+ * Resolves the screenshot and image parameters
+ * @param {Object} params - Query string or JSON body parameters
+ * @param {string} [params.screenshot] - viewport or full
+ * @param {string|Array} [params.images] - palette, gradients, specimen, or all
+ * @param {string|Array} [params.imageFormats] - svg, png, or both (default)
+ * @param {string} [params.artifactDelivery] - inline (default) or url
+ * @returns {Object|null} Artifact settings, or null if no artifact was requested
+ */
+const resolveArtifactOptions = ({ screenshot, images, imageFormats, artifactDelivery }) => {
+  const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+    .map(entry => String(entry).trim().toLowerCase())
+    .filter(Boolean);
+  const checkAll = (name, values, allowed) => {
+    const unknown = values.find(value => !allowed.includes(value));
+    if (unknown) throw createArtifactError(`Unknown ${name} "${unknown}". Use ${allowed.join(', ')}`);
+    return values;
+  };
+
+  if (screenshot === undefined && images === undefined) {
+    if (imageFormats !== undefined || artifactDelivery !== undefined) {
+      throw createArtifactError('imageFormats and artifactDelivery require screenshot or images');
+    }
+    return null;
+  }
+
+  const mode = screenshot === undefined ? null : String(screenshot).trim().toLowerCase();
+  if (mode !== null) checkAll('screenshot', [mode], SCREENSHOT_MODES);
+
+  let types = images === undefined ? [] : toList(images);
+  if (types.includes('all')) types = IMAGE_TYPES;
+  checkAll('image', types, IMAGE_TYPES);
+
+  const formats = imageFormats === undefined ? IMAGE_FORMATS : checkAll('image format', toList(imageFormats), IMAGE_FORMATS);
+  if (formats.length === 0) throw createArtifactError('At least one image format is required');
+
+  const delivery = artifactDelivery === undefined ? 'inline' : String(artifactDelivery).trim().toLowerCase();
+  checkAll('artifactDelivery', [delivery], DELIVERY_MODES);
+
+  return {
+    screenshot: mode,
+    images: [...new Set(types)],
+    formats: [...new Set(formats)],
+    delivery
+  };
+};
+
+/**
+ * Escapes text for use in SVG markup
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Quotes text as a CSS string
+ * Everything but letters, digits and a few punctuation marks is written as a hex escape, so page
+ * controlled values can't end the string, the rule or a CDATA section around it.
+ * @param {string} value - Raw text
+ * @returns {string} Quoted CSS string
+ */
+const toCssString = (value) => `"${String(value).replace(/[^\w .,'()+-]/gu, char => `\\${char.codePointAt(0).toString(16)} `)}"`;
+
+// Font weight and style descriptors such as 400, 100 900, italic or oblique 10deg
+const FONT_DESCRIPTOR_PATTERN = /^[\w .%-]+$/;
+
+/**
+ * Picks a readable label color for a swatch
+ * @param {string} hex - Swatch color
+ * @returns {string} Black or white
+ */
+const getLabelColor = (hex) => relativeLuminance(parseRgb(hexToRgb(hex))) > 0.4 ? '#111111' : '#ffffff';
+
+/**
+ * Wraps board content in an SVG document
+ * @param {number} width - Board width
+ * @param {number} height - Board height
+ * @param {string} content - SVG elements
+ * @param {string} [defs] - Content of the defs element
+ * @returns {string} SVG document
+ */
+const wrapSvg = (width, height, content, defs = '') => [
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+  defs ? `<defs>${defs}</defs>` : '',
+  `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+  content,
+  '</svg>'
+].join('');
+
+/**
+ * Renders the palette as a grid of swatches
+ * @param {Object} palette - Palette from buildPalette
+ * @returns {string} SVG document
+ */
+const renderPaletteSvg = (palette) => {
+  const columns = 6;
+  const swatch = { width: 180, height: 110, label: 56, gap: 20 };
+  const colors = palette.colors.slice(0, MAX_SWATCHES);
+  const rows = Math.max(1, Math.ceil(colors.length / columns));
+  const width = columns * (swatch.width + swatch.gap) + swatch.gap;
+  const height = rows * (swatch.height + swatch.label + swatch.gap) + swatch.gap;
+
+  const content = colors.map((color, index) => {
+    const x = swatch.gap + (index % columns) * (swatch.width + swatch.gap);
+    const y = swatch.gap + Math.floor(index / columns) * (swatch.height + swatch.label + swatch.gap);
+    return [
+      `<rect x="${x}" y="${y}" width="${swatch.width}" height="${swatch.height}" rx="8" fill="${color.hex}" stroke="#e5e5e5"/>`,
+      `<text x="${x + 12}" y="${y + swatch.height - 14}" ${LABEL_FONT} font-size="13" font-weight="600" fill="${getLabelColor(color.hex)}">${escapeXml(color.hex)}</text>`,
+      `<text x="${x}" y="${y + swatch.height + 22}" ${LABEL_FONT} font-size="14" font-weight="600" fill="#111111">${escapeXml(color.name)}</text>`,
+      `<text x="${x}" y="${y + swatch.height + 42}" ${LABEL_FONT} font-size="12" fill="#666666">${escapeXml(`${color.role || ''} · ${color.count} uses`)}</text>`
+    ].join('');
+  }).join('');
+
+  return wrapSvg(width, height, content);
+};
+
+/**
+ * Renders the gradients as swatches
+ * Swatches draw the gradient's CSS in a foreignObject, so every gradient type renders exactly as on the page in browsers.
+ * @param {Array} gradients - Gradients from extractGradients
+ * @returns {string} SVG document
+ */
+const renderGradientsSvg = (gradients) => {
+  const columns = 2;
+  const swatch = { width: 560, height: 120, label: 52, gap: 20 };
+  const shown = gradients.slice(0, MAX_GRADIENTS);
+  const rows = Math.max(1, Math.ceil(shown.length / columns));
+  const width = columns * (swatch.width + swatch.gap) + swatch.gap;
+  const height = rows * (swatch.height + swatch.label + swatch.gap) + swatch.gap;
+
+  const content = shown.map((gradient, index) => {
+    const x = swatch.gap + (index % columns) * (swatch.width + swatch.gap);
+    const y = swatch.gap + Math.floor(index / columns) * (swatch.height + swatch.label + swatch.gap);
+    const css = gradient.css.length > 90 ? `${gradient.css.substring(0, 87)}...` : gradient.css;
+    return [
+      `<foreignObject x="${x}" y="${y}" width="${swatch.width}" height="${swatch.height}">`,
+      `<div xmlns="http://www.w3.org/1999/xhtml" style="width:100%;height:100%;border-radius:8px;background:${escapeXml(gradient.css)}"></div>`,
+      '</foreignObject>',
+      `<text x="${x}" y="${y + swatch.height + 22}" ${LABEL_FONT} font-size="14" font-weight="600" fill="#111111">${escapeXml(gradient.name)}</text>`,
+      `<text x="${x}" y="${y + swatch.height + 40}" font-family="monospace" font-size="11" fill="#666666">${escapeXml(css)}</text>`
+    ].join('');
+  }).join('');
+
+  return wrapSvg(width, height, content);
+};
+
+/**
+ * Builds @font-face rules for the faces found on the page, so the specimen uses the real fonts
+ * @param {Object} fonts - Font inventory from extractFontInventory
+ * @returns {string} CSS rules
+ */
+const buildFontFaceCss = (fonts) => {
+  return ((fonts && fonts.faces) || [])
+    .filter(face => face.src.some(source => source.url))
+    .map(face => {
+      const src = face.src
+        .filter(source => source.url)
+        .map(source => `url(${toCssString(source.url)})${source.format ? ` format(${toCssString(source.format)})` : ''}`)
+        .join(', ');
+      const descriptors = [
+        FONT_DESCRIPTOR_PATTERN.test(face.weight) && `font-weight: ${face.weight};`,
+        FONT_DESCRIPTOR_PATTERN.test(face.style) && `font-style: ${face.style};`
+      ].filter(Boolean).join(' ');
+      return `@font-face { font-family: ${toCssString(face.family)}; src: ${src};${descriptors ? ` ${descriptors}` : ''} }`;
+    })
+    .join('\n');
+};
+
+/**
+ * Applies a CSS text-transform to the specimen text, SVG text doesn't support it everywhere
+ * @param {string} text - Sample text
+ * @param {string} transform - Computed text-transform
+ * @returns {string} Transformed text
+ */
+const applyTextTransform = (text, transform) => {
+  if (transform === 'uppercase') return text.toUpperCase();
+  if (transform === 'lowercase') return text.toLowerCase();
+  if (transform === 'capitalize') return text.replace(/\b\w/g, letter => letter.toUpperCase());
+  return text;
+};
+
+/**
+ * Renders every typography group as a line of text in its own font
+ * @param {Array} typography - Typography groups from extractTypography
+ * @param {Object} fonts - Font inventory from extractFontInventory
+ * @returns {string} SVG document
+ */
+const renderSpecimenSvg = (typography, fonts) => {
+  const width = 1200;
+  const padding = 32;
+  let y = padding;
+
+  const rows = typography.slice(0, MAX_SPECIMENS).map(group => {
+    const size = parseFloat(group['font-size']) || 16;
+    const stack = (group['font-stack'] || [group['font-family']])
+      .map(family => (/^[\w-]+$/.test(family) ? family : toCssString(family)))
+      .join(', ');
+    const label = `${group.tag} · ${group['font-family']} ${group['font-size']}/${group['line-height']} · ${group['font-weight']} · ${group.count} uses`;
+    const letterSpacing = group['letter-spacing'] && group['letter-spacing'] !== 'normal'
+      ? ` letter-spacing="${escapeXml(group['letter-spacing'])}"`
+      : '';
+
+    const labelY = y + 14;
+    const textY = labelY + 12 + size;
+    y = textY + Math.max(16, size * 0.4) + 16;
+
+    return [
+      `<text x="${padding}" y="${labelY}" ${LABEL_FONT} font-size="12" fill="#888888">${escapeXml(label)}</text>`,
+      `<text x="${padding}" y="${textY}" font-family="${escapeXml(stack)}" font-size="${size}" font-weight="${escapeXml(group['font-weight'])}" font-style="${escapeXml(group['font-style'] || 'normal')}"${letterSpacing} fill="#111111">`,
+      escapeXml(applyTextTransform(SPECIMEN_TEXT, group['text-transform'])),
+      '</text>',
+      `<line x1="${padding}" y1="${y - 8}" x2="${width - padding}" y2="${y - 8}" stroke="#eeeeee"/>`
+    ].join('');
+  }).join('');
+
+  const fontFaces = buildFontFaceCss(fonts);
+  return wrapSvg(width, Math.max(y + padding, 100), rows, fontFaces ? `<style><![CDATA[\n${fontFaces}\n]]></style>` : '');
+};
+
+/**
+ * Rasterizes an SVG inside the analyzed page, where the page's web fonts are already loaded
+ * The SVG is mounted in a shadow root on top of the page, so page styles don't leak into it.
+ * @param {Page} page - Puppeteer page object
+ * @param {string} svg - SVG document
+ * @returns {Promise<Buffer>} PNG image
+ */
+const renderPng = async (page, svg) => {
+  const host = await page.evaluateHandle(async (markup) => {
+    const element = document.createElement('div');
+    element.style.cssText = 'all: initial; position: absolute; left: 0; top: 0; z-index: 2147483647; display: block;';
+    element.attachShadow({ mode: 'open' }).innerHTML = markup;
+    document.documentElement.appendChild(element);
+    await document.fonts.ready;
+    return element;
+  }, svg);
+
+  try {
+    return await host.screenshot({ type: 'png' });
+  } finally {
+    await host.evaluate(element => element.remove()).catch(() => {});
+    await host.dispose().catch(() => {});
+  }
+};
+
+/**
+ * Returns an artifact inline or stores it for download
+ * @param {Buffer|string} content - File content
+ * @param {string} format - png or svg
+ * @param {string} delivery - inline or url
+ * @returns {Promise<Object>} Format, content type and either base64 data or URL
+ */
+const deliverArtifact = async (content, format, delivery) => {
+  const mimeType = format === 'png' ? 'image/png' : 'image/svg+xml';
+  if (delivery === 'url') {
+    const { fileName, expiresAt } = await saveArtifact(content, format);
+    return { format, mimeType, url: `/artifacts/${fileName}`, expiresAt };
+  }
+
+  return { format, mimeType, encoding: 'base64', data: Buffer.from(content).toString('base64') };
+};
+
+/**
+ * Takes the requested screenshot and renders the requested style board images
+ * @param {Page} page - Loaded Puppeteer page
+ * @param {Object} styles - Extracted styles with typography, fonts, palette and gradients
+ * @param {Object} settings - Settings from resolveArtifactOptions
+ * @returns {Promise<Object>} Screenshot and images by type and format, null for empty boards
+ */
+const buildArtifacts = async (page, styles, settings) => {
+  const artifacts = {};
+
+  // Taken first, before anything is drawn over the page
+  if (settings.screenshot) {
+    const screenshot = await page.screenshot({ type: 'png', fullPage: settings.screenshot === 'full' });
+    artifacts.screenshot = { mode: settings.screenshot, ...await deliverArtifact(screenshot, 'png', settings.delivery) };
+  }
+
+  const renderers = {
+    palette: () => styles.palette.colors.length > 0 ? renderPaletteSvg(styles.palette) : null,
+    gradients: () => styles.gradients.length > 0 ? renderGradientsSvg(styles.gradients) : null,
+    specimen: () => styles.typography.length > 0 ? renderSpecimenSvg(styles.typography, styles.fonts) : null
+  };
+
+  for (const type of settings.images) {
+    const svg = renderers[type]();
+    if (!svg) {
+      artifacts[type] = null;
+      continue;
+    }
+
+    artifacts[type] = {};
+    for (const format of settings.formats) {
+      const content = format === 'svg' ? svg : await renderPng(page, svg);
+      artifacts[type][format] = await deliverArtifact(content, format, settings.delivery);
+    }
+  }
+
+  return artifacts;
+};
+
+module.exports = {
+  resolveArtifactOptions,
+  buildArtifacts
+};
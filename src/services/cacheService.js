@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const path = require('path');
+const { createMemoryBackend, createFileBackend } = require('../utils/cacheStore');
+
+// Cache configuration from environment variables
+const CACHE_BACKEND = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+const CACHE_TTL = parseInt(process.env.CACHE_TTL || 3600000); // 1 hour in milliseconds
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES || 100);
+const CACHE_MAX_BYTES = parseInt(process.env.CACHE_MAX_BYTES || 52428800); // 50 MB
+const CACHE_DIR = path.resolve(process.env.CACHE_DIR || path.join(process.cwd(), 'data', 'cache'));
+
+// Query parameters that only track visitors and never change the page
+const TRACKING_PARAMS = /^(utm_[a-z]+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|_ga|_gl)$/i;
+
+const backend = CACHE_BACKEND === 'file' ? createFileBackend(CACHE_DIR) : createMemoryBackend();
+
+// Entry metadata by id, least recently used first
+const index = new Map();
+let totalBytes = 0;
+let loading = null;
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  expired: 0,
+  evictions: 0,
+  writes: 0
+};
+
+/**
+ * Normalizes a URL so equivalent addresses share cache entries
+ * @param {string} url - URL to normalize
+ * @returns {string} URL without fragment and tracking parameters, with sorted query parameters
+ */
+const normalizeCacheUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+
+    const params = Array.from(parsed.searchParams.entries())
+      .filter(([name]) => !TRACKING_PARAMS.test(name))
+      .sort(([a], [b]) => a.localeCompare(b));
+    parsed.search = new URLSearchParams(params).toString();
+
+    return parsed.toString();
+  } catch (error) {
+    return url;
+  }
+};
+
+/**
+ * Serializes a value to JSON with object keys in a stable order
+ * @param {any} value - Value to serialize
+ * @returns {string} JSON string
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Builds the cache key and entry id for a URL and the options that shape its result
+ * @param {string} url - URL that was analyzed
+ * @param {Object} options - Options that change the result
+ * @returns {Object} Normalized URL, key and a file-name safe id
+ */
+const buildCacheKey = (url, options) => {
+  const normalizedUrl = normalizeCacheUrl(url);
+  const key = `${normalizedUrl}|${stableStringify(options)}`;
+  const id = crypto.createHash('sha256').update(key).digest('hex');
+  return { url: normalizedUrl, key, id };
+};
+
+/**
+ * Removes an entry from the index and the backend
+ * @param {string} id - Entry id
+ * @returns {Promise<void>}
+ */
+const removeEntry = async (id) => {
+  const meta = index.get(id);
+  if (!meta) return;
+
+  index.delete(id);
+  totalBytes -= meta.size;
+  try {
+    await backend.delete(id);
+  } catch (error) {
+    console.error(`Failed to remove cache entry ${id}:`, error.message);
+  }
+};
+
+/**
+ * Evicts least recently used entries until the cache is within its limits
+ * @returns {Promise<void>}
+ */
+const enforceLimits = async () => {
+  while (index.size > 0 && (index.size > CACHE_MAX_ENTRIES || totalBytes > CACHE_MAX_BYTES)) {
+    const oldestId = index.keys().next().value;
+    await removeEntry(oldestId);
+    stats.evictions++;
+  }
+};
+
+/**
+ * Loads the entries kept by the backend, once
+ * @returns {Promise<void>}
+ */
+const ensureLoaded = () => {
+  if (!loading) {
+    loading = (async () => {
+      try {
+        const entries = await backend.load();
+        const now = Date.now();
+
+        // Oldest first, so the most recent entries end up at the end of the LRU order
+        entries
+          .sort((a, b) => a.createdAt - b.createdAt)
+          .forEach(meta => {
+            if (meta.expiresAt <= now) {
+              backend.delete(meta.id).catch(() => {});
+              return;
+            }
+            index.set(meta.id, meta);
+            totalBytes += meta.size;
+          });
+
+        await enforceLimits();
+        if (entries.length > 0) {
+          console.log(`Loaded ${index.size} cached result(s) from the ${backend.name} cache`);
+        }
+      } catch (error) {
+        console.error('Failed to load cached results:', error.message);
+      }
+    })();
+  }
+  return loading;
+};
+
+/**
+ * Returns a cached result
+ * @param {string} url - URL that was analyzed
+ * @param {Object} options - Options that change the result
+ * @returns {Promise<Object|null>} Cached result, or null on a miss
+ */
+const getCachedResult = async (url, options) => {
+  await ensureLoaded();
+  const { id } = buildCacheKey(url, options);
+  const meta = index.get(id);
+
+  if (!meta) {
+    stats.misses++;
+    return null;
+  }
+
+  if (meta.expiresAt <= Date.now()) {
+    await removeEntry(id);
+    stats.expired++;
+    stats.misses++;
+    return null;
+  }
+
+  const entry = await backend.get(id);
+  if (!entry) {
+    // The backend lost the entry, e.g. a cache file was deleted by hand
+    index.delete(id);
+    totalBytes -= meta.size;
+    stats.misses++;
+    return null;
+  }
+
+  // Move to the most recently used end
+  index.delete(id);
+  meta.lastAccessedAt = Date.now();
+  meta.hits = (meta.hits || 0) + 1;
+  index.set(id, meta);
+  stats.hits++;
+
+  return entry.data;
+};
+
+/**
+ * Stores a result, evicting least recently used entries when the cache is full
+ * @param {string} url - URL that was analyzed
+ * @param {Object} options - Options that change the result
+ * @param {Object} data - Result to cache
+ * @returns {Promise<void>}
+ */
+const setCachedResult = async (url, options, data) => {
+  await ensureLoaded();
+  const { url: normalizedUrl, key, id } = buildCacheKey(url, options);
+  const size = Buffer.byteLength(JSON.stringify(data));
+
+  // A single result larger than the whole cache is not worth evicting everything for
+  if (size > CACHE_MAX_BYTES) {
+    console.log(`Result for ${url} is too large to cache (${size} bytes)`);
+    return;
+  }
+
+  const now = Date.now();
+  const meta = {
+    id,
+    key,
+    url: normalizedUrl,
+    options,
+    createdAt: now,
+    lastAccessedAt: now,
+    expiresAt: now + CACHE_TTL,
+    size,
+    hits: 0
+  };
+
+  try {
+    await backend.set({ ...meta, data });
+  } catch (error) {
+    console.error(`Failed to cache result for ${url}:`, error.message);
+    return;
+  }
+
+  if (index.has(id)) {
+    totalBytes -= index.get(id).size;
+    index.delete(id);
+  }
+  index.set(id, meta);
+  totalBytes += size;
+  stats.writes++;
+
+  await enforceLimits();
+};
+
+/**
+ * Removes cached results
+ * @param {string} [url] - Only remove results of this URL (all option variants), everything if omitted
+ * @returns {Promise<number>} Number of removed entries
+ */
+const purgeCache = async (url) => {
+  await ensureLoaded();
+
+  if (!url) {
+    const removed = index.size;
+    index.clear();
+    totalBytes = 0;
+    await backend.clear();
+    return removed;
+  }
+
+  const normalizedUrl = normalizeCacheUrl(url);
+  const ids = Array.from(index.values())
+    .filter(meta => meta.url === normalizedUrl)
+    .map(meta => meta.id);
+
+  for (const id of ids) {
+    await removeEntry(id);
+  }
+  return ids.length;
+};
+
+/**
+ * Lists cached entries without their results
+ * @returns {Promise<Array>} Entry metadata, most recently used first
+ */
+const listCacheEntries = async () => {
+  await ensureLoaded();
+  const now = Date.now();
+
+  return Array.from(index.values()).reverse().map(({ key, ...meta }) => ({
+    ...meta,
+    createdAt: new Date(meta.createdAt).toISOString(),
+    lastAccessedAt: new Date(meta.lastAccessedAt).toISOString(),
+    expiresAt: new Date(meta.expiresAt).toISOString(),
+    expired: meta.expiresAt <= now
+  }));
+};
+
+/**
+ * Returns cache usage and hit/miss statistics
+ * @returns {Promise<Object>} Backend, limits, size and counters
+ */
+const getCacheStats = async () => {
+  await ensureLoaded();
+  const lookups = stats.hits + stats.misses;
+
+  return {
+    backend: backend.name,
+    ttl: CACHE_TTL,
+    limits: {
+      maxEntries: CACHE_MAX_ENTRIES,
+      maxBytes: CACHE_MAX_BYTES
+    },
+    entries: index.size,
+    bytes: totalBytes,
+    ...stats,
+    hitRate: lookups > 0 ? Math.round(stats.hits / lookups * 10000) / 10000 : null
+  };
+};
+
+module.exports = {
+  normalizeCacheUrl,
+  getCachedResult,
+  setCachedResult,
+  purgeCache,
+  listCacheEntries,
+  getCacheStats
+};
@@ -0,0 +1,161 @@
+const { extractColors, buildPalette } = require('./colorService');
+const { extractGradients } = require('./gradientService');
+const { applyColorScheme } = require('../utils/colorSchemeUtils');
+const { parseRgba, rgbToHex, findClosestColorName } = require('../utils/colorUtils');
+
+// Per element properties compared between the two schemes
+const MAPPED_PROPERTIES = ['text', 'background', 'border'];
+
+/**
+ * Reads the text, background and border color of each element
+ * @param {Page} page - Puppeteer page object
+ * @param {JSHandle} elementsHandle - Handle to the array of elements to read
+ * @returns {Promise<Array>} Hex colors by property for every element, null where a property isn't drawn
+ */
+const captureElementColors = async (page, elementsHandle) => {
+  const rawColors = await page.evaluate((elements) => elements.map(el => {
+    // Elements removed by the theme switch have no computed style anymore
+    if (!el.isConnected) return null;
+
+    const computed = window.getComputedStyle(el);
+    const hasText = Array.from(el.childNodes)
+      .some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+    const hasBorder = (parseFloat(computed.borderTopWidth) || 0) > 0 &&
+      computed.borderTopStyle !== 'none' && computed.borderTopStyle !== 'hidden';
+
+    return {
+      text: hasText ? computed.color : null,
+      background: computed.backgroundColor,
+      border: hasBorder ? computed.borderTopColor : null
+    };
+  }), elementsHandle);
+
+  const toHex = (value) => {
+    const rgba = parseRgba(value);
+    return rgba && rgba.a > 0 ? rgbToHex(rgba) : null;
+  };
+
+  return rawColors.map(element => element && {
+    text: toHex(element.text),
+    background: toHex(element.background),
+    border: toHex(element.border)
+  });
+};
+
+/**
+ * Extracts the colors, palette and gradients of the page's current rendering
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} [options] - Palette options
+ * @param {number} [options.paletteThreshold] - Delta E 2000 used to merge near-duplicate colors
+ * @returns {Promise<Object>} Colors, palette and gradients
+ */
+const extractSchemeStyles = async (page, { paletteThreshold } = {}) => {
+  const [colors, gradients] = await Promise.all([extractColors(page), extractGradients(page)]);
+  return {
+    colors,
+    palette: buildPalette(colors, { threshold: paletteThreshold }),
+    gradients
+  };
+};
+
+/**
+ * Works out which light color becomes which dark color by comparing the same elements in both schemes
+ * @param {Object} light - Light scheme styles from extractSchemeStyles
+ * @param {Object} dark - Dark scheme styles from extractSchemeStyles
+ * @param {Array} lightElements - Element colors from captureElementColors in the light scheme
+ * @param {Array} darkElements - Element colors from captureElementColors in the dark scheme
+ * @returns {Array} One entry per light color with the dark color it most often turns into
+ */
+const mapSchemeColors = (light, dark, lightElements, darkElements) => {
+  const pairs = {};
+
+  lightElements.forEach((before, index) => {
+    const after = darkElements[index];
+    if (!before || !after) return;
+
+    MAPPED_PROPERTIES.forEach(property => {
+      if (!before[property] || !after[property]) return;
+
+      const entry = pairs[before[property]] = pairs[before[property]] || { targets: {}, properties: new Set(), total: 0 };
+      entry.targets[after[property]] = (entry.targets[after[property]] || 0) + 1;
+      entry.properties.add(property);
+      entry.total++;
+    });
+  });
+
+  const describe = (hex, colors) => {
+    const color = colors.find(candidate => candidate.hex === hex);
+    return color
+      ? { name: color.name, hex, role: color.role }
+      : { name: findClosestColorName(hex), hex, role: null };
+  };
+  const importance = (hex) => (light.colors.find(color => color.hex === hex) || {}).importance || 0;
+
+  return Object.entries(pairs)
+    .map(([hex, entry]) => {
+      const targets = Object.entries(entry.targets)
+        .map(([target, elements]) => ({ hex: target, elements }))
+        .sort((a, b) => b.elements - a.elements);
+
+      return {
+        light: describe(hex, light.colors),
+        dark: describe(targets[0].hex, dark.colors),
+        unchanged: targets[0].hex === hex,
+        // Share of the color's occurrences that turn into the chosen dark color
+        confidence: Math.round(targets[0].elements / entry.total * 100) / 100,
+        properties: Array.from(entry.properties),
+        alternatives: targets.slice(1, 4)
+      };
+    })
+    .sort((a, b) => importance(b.light.hex) - importance(a.light.hex));
+};
+
+/**
+ * Renders a loaded page in the light scheme and the emulated dark scheme and compares their colors
+ * @param {Page} page - Puppeteer page loaded in the light scheme
+ * @param {Object} settings - Settings from resolveColorScheme
+ * @param {Object} lightStyles - Colors, palette and gradients already extracted from the light rendering
+ * @returns {Promise<Object>} Emulation details, both schemes side by side and the light to dark color mapping
+ */
+const extractColorSchemes = async (page, settings, lightStyles) => {
+  // The same elements are read before and after the switch
+  const elementsHandle = await page.evaluateHandle(() => Array.from(document.querySelectorAll('*')));
+
+  try {
+    const lightElements = await captureElementColors(page, elementsHandle);
+    const toggle = await applyColorScheme(page, settings);
+    const dark = await extractSchemeStyles(page, { paletteThreshold: lightStyles.palette.threshold });
+    const darkElements = await captureElementColors(page, elementsHandle);
+
+    const mapping = mapSchemeColors(lightStyles, dark, lightElements, darkElements);
+    const changed = mapping.filter(entry => !entry.unchanged).length;
+    const lightGradients = new Set(lightStyles.gradients.map(gradient => gradient.css));
+    const changedGradients = dark.gradients.filter(gradient => !lightGradients.has(gradient.css)).length;
+
+    return {
+      emulation: {
+        colorScheme: settings.scheme,
+        contrast: settings.contrast,
+        forcedColors: settings.forcedColors,
+        themeClass: settings.themeClass,
+        themeToggle: settings.themeToggle && { selector: settings.themeToggle, ...toggle }
+      },
+      light: lightStyles,
+      dark,
+      mapping,
+      summary: {
+        mappedColors: mapping.length,
+        changedColors: changed,
+        changedGradients,
+        // Nothing changing means the site has no styles for the emulated scheme
+        supportsScheme: changed > 0 || changedGradients > 0
+      }
+    };
+  } finally {
+    await elementsHandle.dispose().catch(() => {});
+  }
+};
+
+module.exports = {
+  extractColorSchemes
+};
@@ -1,50 +1,318 @@
-const { hexToRgb, rgbToHex, findClosestColorName, sortColorsByBrightness } = require('../utils/colorUtils');
+const {
+  hexToRgb, parseRgb, rgbToHex, rgbToHsl, rgbToOklab, oklabToOklch,
+  clusterColors, findClosestColorName
+} = require('../utils/colorUtils');
+
+// Property groups used to break down color usage
+const USAGE_CATEGORIES = ['text', 'background', 'border', 'outline', 'decoration'];
+
+// Default Delta E 2000 below which two colors are merged into one palette entry
+const DEFAULT_PALETTE_THRESHOLD = parseFloat(process.env.PALETTE_DELTA_E || 5);
+
+// Hue families (OKLCh hue ranges in degrees) used to build tonal scales
+const HUE_FAMILIES = [
+  { name: 'red', from: 10, to: 45 },
+  { name: 'orange', from: 45, to: 80 },
+  { name: 'yellow', from: 80, to: 115 },
+  { name: 'green', from: 115, to: 165 },
+  { name: 'teal', from: 165, to: 195 },
+  { name: 'cyan', from: 195, to: 235 },
+  { name: 'blue', from: 235, to: 275 },
+  { name: 'purple', from: 275, to: 320 },
+  { name: 'pink', from: 320, to: 370 }
+];
+
+// Chroma below which a color is treated as a neutral grey
+const NEUTRAL_CHROMA = 0.03;
+
+// Scale steps and the OKLab lightness they roughly correspond to
+const SCALE_STEPS = [
+  { step: 50, lightness: 0.97 },
+  { step: 100, lightness: 0.93 },
+  { step: 200, lightness: 0.87 },
+  { step: 300, lightness: 0.8 },
+  { step: 400, lightness: 0.71 },
+  { step: 500, lightness: 0.63 },
+  { step: 600, lightness: 0.55 },
+  { step: 700, lightness: 0.47 },
+  { step: 800, lightness: 0.39 },
+  { step: 900, lightness: 0.3 },
+  { step: 950, lightness: 0.22 }
+];
+
+/**
+ * Infers the role of each color from how and where it is used
+ * @param {Array} colors - Colors with usage, area and elements
+ * @returns {Array} Same colors with role and importance added
+ */
+const classifyColorRoles = (colors) => {
+  const totalCount = colors.reduce((sum, color) => sum + color.count, 0) || 1;
+  const totalArea = colors.reduce((sum, color) => sum + color.area, 0) || 1;
+  const totalElements = colors.reduce((sum, color) => sum + color.elements, 0) || 1;
+  const totalBackgroundArea = colors.reduce((sum, color) => sum + color.backgroundArea, 0) || 1;
+
+  // The most used text color and the largest background are the page's base colors
+  const byText = colors.filter(color => color.usage.text > 0).sort((a, b) => b.usage.text - a.usage.text);
+  const byBackground = colors.filter(color => color.backgroundArea > 0).sort((a, b) => b.backgroundArea - a.backgroundArea);
+  const primaryText = byText[0];
+  const surface = byBackground[0];
+
+  return colors.map(color => {
+    let role;
+    const rgb = parseRgb(color.rgb);
+    const hsl = rgb ? rgbToHsl(rgb) : { s: 0, l: 0 };
+    const isSaturated = hsl.s >= 0.3 && hsl.l > 0.15 && hsl.l < 0.9;
+
+    // Dominant usage category for this color
+    const dominant = USAGE_CATEGORIES.reduce((best, category) =>
+      color.usage[category] > color.usage[best] ? category : best, 'text');
+
+    if (color === primaryText) {
+      role = 'primary-text';
+    } else if (color === surface) {
+      role = 'surface-background';
+    } else if (isSaturated) {
+      role = 'accent';
+    } else if (color.backgroundArea > 0 && (dominant === 'background' || color.backgroundArea / totalBackgroundArea >= 0.1)) {
+      role = color.backgroundArea / totalBackgroundArea >= 0.1 ? 'surface-background' : 'secondary-background';
+    } else if (dominant === 'text') {
+      role = 'secondary-text';
+    } else if (dominant === 'border' || dominant === 'outline') {
+      role = 'border';
+    } else {
+      role = 'decoration';
+    }
+
+    // Weighted share of rendered area, occurrences and elements
+    const importance = 0.5 * (color.area / totalArea) +
+      0.3 * (color.count / totalCount) +
+      0.2 * (color.elements / totalElements);
+
+    const { backgroundArea, ...rest } = color;
+    return {
+      ...rest,
+      role,
+      importance: Math.round(importance * 10000) / 10000
+    };
+  });
+};
+
+/**
+ * Finds the hue family a color belongs to
+ * @param {Object} oklch - Color in OKLCh
+ * @returns {string} Hue family name, or gray for neutrals
+ */
+const getHueFamily = (oklch) => {
+  if (oklch.c < NEUTRAL_CHROMA) return 'gray';
+
+  // Pink wraps around 0 degrees
+  const hue = oklch.h < HUE_FAMILIES[0].from ? oklch.h + 360 : oklch.h;
+  const family = HUE_FAMILIES.find(range => hue >= range.from && hue < range.to);
+  return family ? family.name : 'red';
+};
+
+/**
+ * Groups palette entries into tonal scales per hue family (e.g. blue-100 … blue-900)
+ * @param {Array} palette - Palette entries with hex, name and oklch values
+ * @returns {Object} Scales keyed by hue family
+ */
+const buildTonalScales = (palette) => {
+  const families = {};
+  palette.forEach(entry => {
+    const family = getHueFamily(entry.oklch);
+    (families[family] = families[family] || []).push(entry);
+  });
+
+  const scales = {};
+  Object.entries(families).forEach(([family, entries]) => {
+    const usedSteps = new Set();
+    const steps = [];
+
+    // Lightest colors pick their step first, each step is used once
+    entries
+      .sort((a, b) => b.oklch.l - a.oklch.l)
+      .forEach(entry => {
+        const candidates = SCALE_STEPS
+          .filter(({ step }) => !usedSteps.has(step))
+          .sort((a, b) => Math.abs(a.lightness - entry.oklch.l) - Math.abs(b.lightness - entry.oklch.l));
+        if (candidates.length === 0) return;
+
+        usedSteps.add(candidates[0].step);
+        steps.push({
+          step: candidates[0].step,
+          token: `${family}-${candidates[0].step}`,
+          hex: entry.hex,
+          name: entry.name
+        });
+      });
+
+    scales[family] = steps.sort((a, b) => a.step - b.step);
+  });
+
+  return scales;
+};
+
+/**
+ * Merges near-duplicate colors into a palette and groups it into tonal scales
+ * @param {Array} colors - Colors from extractColors
+ * @param {Object} [options] - Palette options
+ * @param {number} [options.threshold] - Maximum Delta E 2000 for colors to be merged
+ * @returns {Object} Palette entries with their variants and tonal scales
+ */
+const buildPalette = (colors, { threshold = DEFAULT_PALETTE_THRESHOLD } = {}) => {
+  const clusters = clusterColors(colors, threshold, color => color.importance || color.count || 0);
+
+  const palette = clusters.map(cluster => {
+    const { representative, members } = cluster;
+    const oklch = oklabToOklch(rgbToOklab(parseRgb(representative.rgb)));
+    const sum = (prop) => members.reduce((total, { color }) => total + (color[prop] || 0), 0);
+
+    return {
+      name: representative.name,
+      hex: representative.hex,
+      rgb: representative.rgb,
+      role: representative.role,
+      count: sum('count'),
+      elements: sum('elements'),
+      area: sum('area'),
+      importance: Math.round(sum('importance') * 10000) / 10000,
+      oklch: {
+        l: Math.round(oklch.l * 1000) / 1000,
+        c: Math.round(oklch.c * 1000) / 1000,
+        h: Math.round(oklch.h * 10) / 10
+      },
+      variants: members.slice(1).map(({ color, deltaE }) => ({
+        name: color.name,
+        hex: color.hex,
+        count: color.count,
+        deltaE
+      }))
+    };
+  });
+
+  // Most important entries first
+  palette.sort((a, b) => b.importance - a.importance || b.count - a.count);
+
+  return {
+    threshold,
+    sourceColors: colors.length,
+    colors: palette,
+    scales: buildTonalScales(palette)
+  };
+};
 
 /**
  * Extracts all colors from webpage
  * @param {Page} page - Puppeteer page object
- * @returns {Array} List of colors with name, hex and rgb values
+ * @returns {Array} List of colors with name, hex, rgb values and usage statistics, most important first
  */
 const extractColors = async (page) => {
   const rawColors = await page.evaluate(() => {
-    // Set to keep track of unique colors
-    const uniqueColors = new Set();
-    const colorProperties = [
-      'color', 'background-color', 'border-color', 'border-top-color', 
-      'border-right-color', 'border-bottom-color', 'border-left-color',
-      'outline-color', 'text-decoration-color'
-    ];
-    
+    // Usage statistics per color value
+    const colorUsage = {};
+    // Tags that never render anything on the page
+    const ignoredTags = ['HEAD', 'TITLE', 'META', 'LINK', 'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'BASE'];
+    const borderSides = ['top', 'right', 'bottom', 'left'];
+
+    // Only add valid color values (rgb, rgba, hex)
+    const isValidColor = (value) => value &&
+      value !== 'transparent' &&
+      value !== 'none' &&
+      value !== 'inherit' &&
+      value !== 'initial' &&
+      value !== 'currentcolor' &&
+      value !== 'rgba(0, 0, 0, 0)';
+
+    const recordColor = (value, category, elementIndex, area) => {
+      value = (value || '').trim();
+      if (!isValidColor(value)) return;
+
+      if (!colorUsage[value]) {
+        colorUsage[value] = {
+          value,
+          count: 0,
+          usage: { text: 0, background: 0, border: 0, outline: 0, decoration: 0 },
+          elements: new Set(),
+          area: 0,
+          backgroundArea: 0
+        };
+      }
+
+      const entry = colorUsage[value];
+      entry.count++;
+      entry.usage[category]++;
+      entry.elements.add(elementIndex);
+      entry.area += area;
+      if (category === 'background') {
+        entry.backgroundArea += area;
+      }
+    };
+
     // Get all elements
     const elements = Array.from(document.querySelectorAll('*'));
-    
+
     // Extract all colors from computed style
-    elements.forEach(el => {
+    elements.forEach((el, index) => {
+      if (ignoredTags.includes(el.tagName)) return;
+
       const computed = window.getComputedStyle(el);
-      
-      colorProperties.forEach(prop => {
-        const value = computed.getPropertyValue(prop).trim();
-        
-        // Only add valid color values (rgb, rgba, hex)
-        if (value && 
-            value !== 'transparent' && 
-            value !== 'none' && 
-            value !== 'inherit' && 
-            value !== 'initial' && 
-            value !== 'currentcolor' &&
-            value !== 'rgba(0, 0, 0, 0)') {
-          uniqueColors.add(value);
+      const rect = el.getBoundingClientRect();
+      const isRendered = computed.display !== 'none' && computed.visibility !== 'hidden';
+      const boxArea = isRendered ? rect.width * rect.height : 0;
+
+      // Text color only counts where the element renders its own text
+      const textNodes = Array.from(el.childNodes)
+        .filter(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+      if (textNodes.length > 0) {
+        let textArea = 0;
+        let textWidth = 0;
+        if (isRendered) {
+          textNodes.forEach(node => {
+            const range = document.createRange();
+            range.selectNodeContents(node);
+            const textRect = range.getBoundingClientRect();
+            textArea += textRect.width * textRect.height;
+            textWidth += textRect.width;
+          });
+        }
+
+        recordColor(computed.color, 'text', index, textArea);
+
+        if (computed.textDecorationLine && computed.textDecorationLine !== 'none') {
+          const thickness = parseFloat(computed.textDecorationThickness) || 1;
+          recordColor(computed.textDecorationColor, 'decoration', index, textWidth * thickness);
+        }
+      }
+
+      recordColor(computed.backgroundColor, 'background', index, boxArea);
+
+      // Borders and outlines only count when they are actually drawn
+      borderSides.forEach(side => {
+        const width = parseFloat(computed.getPropertyValue(`border-${side}-width`)) || 0;
+        const style = computed.getPropertyValue(`border-${side}-style`);
+        if (width > 0 && style !== 'none' && style !== 'hidden') {
+          const length = side === 'top' || side === 'bottom' ? rect.width : rect.height;
+          recordColor(computed.getPropertyValue(`border-${side}-color`), 'border', index, isRendered ? width * length : 0);
         }
       });
+
+      const outlineWidth = parseFloat(computed.outlineWidth) || 0;
+      if (outlineWidth > 0 && computed.outlineStyle !== 'none') {
+        recordColor(computed.outlineColor, 'outline', index, isRendered ? outlineWidth * 2 * (rect.width + rect.height) : 0);
+      }
     });
-    
-    return Array.from(uniqueColors);
+
+    return Object.values(colorUsage).map(entry => ({
+      ...entry,
+      elements: Array.from(entry.elements)
+    }));
   });
-  
+
   // Process raw colors to add name, hex and rgb formats
-  const processedColors = rawColors.map(colorValue => {
+  const processedColors = rawColors.map(rawColor => {
+    const colorValue = rawColor.value;
     let hex, rgb;
-    
+
     if (colorValue.startsWith('#')) {
       hex = colorValue;
       rgb = hexToRgb(colorValue);
@@ -67,29 +335,53 @@ const extractColors = async (page) => {
       hex = '#000000';
       rgb = 'RGB(0, 0, 0)';
     }
-    
+
     return {
       name: findClosestColorName(colorValue),
       hex,
-      rgb
+      rgb,
+      count: rawColor.count,
+      usage: rawColor.usage,
+      elements: rawColor.elements,
+      area: rawColor.area,
+      backgroundArea: rawColor.backgroundArea
     };
   });
-  
-  // Remove any potential duplicates again (might happen after processing)
+
+  // Merge duplicates that map to the same hex (e.g. rgb and rgba of the same color)
   const uniqueProcessedColors = [];
-  const seenHexCodes = new Set();
-  
+  const colorsByHex = {};
+
   processedColors.forEach(color => {
-    if (!seenHexCodes.has(color.hex)) {
-      seenHexCodes.add(color.hex);
-      uniqueProcessedColors.push(color);
+    const existing = colorsByHex[color.hex];
+    if (!existing) {
+      colorsByHex[color.hex] = { ...color, elements: new Set(color.elements) };
+      uniqueProcessedColors.push(colorsByHex[color.hex]);
+      return;
     }
+
+    existing.count += color.count;
+    existing.area += color.area;
+    existing.backgroundArea += color.backgroundArea;
+    color.elements.forEach(index => existing.elements.add(index));
+    Object.keys(color.usage).forEach(category => {
+      existing.usage[category] += color.usage[category];
+    });
   });
-  
-  // Sort colors from black to white
-  return sortColorsByBrightness(uniqueProcessedColors);
+
+  const colorsWithUsage = uniqueProcessedColors.map(color => ({
+    ...color,
+    elements: color.elements.size,
+    area: Math.round(color.area)
+  }));
+
+  // Most important colors first, like the palette
+  return classifyColorRoles(colorsWithUsage)
+    .sort((a, b) => b.importance - a.importance || b.count - a.count);
 };
 
 module.exports = {
-  extractColors
-}; 
\ No newline at end of file
+  DEFAULT_PALETTE_THRESHOLD,
+  extractColors,
+  buildPalette
+};
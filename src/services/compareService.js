@@ -0,0 +1,288 @@
+const { hexToRgb, parseRgb, rgbToLab, deltaE2000 } = require('../utils/colorUtils');
+
+// Delta E 2000 below which two colors count as the same color
+const DEFAULT_COLOR_TOLERANCE = 5;
+
+// Weight of each style category in the overall similarity score
+const SIMILARITY_WEIGHTS = {
+  colors: 0.4,
+  typography: 0.35,
+  fonts: 0.15,
+  gradients: 0.1
+};
+
+// Properties that make two typography groups the same style, as in extractTypography
+const TYPOGRAPHY_PROPS = ['font-family', 'font-size', 'font-weight', 'line-height', 'letter-spacing'];
+
+/**
+ * Converts a hex color (alpha is ignored) to CIELAB
+ * @param {string} hex - Color as #rrggbb or #rrggbbaa
+ * @returns {Object|null} Lab color or null if it can't be parsed
+ */
+const hexToLab = (hex) => {
+  const rgb = /^#[0-9a-f]{6}/i.test(hex || '') ? parseRgb(hexToRgb(hex.substring(0, 7))) : null;
+  return rgb ? rgbToLab(rgb) : null;
+};
+
+/**
+ * Rounds a ratio to four decimals
+ * @param {number} value - Ratio between 0 and 1
+ * @returns {number} Rounded ratio
+ */
+const roundRatio = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Pairs up perceptually matching colors of two sites, closest pairs first, each color used once
+ * @param {Array} colorsA - Colors from extractColors for the first site
+ * @param {Array} colorsB - Colors from extractColors for the second site
+ * @param {number} tolerance - Largest Delta E 2000 of a match
+ * @returns {Object} Shared color pairs, colors only found on either site and an importance weighted similarity
+ */
+const compareColors = (colorsA, colorsB, tolerance) => {
+  const withLab = (colors) => colors.map(color => ({ color, lab: hexToLab(color.hex) })).filter(entry => entry.lab);
+  const labA = withLab(colorsA);
+  const labB = withLab(colorsB);
+
+  const candidates = [];
+  labA.forEach((a, indexA) => {
+    labB.forEach((b, indexB) => {
+      const deltaE = deltaE2000(a.lab, b.lab);
+      if (deltaE <= tolerance) candidates.push({ indexA, indexB, deltaE });
+    });
+  });
+
+  const matchedA = new Set();
+  const matchedB = new Set();
+  const shared = [];
+  candidates
+    .sort((x, y) => x.deltaE - y.deltaE)
+    .forEach(({ indexA, indexB, deltaE }) => {
+      if (matchedA.has(indexA) || matchedB.has(indexB)) return;
+      matchedA.add(indexA);
+      matchedB.add(indexB);
+      shared.push({ a: labA[indexA].color, b: labB[indexB].color, deltaE: Math.round(deltaE * 100) / 100 });
+    });
+
+  const summarize = (color) => ({
+    name: color.name,
+    hex: color.hex,
+    role: color.role,
+    count: color.count,
+    importance: color.importance
+  });
+
+  // Share of each site's color importance that has a match on the other site
+  const importance = (colors, matched) => {
+    const total = colors.reduce((sum, entry) => sum + (entry.color.importance || 0), 0);
+    if (total === 0) return colors.length === 0 ? 1 : matched.size / colors.length;
+    return colors.filter((entry, index) => matched.has(index)).reduce((sum, entry) => sum + (entry.color.importance || 0), 0) / total;
+  };
+
+  return {
+    shared: shared
+      .map(pair => ({ a: summarize(pair.a), b: summarize(pair.b), deltaE: pair.deltaE, exact: pair.a.hex === pair.b.hex }))
+      .sort((x, y) => (y.a.importance + y.b.importance) - (x.a.importance + x.b.importance)),
+    onlyA: labA.filter((entry, index) => !matchedA.has(index)).map(entry => summarize(entry.color)),
+    onlyB: labB.filter((entry, index) => !matchedB.has(index)).map(entry => summarize(entry.color)),
+    similarity: roundRatio((importance(labA, matchedA) + importance(labB, matchedB)) / 2)
+  };
+};
+
+/**
+ * Builds the identity of a typography group, ignoring case differences in font names
+ * @param {Object} style - Typography group
+ * @returns {string} Key made of the grouping properties
+ */
+const getStyleKey = (style) => TYPOGRAPHY_PROPS
+  .map(prop => String(style[prop] || '').toLowerCase())
+  .join('|');
+
+/**
+ * Compares typography groups tag by tag
+ * @param {Array} typographyA - Typography groups of the first site
+ * @param {Array} typographyB - Typography groups of the second site
+ * @returns {Object} Per tag matching and differing groups, and a count weighted similarity
+ */
+const compareTypography = (typographyA, typographyB) => {
+  const tags = [...new Set([...typographyA, ...typographyB].map(style => style.tag))];
+  const summarize = (style) => ({
+    ...TYPOGRAPHY_PROPS.reduce((props, prop) => ({ ...props, [prop]: style[prop] }), {}),
+    count: style.count
+  });
+
+  let matchedCount = 0;
+  let totalCount = 0;
+
+  const byTag = tags.map(tag => {
+    const stylesA = typographyA.filter(style => style.tag === tag);
+    const stylesB = typographyB.filter(style => style.tag === tag);
+    const keysA = new Set(stylesA.map(getStyleKey));
+    const keysB = new Set(stylesB.map(getStyleKey));
+
+    const matching = stylesA.filter(style => keysB.has(getStyleKey(style)));
+    const onlyA = stylesA.filter(style => !keysB.has(getStyleKey(style)));
+    const onlyB = stylesB.filter(style => !keysA.has(getStyleKey(style)));
+
+    // Weight by how often a style is used, so one-off styles matter less than body text
+    [...stylesA, ...stylesB].forEach(style => {
+      totalCount += style.count;
+      const otherKeys = stylesA.includes(style) ? keysB : keysA;
+      if (otherKeys.has(getStyleKey(style))) matchedCount += style.count;
+    });
+
+    return {
+      tag,
+      status: onlyA.length === 0 && onlyB.length === 0 ? 'same' : (matching.length > 0 ? 'partial' : 'different'),
+      matching: matching.map(summarize),
+      onlyA: onlyA.map(summarize),
+      onlyB: onlyB.map(summarize)
+    };
+  });
+
+  const countStatus = (status) => byTag.filter(entry => entry.status === status).length;
+
+  return {
+    summary: {
+      tags: byTag.length,
+      same: countStatus('same'),
+      partial: countStatus('partial'),
+      different: countStatus('different')
+    },
+    tags: byTag,
+    similarity: roundRatio(totalCount > 0 ? matchedCount / totalCount : 1)
+  };
+};
+
+/**
+ * Collects the font families a site uses for text
+ * @param {Object} result - Scrape result
+ * @returns {Map} Family names by lowercase name
+ */
+const getUsedFamilies = (result) => {
+  const families = new Map();
+  result.typography.forEach(style => {
+    const family = style['font-family'];
+    if (family) families.set(family.toLowerCase(), family);
+  });
+  ((result.fonts && result.fonts.families) || [])
+    .filter(family => family.usedBy > 0)
+    .forEach(family => families.set(family.family.toLowerCase(), family.family));
+  return families;
+};
+
+/**
+ * Compares the font families of two sites
+ * @param {Object} resultA - Scrape result of the first site
+ * @param {Object} resultB - Scrape result of the second site
+ * @returns {Object} Shared families, families added and removed going from a to b, and their Jaccard similarity
+ */
+const compareFonts = (resultA, resultB) => {
+  const familiesA = getUsedFamilies(resultA);
+  const familiesB = getUsedFamilies(resultB);
+  const shared = [...familiesA.keys()].filter(key => familiesB.has(key));
+  const union = new Set([...familiesA.keys(), ...familiesB.keys()]);
+
+  return {
+    shared: shared.map(key => familiesA.get(key)),
+    added: [...familiesB.keys()].filter(key => !familiesA.has(key)).map(key => familiesB.get(key)),
+    removed: [...familiesA.keys()].filter(key => !familiesB.has(key)).map(key => familiesA.get(key)),
+    similarity: roundRatio(union.size > 0 ? shared.length / union.size : 1)
+  };
+};
+
+/**
+ * Compares gradients; two gradients match when type and every stop color match within the tolerance
+ * @param {Array} gradientsA - Gradients of the first site
+ * @param {Array} gradientsB - Gradients of the second site
+ * @param {number} tolerance - Largest Delta E 2000 between matching stop colors
+ * @returns {Object} Shared gradients, gradients only found on either site and their Jaccard similarity
+ */
+const compareGradients = (gradientsA, gradientsB, tolerance) => {
+  const isMatch = (a, b) => {
+    if (a.css === b.css) return true;
+    if (a.type !== b.type || a.colors.length !== b.colors.length) return false;
+    return a.colors.every((stop, index) => {
+      const labA = hexToLab(stop.color);
+      const labB = hexToLab(b.colors[index].color);
+      return labA && labB && deltaE2000(labA, labB) <= tolerance;
+    });
+  };
+
+  const matchedB = new Set();
+  const shared = [];
+  const onlyA = [];
+  gradientsA.forEach(a => {
+    const indexB = gradientsB.findIndex((b, index) => !matchedB.has(index) && isMatch(a, b));
+    if (indexB === -1) {
+      onlyA.push(a.css);
+      return;
+    }
+    matchedB.add(indexB);
+    shared.push({ a: a.css, b: gradientsB[indexB].css, exact: a.css === gradientsB[indexB].css });
+  });
+
+  const unionSize = gradientsA.length + gradientsB.length - shared.length;
+  return {
+    shared,
+    onlyA,
+    onlyB: gradientsB.filter((b, index) => !matchedB.has(index)).map(b => b.css),
+    similarity: roundRatio(unionSize > 0 ? shared.length / unionSize : 1)
+  };
+};
+
+/**
+ * Diffs the styles of two scraped sites
+ * @param {Object} resultA - Scrape result of the first site
+ * @param {Object} resultB - Scrape result of the second site
+ * @param {Object} [options] - Compare options
+ * @param {number} [options.tolerance] - Largest Delta E 2000 between colors that count as shared
+ * @returns {Object} Color, typography, font and gradient diffs with an overall similarity score
+ */
+const compareResults = (resultA, resultB, { tolerance = DEFAULT_COLOR_TOLERANCE } = {}) => {
+  const colors = compareColors(resultA.colors, resultB.colors, tolerance);
+  const typography = compareTypography(resultA.typography, resultB.typography);
+  const fonts = compareFonts(resultA, resultB);
+  const gradients = compareGradients(resultA.gradients, resultB.gradients, tolerance);
+
+  const breakdown = {
+    colors: colors.similarity,
+    typography: typography.similarity,
+    fonts: fonts.similarity,
+    gradients: gradients.similarity
+  };
+  const score = Object.entries(SIMILARITY_WEIGHTS)
+    .reduce((sum, [category, weight]) => sum + breakdown[category] * weight, 0);
+
+  return {
+    similarity: {
+      score: Math.round(score * 100),
+      breakdown,
+      weights: SIMILARITY_WEIGHTS
+    },
+    colors: {
+      tolerance,
+      shared: colors.shared,
+      onlyA: colors.onlyA,
+      onlyB: colors.onlyB
+    },
+    typography: {
+      summary: typography.summary,
+      tags: typography.tags
+    },
+    fonts: {
+      shared: fonts.shared,
+      added: fonts.added,
+      removed: fonts.removed
+    },
+    gradients: {
+      shared: gradients.shared,
+      onlyA: gradients.onlyA,
+      onlyB: gradients.onlyB
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_COLOR_TOLERANCE,
+  compareResults
+};
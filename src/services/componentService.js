@@ -0,0 +1,296 @@
+const { toHexWithAlpha } = require('../utils/colorUtils');
+
+// Elements inspected per component type, enough to find every variant on real pages
+const COMPONENT_MAX_ELEMENTS = parseInt(process.env.COMPONENT_MAX_ELEMENTS || 200);
+
+// Class words that name a variant, in the order they are preferred
+const VARIANT_WORDS = [
+  'primary', 'secondary', 'tertiary', 'accent', 'brand',
+  'danger', 'error', 'warning', 'success', 'info', 'neutral',
+  'outline', 'outlined', 'ghost', 'text', 'link', 'light', 'dark', 'muted', 'subtle',
+  'small', 'sm', 'large', 'lg', 'icon'
+];
+
+/**
+ * Finds the variant name in an element's classes, e.g. btn-primary, button--ghost or is-danger
+ * @param {Array} classes - Class names of the element
+ * @returns {string|null} Variant word, or null if the classes don't name one
+ */
+const findVariantWord = (classes) => {
+  const words = new Set(classes.flatMap(name => name.toLowerCase().split(/[-_]+/)));
+  return VARIANT_WORDS.find(word => words.has(word)) || null;
+};
+
+/**
+ * Describes a component by how it is painted when its classes don't name a variant
+ * @param {Object} spec - Style spec
+ * @returns {string} filled, outline or plain
+ */
+const describeAppearance = (spec) => {
+  if (spec.colors.background && spec.colors.background !== 'transparent') return 'filled';
+  if (spec.border.width !== '0px' && spec.border.style !== 'none') return 'outline';
+  return 'plain';
+};
+
+/**
+ * Converts a computed color for a spec
+ * @param {string} value - Computed color
+ * @returns {string|null} Hex color, transparent, or null if it can't be parsed
+ */
+const toSpecColor = (value) => {
+  const hex = toHexWithAlpha(value);
+  return hex && hex.length === 9 && hex.endsWith('00') ? 'transparent' : hex;
+};
+
+/**
+ * Shortens four side or corner values to CSS shorthand, e.g. "8px 16px 8px 16px" to "8px 16px"
+ * @param {string} value - Four space separated values
+ * @returns {string} Shortest equivalent shorthand
+ */
+const toShorthand = (value) => {
+  const [top, right, bottom, left] = value.split(' ');
+  if (left !== right) return value;
+  if (top !== bottom) return `${top} ${right} ${bottom}`;
+  return top === right ? top : `${top} ${right}`;
+};
+
+/**
+ * Shortens the four corner radii to CSS shorthand
+ * Elliptical corners such as "10px 5px" can't be shortened side by side, so they're written out
+ * as all horizontal radii, a slash and all vertical radii.
+ * @param {Array} corners - Computed radii from top left clockwise
+ * @returns {string} border-radius shorthand
+ */
+const toRadiusShorthand = (corners) => {
+  const radii = corners.map(corner => corner.trim().split(/\s+/));
+  if (radii.every(radius => radius.length === 1)) return toShorthand(corners.join(' '));
+
+  const horizontal = radii.map(radius => radius[0]).join(' ');
+  const vertical = radii.map(radius => radius[1] || radius[0]).join(' ');
+  return `${horizontal} / ${vertical}`;
+};
+
+/**
+ * Builds the style spec of an element from its computed values
+ * @param {Object} style - Computed values read in the page
+ * @returns {Object} Typography, colors, padding, radius, border and shadow
+ */
+const buildSpec = (style) => ({
+  typography: {
+    'font-family': style.fontFamily,
+    'font-size': style.fontSize,
+    'font-weight': style.fontWeight,
+    'line-height': style.lineHeight,
+    'letter-spacing': style.letterSpacing,
+    'text-transform': style.textTransform
+  },
+  colors: {
+    text: toSpecColor(style.color),
+    background: toSpecColor(style.backgroundColor),
+    border: style.borderWidth !== '0px' && style.borderStyle !== 'none' ? toSpecColor(style.borderColor) : null
+  },
+  padding: toShorthand(style.padding),
+  radius: toRadiusShorthand(style.borderRadius),
+  border: {
+    width: style.borderWidth,
+    style: style.borderStyle,
+    color: toSpecColor(style.borderColor)
+  },
+  shadow: style.boxShadow
+});
+
+/**
+ * Groups the elements of one component type into variants that share the same spec
+ * @param {Array} elements - Elements with classes, description and computed values
+ * @returns {Array} Variants with name, spec, usage count and examples, most used first
+ */
+const groupVariants = (elements) => {
+  const variants = {};
+
+  elements.forEach(element => {
+    const spec = buildSpec(element.style);
+    const key = JSON.stringify(spec);
+    if (!variants[key]) {
+      variants[key] = { names: {}, spec, count: 0, size: { width: 0, height: 0 }, examples: [] };
+    }
+
+    const variant = variants[key];
+    const name = findVariantWord(element.classes);
+    if (name) variant.names[name] = (variant.names[name] || 0) + 1;
+    variant.count++;
+    variant.size.width += element.width;
+    variant.size.height += element.height;
+    if (variant.examples.length < 3) {
+      variant.examples.push({ selector: element.selector, text: element.text });
+    }
+  });
+
+  const grouped = Object.values(variants)
+    .sort((a, b) => b.count - a.count)
+    .map(({ names, size, ...variant }) => {
+      const classWord = Object.entries(names).sort((a, b) => b[1] - a[1])[0];
+      return {
+        name: classWord ? classWord[0] : describeAppearance(variant.spec),
+        nameSource: classWord ? 'class' : 'appearance',
+        ...variant,
+        // Average rendered size of the variant's elements
+        size: {
+          width: Math.round(size.width / variant.count),
+          height: Math.round(size.height / variant.count)
+        }
+      };
+    });
+
+  // Variants that end up with the same name are numbered
+  const seen = {};
+  return grouped.map(variant => {
+    seen[variant.name] = (seen[variant.name] || 0) + 1;
+    return seen[variant.name] === 1 ? variant : { ...variant, name: `${variant.name}-${seen[variant.name]}` };
+  });
+};
+
+/**
+ * Recognizes buttons, text inputs, selects, checkboxes, cards, navbars, badges and alerts
+ * and returns a style spec for every variant of each
+ * Detection combines tags, ARIA roles and class names; an element counts as a single component type.
+ * @param {Page} page - Puppeteer page object
+ * @returns {Promise<Object>} Component types with the number of elements found and their variants
+ */
+const extractComponents = async (page) => {
+  const raw = await page.evaluate((maxElements) => {
+    // Matches a word inside class names, so btn-primary and card__body count but cardinal doesn't
+    const classPattern = (words) => new RegExp(`(^|[\\s_-])(${words.join('|')})([\\s_-]|$)`, 'i');
+    const textTypes = ['text', 'email', 'search', 'password', 'number', 'tel', 'url', 'date', 'datetime-local', 'month', 'time', 'week'];
+
+    // Checked in order, the first matching detector decides the type
+    const detectors = [
+      {
+        type: 'alert',
+        selector: '[role="alert"], [role="alertdialog"], [class]',
+        match: (el, className, role) => role === 'alert' || role === 'alertdialog' ||
+          classPattern(['alert', 'notification', 'toast', 'callout']).test(className)
+      },
+      {
+        type: 'navbar',
+        selector: 'nav, [role="navigation"], [class]',
+        match: (el, className, role) => el.tagName === 'NAV' || role === 'navigation' ||
+          classPattern(['navbar', 'nav-bar', 'navigation', 'topbar', 'menubar']).test(className)
+      },
+      {
+        type: 'checkbox',
+        selector: 'input[type="checkbox"], [role="checkbox"], [role="switch"]',
+        match: () => true
+      },
+      {
+        type: 'select',
+        selector: 'select, [role="combobox"], [role="listbox"]',
+        match: () => true
+      },
+      {
+        type: 'text-input',
+        selector: 'input, textarea, [role="textbox"], [role="searchbox"]',
+        match: (el) => el.tagName !== 'INPUT' || textTypes.includes((el.getAttribute('type') || 'text').toLowerCase())
+      },
+      {
+        type: 'button',
+        selector: 'button, input, [role="button"], a[class]',
+        match: (el, className, role) => {
+          if (el.tagName === 'INPUT') return ['button', 'submit', 'reset'].includes((el.getAttribute('type') || '').toLowerCase());
+          return el.tagName === 'BUTTON' || role === 'button' || classPattern(['btn', 'button', 'cta']).test(className);
+        }
+      },
+      {
+        type: 'badge',
+        selector: '[class]',
+        match: (el, className) => classPattern(['badge', 'chip', 'pill', 'tag', 'label']).test(className) &&
+          el.tagName !== 'LABEL' && (el.innerText || '').trim().length <= 30
+      },
+      {
+        type: 'card',
+        selector: '[class], article',
+        match: (el, className) => {
+          if (classPattern(['card', 'tile']).test(className)) return true;
+          // Articles drawn as a box are cards as well
+          if (el.tagName !== 'ARTICLE') return false;
+          const computed = window.getComputedStyle(el);
+          return computed.boxShadow !== 'none' || (parseFloat(computed.borderTopWidth) > 0 && parseFloat(computed.borderTopLeftRadius) > 0);
+        }
+      }
+    ];
+
+    const buildSelector = (el) => {
+      const tag = el.tagName.toLowerCase();
+      if (el.id && /^[a-z][\w-]*$/i.test(el.id)) return `${tag}#${el.id}`;
+      const classes = Array.from(el.classList).filter(name => /^[a-z_-][\w-]*$/i.test(name)).slice(0, 3);
+      return classes.length > 0 ? `${tag}.${classes.join('.')}` : tag;
+    };
+
+    const isVisible = (el) => {
+      const computed = window.getComputedStyle(el);
+      const rect = el.getBoundingClientRect();
+      return computed.display !== 'none' && computed.visibility !== 'hidden' && rect.width > 0 && rect.height > 0;
+    };
+
+    const assigned = new Set();
+    const components = {};
+
+    detectors.forEach(({ type, selector, match }) => {
+      const found = [];
+      Array.from(document.querySelectorAll(selector)).forEach(el => {
+        if (assigned.has(el) || found.length >= maxElements) return;
+
+        const className = typeof el.className === 'string' ? el.className : '';
+        const role = (el.getAttribute('role') || '').toLowerCase();
+        if (!match(el, className, role) || !isVisible(el)) return;
+
+        // Parts of a component (card__body, alert-icon) share its class word, only the outermost counts
+        if (type !== 'button' && type !== 'badge' && el.parentElement && el.parentElement.closest('[data-style-finder-component="' + type + '"]')) return;
+
+        assigned.add(el);
+        el.setAttribute('data-style-finder-component', type);
+        const computed = window.getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        found.push({
+          selector: buildSelector(el),
+          classes: Array.from(el.classList),
+          text: (el.innerText || el.value || el.getAttribute('aria-label') || el.getAttribute('placeholder') || '').trim().replace(/\s+/g, ' ').substring(0, 40),
+          width: rect.width,
+          height: rect.height,
+          style: {
+            fontFamily: computed.fontFamily.split(',')[0].trim().replace(/^["']|["']$/g, ''),
+            fontSize: computed.fontSize,
+            fontWeight: computed.fontWeight,
+            lineHeight: computed.lineHeight,
+            letterSpacing: computed.letterSpacing,
+            textTransform: computed.textTransform,
+            color: computed.color,
+            backgroundColor: computed.backgroundColor,
+            padding: [computed.paddingTop, computed.paddingRight, computed.paddingBottom, computed.paddingLeft].join(' '),
+            borderRadius: [computed.borderTopLeftRadius, computed.borderTopRightRadius, computed.borderBottomRightRadius, computed.borderBottomLeftRadius],
+            borderWidth: computed.borderTopWidth,
+            borderStyle: computed.borderTopStyle,
+            borderColor: computed.borderTopColor,
+            boxShadow: computed.boxShadow
+          }
+        });
+      });
+      components[type] = found;
+    });
+
+    document.querySelectorAll('[data-style-finder-component]').forEach(el => el.removeAttribute('data-style-finder-component'));
+    return components;
+  }, COMPONENT_MAX_ELEMENTS);
+
+  return Object.entries(raw)
+    .filter(([, elements]) => elements.length > 0)
+    .map(([type, elements]) => ({
+      type,
+      found: elements.length,
+      variants: groupVariants(elements)
+    }))
+    .sort((a, b) => b.found - a.found);
+};
+
+module.exports = {
+  extractComponents
+};
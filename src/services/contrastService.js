@@ -0,0 +1,173 @@
+const { parseRgba, compositeColors, contrastRatio, rgbToHex, findClosestColorName } = require('../utils/colorUtils');
+
+// WCAG 2.x minimum contrast ratios
+const WCAG_THRESHOLDS = {
+  normal: { AA: 4.5, AAA: 7 },
+  large: { AA: 3, AAA: 4.5 }
+};
+
+// Number of example selectors kept per pair
+const MAX_EXAMPLES = 3;
+
+// Canvas color used when no ancestor paints a background
+const CANVAS_COLOR = { r: 255, g: 255, b: 255 };
+
+/**
+ * Checks whether text counts as large text for WCAG (18pt, or 14pt bold)
+ * @param {number} fontSize - Font size in px
+ * @param {number} fontWeight - Numeric font weight
+ * @returns {boolean} True for large text
+ */
+const isLargeText = (fontSize, fontWeight) => {
+  return fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+};
+
+/**
+ * Audits the contrast of every text-bearing element against its effective background
+ * @param {Page} page - Puppeteer page object
+ * @returns {Object} Summary and unique foreground/background pairs with WCAG results
+ */
+const extractContrast = async (page) => {
+  const textElements = await page.evaluate(() => {
+    // Tags whose text is never rendered as page content
+    const ignoredTags = ['HEAD', 'TITLE', 'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'OPTION'];
+
+    // Build a short, readable selector for an element
+    const buildSelector = (el) => {
+      const tag = el.tagName.toLowerCase();
+      if (el.id && /^[a-z][\w-]*$/i.test(el.id)) {
+        return `${tag}#${el.id}`;
+      }
+
+      const className = typeof el.className === 'string' ? el.className : (el.className && el.className.baseVal) || '';
+      const classes = className.trim().split(/\s+/).filter(name => /^[a-z_-][\w-]*$/i.test(name)).slice(0, 2);
+      if (classes.length > 0) {
+        return `${tag}.${classes.join('.')}`;
+      }
+
+      const parent = el.parentElement;
+      if (parent && parent !== document.body && parent !== document.documentElement) {
+        const parentTag = parent.tagName.toLowerCase();
+        const parentClass = typeof parent.className === 'string' ? parent.className.trim().split(/\s+/)[0] : '';
+        return `${parentClass ? `${parentTag}.${parentClass}` : parentTag} > ${tag}`;
+      }
+      return tag;
+    };
+
+    const results = [];
+    const elements = Array.from(document.body ? document.body.querySelectorAll('*') : []);
+
+    elements.forEach(el => {
+      if (ignoredTags.includes(el.tagName)) return;
+
+      // Only elements that render their own text
+      const hasText = Array.from(el.childNodes)
+        .some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+      if (!hasText) return;
+
+      const computed = window.getComputedStyle(el);
+      if (computed.display === 'none' || computed.visibility === 'hidden' || parseFloat(computed.opacity) === 0) return;
+
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) return;
+
+      // Walk up the tree collecting backgrounds until an opaque one is found
+      const backgrounds = [];
+      let hasBackgroundImage = false;
+      let node = el;
+      while (node && node.nodeType === Node.ELEMENT_NODE) {
+        const style = window.getComputedStyle(node);
+        if (style.backgroundImage && style.backgroundImage !== 'none') {
+          hasBackgroundImage = true;
+        }
+
+        const background = style.backgroundColor;
+        if (background && background !== 'transparent' && background !== 'rgba(0, 0, 0, 0)') {
+          backgrounds.push(background);
+          const alphaMatch = background.match(/^rgba\([^)]*,\s*([\d.]+)\)$/);
+          if (!alphaMatch || parseFloat(alphaMatch[1]) >= 1) break;
+        }
+        node = node.parentElement;
+      }
+
+      results.push({
+        selector: buildSelector(el),
+        color: computed.color,
+        backgrounds,
+        hasBackgroundImage,
+        fontSize: parseFloat(computed.fontSize),
+        fontWeight: parseInt(computed.fontWeight) || 400
+      });
+    });
+
+    return results;
+  });
+
+  const pairs = {};
+  textElements.forEach(element => {
+    // Composite backgrounds from the outermost layer down to the element
+    const background = element.backgrounds
+      .slice()
+      .reverse()
+      .reduce((base, layer) => {
+        const rgba = parseRgba(layer);
+        return rgba ? compositeColors(rgba, base) : base;
+      }, CANVAS_COLOR);
+
+    const foregroundRgba = parseRgba(element.color);
+    if (!foregroundRgba) return;
+    const foreground = compositeColors(foregroundRgba, background);
+
+    const textSize = isLargeText(element.fontSize, element.fontWeight) ? 'large' : 'normal';
+    const foregroundHex = rgbToHex(foreground);
+    const backgroundHex = rgbToHex(background);
+    const key = `${foregroundHex}|${backgroundHex}|${textSize}`;
+
+    if (!pairs[key]) {
+      // WCAG thresholds apply to the exact ratio, 4.496:1 fails AA even though it reads 4.5:1
+      const exactRatio = contrastRatio(foreground, background);
+      const thresholds = WCAG_THRESHOLDS[textSize];
+
+      pairs[key] = {
+        foreground: { hex: foregroundHex, name: findClosestColorName(foregroundHex) },
+        background: { hex: backgroundHex, name: findClosestColorName(backgroundHex) },
+        ratio: Math.round(exactRatio * 100) / 100,
+        textSize,
+        fontSizes: [],
+        AA: exactRatio >= thresholds.AA,
+        AAA: exactRatio >= thresholds.AAA,
+        count: 0,
+        examples: [],
+        // Background images can change the real contrast
+        uncertain: false
+      };
+    }
+
+    const pair = pairs[key];
+    pair.count++;
+    pair.uncertain = pair.uncertain || element.hasBackgroundImage;
+    const fontSize = `${element.fontSize}px`;
+    if (!pair.fontSizes.includes(fontSize)) pair.fontSizes.push(fontSize);
+    if (pair.examples.length < MAX_EXAMPLES && !pair.examples.includes(element.selector)) {
+      pair.examples.push(element.selector);
+    }
+  });
+
+  // Failing pairs first, lowest contrast first
+  const sortedPairs = Object.values(pairs).sort((a, b) => (a.AA - b.AA) || (a.ratio - b.ratio));
+
+  return {
+    summary: {
+      elementsChecked: textElements.length,
+      pairs: sortedPairs.length,
+      failingAA: sortedPairs.filter(pair => !pair.AA).length,
+      failingAAA: sortedPairs.filter(pair => !pair.AAA).length,
+      elementsFailingAA: sortedPairs.filter(pair => !pair.AA).reduce((sum, pair) => sum + pair.count, 0)
+    },
+    pairs: sortedPairs
+  };
+};
+
+module.exports = {
+  extractContrast
+};
@@ -0,0 +1,372 @@
+const { scrapeUrl } = require('./scrapeService');
+const { buildPalette } = require('./colorService');
+const { getScrapeError } = require('../utils/errorUtils');
+const {
+  normalizePageUrl,
+  isCrawlable,
+  compilePathPatterns,
+  matchesPathFilters,
+  fetchSitemapUrls
+} = require('../utils/crawlUtils');
+
+// Crawl limits from environment variables
+const CRAWL_MAX_PAGES = parseInt(process.env.CRAWL_MAX_PAGES || 50);
+const DEFAULT_MAX_PAGES = Math.min(10, CRAWL_MAX_PAGES);
+const DEFAULT_MAX_DEPTH = 2;
+
+/**
+ * Creates the error thrown when a crawl is cancelled
+ * @returns {Error} Error with code SCRAPE_CANCELLED
+ */
+const createCancelledError = () => {
+  const error = new Error('Crawl was cancelled');
+  error.code = 'SCRAPE_CANCELLED';
+  return error;
+};
+
+/**
+ * Describes on how many of the crawled pages a style was found
+ * @param {Set} pages - URLs of the pages using the style
+ * @param {number} totalPages - Number of successfully analyzed pages
+ * @returns {Object} Pages, page count, coverage and scope (global or partial)
+ */
+const describeCoverage = (pages, totalPages) => ({
+  pages: Array.from(pages),
+  pageCount: pages.size,
+  coverage: Math.round(pages.size / totalPages * 10000) / 10000,
+  scope: pages.size === totalPages ? 'global' : 'partial'
+});
+
+/**
+ * Builds the identifier of a typography group, matching how groups are formed on a single page
+ * @param {Object} style - Typography group
+ * @returns {string} Identifier made of tag and grouping properties
+ */
+const getTypographyId = (style) => [
+  style.tag, style['font-family'], style['font-size'], style['font-weight'], style['line-height'], style['letter-spacing']
+].join('|');
+
+/**
+ * Merges the results of every analyzed page into a site-wide report
+ * @param {Array} results - Objects with url and the scrapeUrl result of each page
+ * @param {Object} options - Crawl options
+ * @param {number} [options.paletteThreshold] - Delta E 2000 used to merge near-duplicate colors
+ * @returns {Object} Aggregated styles with their coverage and a breakdown per page
+ */
+const buildSiteReport = (results, { paletteThreshold }) => {
+  const totalPages = results.length;
+  const typography = {};
+  const colors = {};
+  const gradients = {};
+  const fonts = {};
+  const contrastPairs = {};
+
+  results.forEach(({ url, result }) => {
+    result.typography.forEach(style => {
+      const id = getTypographyId(style);
+      if (!typography[id]) {
+        typography[id] = { id, ...style, count: 0, pages: new Set() };
+      }
+      typography[id].count += style.count;
+      typography[id].pages.add(url);
+    });
+
+    result.colors.forEach(color => {
+      if (!colors[color.hex]) {
+        colors[color.hex] = {
+          name: color.name,
+          hex: color.hex,
+          rgb: color.rgb,
+          count: 0,
+          usage: {},
+          elements: 0,
+          area: 0,
+          roles: {},
+          importance: 0,
+          pages: new Set()
+        };
+      }
+      const entry = colors[color.hex];
+      entry.count += color.count;
+      entry.elements += color.elements;
+      entry.area += color.area;
+      entry.importance += color.importance;
+      entry.roles[color.role] = (entry.roles[color.role] || 0) + 1;
+      Object.entries(color.usage).forEach(([category, count]) => {
+        entry.usage[category] = (entry.usage[category] || 0) + count;
+      });
+      entry.pages.add(url);
+    });
+
+    result.gradients.forEach(gradient => {
+      if (!gradients[gradient.css]) {
+        gradients[gradient.css] = { ...gradient, count: 0, pages: new Set() };
+      }
+      gradients[gradient.css].count += gradient.count;
+      gradients[gradient.css].pages.add(url);
+    });
+
+    result.fonts.families.forEach(family => {
+      const key = family.family.toLowerCase();
+      if (!fonts[key]) {
+        fonts[key] = { family: family.family, providers: [], declared: false, loaded: false, usedBy: 0, pages: new Set() };
+      }
+      const entry = fonts[key];
+      family.providers.forEach(provider => {
+        if (!entry.providers.includes(provider)) entry.providers.push(provider);
+      });
+      entry.declared = entry.declared || family.declared;
+      entry.loaded = entry.loaded || family.loaded;
+      entry.usedBy += family.usedBy;
+      entry.pages.add(url);
+    });
+
+    result.contrast.pairs.forEach(pair => {
+      const key = [pair.foreground.hex, pair.background.hex, pair.textSize].join('|');
+      if (!contrastPairs[key]) {
+        const { examples, fontSizes, count, ...rest } = pair;
+        contrastPairs[key] = { ...rest, count: 0, pages: new Set() };
+      }
+      contrastPairs[key].count += pair.count;
+      contrastPairs[key].uncertain = contrastPairs[key].uncertain || pair.uncertain;
+      contrastPairs[key].pages.add(url);
+    });
+  });
+
+  const withCoverage = ({ pages, ...style }) => ({ ...style, ...describeCoverage(pages, totalPages) });
+
+  const siteTypography = Object.values(typography)
+    .map(withCoverage)
+    .sort((a, b) => b.pageCount - a.pageCount || parseFloat(b['font-size']) - parseFloat(a['font-size']));
+
+  // A color keeps the role it has on most pages, importance is averaged over the site
+  const siteColors = Object.values(colors)
+    .map(({ roles, importance, ...color }) => withCoverage({
+      ...color,
+      role: Object.entries(roles).sort((a, b) => b[1] - a[1])[0][0],
+      importance: Math.round(importance / totalPages * 10000) / 10000
+    }))
+    .sort((a, b) => b.pageCount - a.pageCount || b.importance - a.importance);
+
+  const siteGradients = Object.values(gradients)
+    .map(withCoverage)
+    .sort((a, b) => b.pageCount - a.pageCount || b.count - a.count);
+
+  const siteFonts = Object.values(fonts)
+    .map(withCoverage)
+    .sort((a, b) => b.pageCount - a.pageCount || b.usedBy - a.usedBy);
+
+  const sitePairs = Object.values(contrastPairs)
+    .map(withCoverage)
+    .sort((a, b) => (a.AA - b.AA) || (a.ratio - b.ratio));
+
+  // Styles found on a single page only are the most likely one-offs
+  const isPageOnly = (style, url) => style.pageCount === 1 && style.pages[0] === url;
+  const pages = results.map(({ url, depth, result }) => ({
+    url,
+    ...(result.finalUrl && result.finalUrl !== url && { finalUrl: result.finalUrl }),
+    depth,
+    status: 'success',
+    title: result.title,
+    typography: siteTypography.filter(style => style.pages.includes(url)).map(style => style.id),
+    colors: siteColors.filter(color => color.pages.includes(url)).map(color => color.hex),
+    gradients: siteGradients.filter(gradient => gradient.pages.includes(url)).map(gradient => gradient.css),
+    fonts: siteFonts.filter(font => font.pages.includes(url)).map(font => font.family),
+    pageOnly: {
+      typography: siteTypography.filter(style => isPageOnly(style, url)).length,
+      colors: siteColors.filter(color => isPageOnly(color, url)).length,
+      gradients: siteGradients.filter(gradient => isPageOnly(gradient, url)).length
+    },
+    contrast: result.contrast.summary
+  }));
+
+  const countScopes = (styles) => ({
+    global: styles.filter(style => style.scope === 'global').length,
+    partial: styles.filter(style => style.scope === 'partial').length
+  });
+
+  return {
+    summary: {
+      typography: countScopes(siteTypography),
+      colors: countScopes(siteColors),
+      gradients: countScopes(siteGradients),
+      fonts: countScopes(siteFonts)
+    },
+    typography: siteTypography,
+    fonts: siteFonts,
+    colors: siteColors,
+    palette: buildPalette(siteColors, { threshold: paletteThreshold }),
+    gradients: siteGradients,
+    contrast: {
+      failingAA: sitePairs.filter(pair => !pair.AA).length,
+      failingAAA: sitePairs.filter(pair => !pair.AAA).length,
+      pairs: sitePairs
+    },
+    pages
+  };
+};
+
+/**
+ * Crawls same-origin pages starting from a URL and aggregates their styles
+ * @param {string} startUrl - First page of the crawl
+ * @param {Object} options - Crawl options
+ * @param {Object} options.resourcePolicy - Policy from resolveResourcePolicy
+ * @param {number} [options.paletteThreshold] - Delta E 2000 used to merge near-duplicate colors
+ * @param {boolean} [options.useCache=true] - Whether cached page results may be used and stored
+ * @param {number} [options.maxPages] - Maximum number of pages to visit
+ * @param {number} [options.maxDepth] - Maximum number of links followed from the start page
+ * @param {string|Array} [options.include] - Path patterns pages must match
+ * @param {string|Array} [options.exclude] - Path patterns of pages to skip
+ * @param {boolean} [options.sitemap=false] - Discover pages from /sitemap.xml instead of links
+ * @param {Object|null} [options.proxy] - Proxy from resolveProxyOption, pooled proxies by default
+ * @param {AbortSignal} [options.signal] - Aborting it stops the crawl with SCRAPE_CANCELLED
+ * @param {Function} [options.onProgress] - Called with (stage, progress) as the crawl advances
+ * @returns {Promise<Object>} Site-wide style report
+ */
+const crawlSite = async (startUrl, options) => {
+  const {
+    resourcePolicy,
+    paletteThreshold,
+    useCache = true,
+    maxPages = DEFAULT_MAX_PAGES,
+    maxDepth = DEFAULT_MAX_DEPTH,
+    include,
+    exclude,
+    sitemap = false,
+    proxy,
+    signal,
+    onProgress = () => {}
+  } = options;
+
+  const throwIfCancelled = () => {
+    if (signal && signal.aborted) throw createCancelledError();
+  };
+
+  const start = normalizePageUrl(startUrl);
+  const origin = new URL(start).origin;
+  const filters = { include: compilePathPatterns(include), exclude: compilePathPatterns(exclude) };
+
+  // Breadth first, so pages close to the start page are analyzed first
+  const queue = [{ url: start, depth: 0 }];
+  const seen = new Set([start]);
+  const enqueue = (url, depth) => {
+    const normalized = normalizePageUrl(url);
+    if (!normalized || seen.has(normalized)) return;
+    if (!isCrawlable(normalized, origin) || !matchesPathFilters(normalized, filters)) return;
+    seen.add(normalized);
+    queue.push({ url: normalized, depth });
+  };
+
+  let discovery = 'links';
+  if (sitemap) {
+    onProgress('discovering', 2);
+    try {
+      // Read more URLs than needed, filters may drop some of them
+      const sitemapUrls = await fetchSitemapUrls(`${origin}/sitemap.xml`, maxPages * 5, { proxy, signal });
+      sitemapUrls.forEach(url => enqueue(url, 1));
+      discovery = 'sitemap';
+      console.log(`Found ${sitemapUrls.length} URL(s) in the sitemap of ${origin}`);
+    } catch (error) {
+      throwIfCancelled();
+      console.log(`No usable sitemap for ${origin}, following links instead: ${error.message}`);
+    }
+  }
+
+  const analyzed = [];
+  const notAnalyzed = [];
+  // Final URLs of analyzed pages, redirects often point several links to the same page
+  const analyzedUrls = new Set();
+  let visitedCount = 0;
+  let firstError = null;
+
+  while (queue.length > 0 && visitedCount < maxPages) {
+    throwIfCancelled();
+    const { url, depth } = queue.shift();
+    onProgress('crawling', Math.round(5 + 85 * visitedCount / maxPages));
+    visitedCount++;
+    console.log(`Crawling page ${visitedCount}/${maxPages}: ${url}`);
+
+    try {
+      const result = await scrapeUrl(url, {
+        resourcePolicy,
+        paletteThreshold,
+        useCache,
+        includeLinks: true,
+        proxy,
+        signal
+      });
+
+      const finalUrl = normalizePageUrl(result.finalUrl) || url;
+      if (new URL(finalUrl).origin !== origin) {
+        notAnalyzed.push({ url, finalUrl, depth, status: 'skipped', reason: 'Redirected to another origin' });
+        continue;
+      }
+      if (analyzedUrls.has(finalUrl)) {
+        notAnalyzed.push({ url, finalUrl, depth, status: 'skipped', reason: 'Redirected to a page that was already analyzed' });
+        continue;
+      }
+      analyzedUrls.add(finalUrl);
+      seen.add(finalUrl);
+      analyzed.push({ url, depth, result });
+
+      if (discovery === 'links' && depth < maxDepth) {
+        result.links.forEach(link => enqueue(link, depth + 1));
+      }
+    } catch (error) {
+      if (error.code === 'SCRAPE_CANCELLED') throw error;
+
+      console.error(`Failed to crawl ${url}:`, error.message);
+      firstError = firstError || error;
+      const { code, message } = getScrapeError(error);
+      notAnalyzed.push({ url, depth, status: 'failed', error: { code, message } });
+    }
+  }
+
+  // Nothing to aggregate, report why the start page could not be analyzed
+  if (analyzed.length === 0) {
+    throw firstError || new Error(`No pages could be analyzed for ${start}`);
+  }
+
+  onProgress('aggregating', 95);
+  const report = buildSiteReport(analyzed, { paletteThreshold });
+
+  onProgress('done', 100);
+  return {
+    status: "success",
+    url: start,
+    origin,
+    discovery,
+    limits: {
+      maxPages,
+      maxDepth,
+      include: filters.include.length > 0 ? include : null,
+      exclude: filters.exclude.length > 0 ? exclude : null
+    },
+    summary: {
+      pagesVisited: visitedCount,
+      pagesAnalyzed: analyzed.length,
+      pagesFailed: notAnalyzed.filter(page => page.status === 'failed').length,
+      pagesSkipped: notAnalyzed.filter(page => page.status === 'skipped').length,
+      pagesNotVisited: queue.length,
+      ...report.summary
+    },
+    typography: report.typography,
+    fonts: report.fonts,
+    colors: report.colors,
+    palette: report.palette,
+    gradients: report.gradients,
+    contrast: report.contrast,
+    pages: [...report.pages, ...notAnalyzed],
+    resourcePolicy: {
+      mode: resourcePolicy.mode,
+      blocked: [...resourcePolicy.blockedTypes, ...resourcePolicy.blockedPatterns]
+    }
+  };
+};
+
+module.exports = {
+  CRAWL_MAX_PAGES,
+  DEFAULT_MAX_PAGES,
+  DEFAULT_MAX_DEPTH,
+  crawlSite
+};
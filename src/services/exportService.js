@@ -0,0 +1,349 @@
+/**
+ * Converts scrape results into design token files
+ */
+
+// Token role names for typography tags
+const TAG_ROLES = {
+  h1: 'heading-1',
+  h2: 'heading-2',
+  h3: 'heading-3',
+  h4: 'heading-4',
+  h5: 'heading-5',
+  h6: 'heading-6',
+  p: 'body',
+  span: 'text',
+  div: 'text',
+  a: 'link',
+  button: 'button',
+  label: 'label',
+  li: 'list-item',
+  th: 'table-header',
+  td: 'table-cell',
+  caption: 'caption',
+  figcaption: 'caption',
+  blockquote: 'quote',
+  q: 'quote',
+  cite: 'cite',
+  strong: 'strong',
+  em: 'emphasis',
+  small: 'small',
+  pre: 'code',
+  code: 'code'
+};
+
+// Supported export formats with their content type and download file name
+const EXPORT_FORMATS = {
+  w3c: { contentType: 'application/json', fileName: 'tokens.json' },
+  css: { contentType: 'text/css', fileName: 'tokens.css' },
+  scss: { contentType: 'text/x-scss', fileName: '_tokens.scss' },
+  tailwind: { contentType: 'application/javascript', fileName: 'tailwind.config.js' }
+};
+
+// Alternative names accepted for the format parameter
+const FORMAT_ALIASES = {
+  json: 'w3c',
+  dtcg: 'w3c',
+  tokens: 'w3c',
+  sass: 'scss',
+  tw: 'tailwind'
+};
+
+/**
+ * Turns a human readable name into a token-safe slug
+ * @param {string} value - Name to convert
+ * @returns {string} Lowercase, dash separated slug
+ */
+const slugify = (value) => {
+  const slug = String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  return slug || 'unnamed';
+};
+
+/**
+ * Returns a function that makes names unique by appending a counter
+ * @returns {Function} Function mapping a base name to a unique name
+ */
+const createNameRegistry = () => {
+  // A Map, so names taken from the page such as "constructor" can't hit inherited keys
+  const used = new Map();
+  return (baseName) => {
+    const count = (used.get(baseName) || 0) + 1;
+    used.set(baseName, count);
+    return count === 1 ? baseName : `${baseName}-${count}`;
+  };
+};
+
+/**
+ * Quotes a font family name for use in CSS when needed
+ * Quotes, backslashes, control characters and # (SCSS interpolation) are written as CSS escapes.
+ * @param {string} family - Font family name
+ * @returns {string|null} CSS-safe font family, or null without a family
+ */
+const quoteFontFamily = (family) => {
+  if (!family) return null;
+  if (/^[a-z-]+$/i.test(family)) return family;
+  const escaped = String(family).replace(/["\\#\u0000-\u001f\u007f]/g, char => `\\${char.charCodeAt(0).toString(16)} `);
+  return `"${escaped}"`;
+};
+
+/**
+ * Builds the CSS value of a gradient token
+ * @param {Object} gradient - Gradient from extractGradients
+ * @returns {string} CSS gradient
+ */
+const gradientToCss = (gradient) => {
+  return gradient.css || `linear-gradient(${gradient.start}, ${gradient.end})`;
+};
+
+/**
+ * Builds the gradient stops of a gradient token
+ * @param {Object} gradient - Gradient from extractGradients
+ * @returns {Array} Stops with color and position between 0 and 1
+ */
+const gradientToStops = (gradient) => {
+  const colors = gradient.colors || [{ color: gradient.start }, { color: gradient.end }];
+
+  return colors.map((stop, index) => {
+    // Non-percentage positions can't be expressed as a fraction, so fall back to even spacing
+    const percentage = /^([-+]?[\d.]+)%$/.exec(stop.position || '');
+    const position = percentage
+      ? parseFloat(percentage[1]) / 100
+      : index / Math.max(1, colors.length - 1);
+
+    return { color: stop.color, position: Math.round(position * 10000) / 10000 };
+  });
+};
+
+/**
+ * Builds a format-independent token set from a scrape result
+ * @param {Object} result - Result from scrapeUrl
+ * @returns {Object} Named color, font family, typography and gradient tokens
+ */
+const buildTokenSet = (result) => {
+  // Colors are named after their closest named color
+  const colorName = createNameRegistry();
+  const colors = (result.colors || []).map(color => ({
+    name: colorName(slugify(color.name)),
+    value: color.hex
+  }));
+
+  // Every distinct font family gets its own token
+  const fonts = [];
+  const fontsByFamily = new Map();
+  const fontName = createNameRegistry();
+  (result.typography || []).forEach(group => {
+    const family = group['font-family'];
+    if (family && !fontsByFamily.has(family)) {
+      const font = { name: fontName(slugify(family)), value: family };
+      fontsByFamily.set(family, font);
+      fonts.push(font);
+    }
+  });
+
+  // Typography groups are named by tag role, the most used group of a role gets the plain name
+  const typographyName = createNameRegistry();
+  const typography = (result.typography || [])
+    .slice()
+    .sort((a, b) => (b.count || 0) - (a.count || 0))
+    .map(group => ({
+      name: typographyName(TAG_ROLES[group.tag] || slugify(group.tag)),
+      tag: group.tag,
+      fontFamily: group['font-family'],
+      fontFamilyToken: fontsByFamily.has(group['font-family']) ? fontsByFamily.get(group['font-family']).name : null,
+      fontSize: group['font-size'],
+      fontWeight: group['font-weight'],
+      lineHeight: group['line-height'],
+      letterSpacing: group['letter-spacing']
+    }))
+    // Keep the size order of the original result
+    .sort((a, b) => parseFloat(b.fontSize) - parseFloat(a.fontSize));
+
+  const gradientName = createNameRegistry();
+  const gradients = (result.gradients || []).map(gradient => ({
+    name: gradientName(slugify(gradient.name)),
+    value: gradientToCss(gradient),
+    stops: gradientToStops(gradient)
+  }));
+
+  return { colors, fonts, typography, gradients };
+};
+
+/**
+ * Formats tokens as W3C Design Tokens Community Group JSON
+ * @param {Object} tokens - Token set from buildTokenSet
+ * @returns {string} JSON document
+ */
+const formatW3c = (tokens) => {
+  const document = {
+    color: {},
+    font: { family: {} },
+    typography: {},
+    gradient: {}
+  };
+
+  tokens.colors.forEach(color => {
+    document.color[color.name] = { $type: 'color', $value: color.value };
+  });
+
+  tokens.fonts.forEach(font => {
+    document.font.family[font.name] = { $type: 'fontFamily', $value: [font.value] };
+  });
+
+  tokens.typography.forEach(type => {
+    const value = {
+      fontFamily: type.fontFamilyToken ? `{font.family.${type.fontFamilyToken}}` : type.fontFamily,
+      fontSize: type.fontSize,
+      fontWeight: isNaN(parseInt(type.fontWeight)) ? type.fontWeight : parseInt(type.fontWeight),
+      lineHeight: type.lineHeight,
+      letterSpacing: type.letterSpacing
+    };
+    document.typography[type.name] = {
+      $type: 'typography',
+      $value: value,
+      $description: `Extracted from <${type.tag}> elements`
+    };
+  });
+
+  tokens.gradients.forEach(gradient => {
+    document.gradient[gradient.name] = { $type: 'gradient', $value: gradient.stops };
+  });
+
+  return JSON.stringify(document, null, 2);
+};
+
+/**
+ * Formats tokens as CSS custom properties on :root
+ * @param {Object} tokens - Token set from buildTokenSet
+ * @returns {string} CSS file
+ */
+const formatCss = (tokens) => {
+  const lines = [':root {'];
+
+  tokens.colors.forEach(color => lines.push(`  --color-${color.name}: ${color.value};`));
+  tokens.fonts.forEach(font => lines.push(`  --font-family-${font.name}: ${quoteFontFamily(font.value)};`));
+  tokens.typography.forEach(type => {
+    const family = type.fontFamilyToken ? `var(--font-family-${type.fontFamilyToken})` : quoteFontFamily(type.fontFamily);
+    if (family) lines.push(`  --font-${type.name}-family: ${family};`);
+    lines.push(`  --font-${type.name}-size: ${type.fontSize};`);
+    lines.push(`  --font-${type.name}-weight: ${type.fontWeight};`);
+    lines.push(`  --font-${type.name}-line-height: ${type.lineHeight};`);
+    lines.push(`  --font-${type.name}-letter-spacing: ${type.letterSpacing};`);
+  });
+  tokens.gradients.forEach(gradient => lines.push(`  --gradient-${gradient.name}: ${gradient.value};`));
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Formats tokens as SCSS variables and maps
+ * @param {Object} tokens - Token set from buildTokenSet
+ * @returns {string} SCSS file
+ */
+const formatScss = (tokens) => {
+  const lines = ['// Colors'];
+  tokens.colors.forEach(color => lines.push(`$color-${color.name}: ${color.value};`));
+  lines.push('', '$colors: (');
+  tokens.colors.forEach(color => lines.push(`  '${color.name}': $color-${color.name},`));
+  lines.push(');', '', '// Font families');
+  tokens.fonts.forEach(font => lines.push(`$font-family-${font.name}: ${quoteFontFamily(font.value)};`));
+  lines.push('', '// Typography', '$typography: (');
+  tokens.typography.forEach(type => {
+    const family = type.fontFamilyToken ? `$font-family-${type.fontFamilyToken}` : quoteFontFamily(type.fontFamily);
+    lines.push(`  '${type.name}': (`);
+    if (family) lines.push(`    'font-family': ${family},`);
+    lines.push(`    'font-size': ${type.fontSize},`);
+    lines.push(`    'font-weight': ${type.fontWeight},`);
+    lines.push(`    'line-height': ${type.lineHeight},`);
+    lines.push(`    'letter-spacing': ${type.letterSpacing},`);
+    lines.push('  ),');
+  });
+  lines.push(');', '', '// Gradients');
+  tokens.gradients.forEach(gradient => lines.push(`$gradient-${gradient.name}: ${gradient.value};`));
+  lines.push('', '$gradients: (');
+  tokens.gradients.forEach(gradient => lines.push(`  '${gradient.name}': $gradient-${gradient.name},`));
+  lines.push(');');
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Formats tokens as a tailwind.config.js theme extension
+ * @param {Object} tokens - Token set from buildTokenSet
+ * @returns {string} JavaScript module
+ */
+const formatTailwind = (tokens) => {
+  const extend = {
+    colors: {},
+    fontFamily: {},
+    fontSize: {},
+    backgroundImage: {}
+  };
+
+  tokens.colors.forEach(color => {
+    extend.colors[color.name] = color.value;
+  });
+  tokens.fonts.forEach(font => {
+    extend.fontFamily[font.name] = [font.value];
+  });
+  tokens.typography.forEach(type => {
+    extend.fontSize[type.name] = [type.fontSize, {
+      lineHeight: type.lineHeight,
+      letterSpacing: type.letterSpacing,
+      fontWeight: type.fontWeight
+    }];
+  });
+  tokens.gradients.forEach(gradient => {
+    extend.backgroundImage[`gradient-${gradient.name}`] = gradient.value;
+  });
+
+  const config = { theme: { extend } };
+  return `/** @type {import('tailwindcss').Config} */\nmodule.exports = ${JSON.stringify(config, null, 2)};\n`;
+};
+
+const FORMATTERS = {
+  w3c: formatW3c,
+  css: formatCss,
+  scss: formatScss,
+  tailwind: formatTailwind
+};
+
+/**
+ * Resolves a format parameter to a supported export format
+ * @param {string} format - Requested format or alias
+ * @returns {string|null} Canonical format name or null if unsupported
+ */
+const resolveExportFormat = (format) => {
+  const name = String(format || '').toLowerCase();
+  // Own properties only, names such as "constructor" aren't formats
+  const isOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+  const canonical = isOwn(FORMAT_ALIASES, name) ? FORMAT_ALIASES[name] : name;
+  return isOwn(EXPORT_FORMATS, canonical) ? canonical : null;
+};
+
+/**
+ * Exports a scrape result as design tokens
+ * @param {Object} result - Result from scrapeUrl
+ * @param {string} format - Canonical format from resolveExportFormat
+ * @returns {Object} Object with content, contentType and fileName
+ */
+const exportTokens = (result, format) => {
+  const tokens = buildTokenSet(result);
+
+  return {
+    content: FORMATTERS[format](tokens),
+    ...EXPORT_FORMATS[format]
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildTokenSet,
+  resolveExportFormat,
+  exportTokens
+};
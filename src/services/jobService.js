@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const { scrapeUrl, scrapeViewports } = require('./scrapeService');
+const { scrapeStatic } = require('./staticService');
+const { crawlSite } = require('./crawlService');
+const jobStore = require('../utils/jobStore');
+const { getScrapeError } = require('../utils/errorUtils');
+
+// Job runner configuration from environment variables
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY || 2));
+const JOB_TTL = parseInt(process.env.JOB_TTL || 86400000); // 24 hours in milliseconds
+const JOB_MAX_FINISHED = parseInt(process.env.JOB_MAX_FINISHED || 100); // Finished jobs kept with their results
+const JOB_CLEANUP_INTERVAL = 3600000; // 1 hour in milliseconds
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Runs a scrape job in the mode it was created with, like /scrape would
+ * @param {string} url - URL to analyze
+ * @param {Object} options - Scrape options
+ * @param {string} [options.mode='browser'] - browser or static
+ * @param {Array} [options.viewports] - Viewports from resolveViewports, adds the responsive report
+ * @returns {Promise<Object>} Result in the /scrape response shape
+ */
+const runScrape = (url, { mode, viewports, ...options }) => {
+  if (mode === 'static') return scrapeStatic(url, options);
+  return viewports ? scrapeViewports(url, { ...options, viewports }) : scrapeUrl(url, options);
+};
+
+// Work a job can run, single page scrapes by default
+const JOB_RUNNERS = {
+  scrape: runScrape,
+  crawl: crawlSite
+};
+
+// All known jobs by id
+const jobs = new Map();
+// Ids of jobs waiting to run, oldest first
+const queue = [];
+// Abort controllers and promises of running jobs by id
+const running = new Map();
+// Pending writes per job, so saves of the same job never overlap
+const pendingSaves = new Map();
+let cleanupInterval = null;
+let shuttingDown = false;
+
+/**
+ * Checks whether a job has reached a final status
+ * @param {Object} job - Job record
+ * @returns {boolean} True for succeeded, failed and cancelled jobs
+ */
+const isFinished = (job) => [JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED].includes(job.status);
+
+/**
+ * Returns the copy of a job that is written to disk, without the credentials of its proxy
+ * @param {Object} job - Job record
+ * @returns {Object} Job record safe to store
+ */
+const toStoredJob = (job) => {
+  const proxy = job.options && job.options.proxy;
+  if (!proxy || !proxy.username) return job;
+
+  const { username, password, ...storedProxy } = proxy;
+  const url = new URL(proxy.url);
+  url.username = '';
+  url.password = '';
+  return {
+    ...job,
+    options: {
+      ...job.options,
+      proxy: { ...storedProxy, url: url.href.replace(/\/$/, ''), credentialsRemoved: true }
+    }
+  };
+};
+
+/**
+ * Persists a job after any write that is already in progress for it
+ * @param {Object} job - Job record
+ * @returns {Promise<void>}
+ */
+const persistJob = (job) => {
+  const previous = pendingSaves.get(job.id) || Promise.resolve();
+  const save = previous
+    .then(() => jobStore.saveJob(toStoredJob(job)))
+    .catch(error => console.error(`Failed to persist job ${job.id}:`, error.message))
+    .finally(() => {
+      if (pendingSaves.get(job.id) === save) pendingSaves.delete(job.id);
+    });
+
+  pendingSaves.set(job.id, save);
+  return save;
+};
+
+/**
+ * Runs a single job and records its outcome
+ * @param {Object} job - Job record
+ * @param {AbortController} controller - Controller used to cancel the job
+ * @returns {Promise<void>}
+ */
+const runJob = async (job, controller) => {
+  job.status = JOB_STATUS.RUNNING;
+  job.stage = 'starting';
+  job.startedAt = new Date().toISOString();
+  persistJob(job);
+
+  try {
+    const run = JOB_RUNNERS[job.type] || runScrape;
+    const result = await run(job.url, {
+      ...job.options,
+      signal: controller.signal,
+      onProgress: (stage, progress) => {
+        job.stage = stage;
+        job.progress = progress;
+        persistJob(job);
+      }
+    });
+
+    // Static scrapes can't be interrupted, a job cancelled meanwhile drops its result
+    if (job.cancelRequested) {
+      job.status = JOB_STATUS.CANCELLED;
+    } else {
+      job.status = JOB_STATUS.SUCCEEDED;
+      job.result = result;
+    }
+  } catch (error) {
+    if (shuttingDown && !job.cancelRequested) {
+      // Interrupted by a shutdown, run it again after the restart
+      console.log(`Job ${job.id} interrupted by shutdown, re-queueing`);
+      job.status = JOB_STATUS.QUEUED;
+      job.stage = 'queued';
+      job.progress = 0;
+      job.startedAt = null;
+      await persistJob(job);
+      return;
+    }
+
+    if (error.code === 'SCRAPE_CANCELLED') {
+      job.status = JOB_STATUS.CANCELLED;
+    } else {
+      console.error(`Job ${job.id} failed:`, error.message);
+      const { httpStatus, ...jobError } = getScrapeError(error);
+      job.status = JOB_STATUS.FAILED;
+      job.error = jobError;
+    }
+  }
+
+  job.finishedAt = new Date().toISOString();
+  await persistJob(job);
+};
+
+/**
+ * Starts queued jobs while there are free slots
+ */
+const processQueue = () => {
+  while (!shuttingDown && running.size < JOB_CONCURRENCY && queue.length > 0) {
+    const job = jobs.get(queue.shift());
+    if (!job || job.status !== JOB_STATUS.QUEUED) continue;
+
+    const controller = new AbortController();
+    const promise = runJob(job, controller).finally(() => {
+      running.delete(job.id);
+      removeExpiredJobs().catch(error => console.error('Failed to remove expired jobs:', error.message));
+      processQueue();
+    });
+    running.set(job.id, { promise, controller });
+  }
+};
+
+/**
+ * Creates a job and queues it for execution
+ * @param {string} url - URL to analyze
+ * @param {Object} options - Serializable scrape or crawl options
+ * @param {string} [type='scrape'] - Job type, a key of JOB_RUNNERS
+ * @returns {Promise<Object>} The new job
+ */
+const createJob = async (url, options, type = 'scrape') => {
+  if (shuttingDown) {
+    const error = new Error('Job service is shutting down');
+    error.code = 'POOL_SHUTTING_DOWN';
+    throw error;
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: JOB_STATUS.QUEUED,
+    stage: 'queued',
+    progress: 0,
+    url,
+    options,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null
+  };
+
+  jobs.set(job.id, job);
+  await persistJob(job);
+  queue.push(job.id);
+  processQueue();
+
+  return job;
+};
+
+/**
+ * Returns a job by id
+ * @param {string} id - Job id
+ * @returns {Object|null} Job record or null if unknown
+ */
+const getJob = (id) => jobs.get(id) || null;
+
+/**
+ * Cancels a queued or running job
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>} The job, or null if unknown
+ */
+const cancelJob = async (id) => {
+  const job = jobs.get(id);
+  if (!job || isFinished(job)) return job || null;
+
+  job.cancelRequested = true;
+
+  if (job.status === JOB_STATUS.QUEUED) {
+    const index = queue.indexOf(id);
+    if (index !== -1) queue.splice(index, 1);
+    job.status = JOB_STATUS.CANCELLED;
+    job.finishedAt = new Date().toISOString();
+    await persistJob(job);
+    return job;
+  }
+
+  // Aborting closes the job's page, the runner then marks it cancelled
+  const entry = running.get(id);
+  if (entry) {
+    entry.controller.abort();
+    await entry.promise;
+  }
+  return job;
+};
+
+/**
+ * Removes finished jobs older than the configured TTL, and the oldest ones beyond JOB_MAX_FINISHED
+ * @returns {Promise<void>}
+ */
+const removeExpiredJobs = async () => {
+  const now = Date.now();
+  const finishedAt = (job) => new Date(job.finishedAt || job.createdAt).getTime();
+  const finishedJobs = Array.from(jobs.values())
+    .filter(isFinished)
+    .sort((a, b) => finishedAt(b) - finishedAt(a));
+
+  for (const [index, job] of finishedJobs.entries()) {
+    if (index >= JOB_MAX_FINISHED || now - finishedAt(job) > JOB_TTL) {
+      jobs.delete(job.id);
+      await jobStore.deleteJob(job.id);
+    }
+  }
+};
+
+/**
+ * Loads stored jobs, re-queues unfinished ones and starts processing
+ * @returns {Promise<void>}
+ */
+const initJobs = async () => {
+  const storedJobs = await jobStore.loadJobs();
+
+  storedJobs
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .forEach(job => {
+      jobs.set(job.id, job);
+
+      // Proxy credentials are never stored, so jobs that needed them can't run again
+      if (!isFinished(job) && job.options && job.options.proxy && job.options.proxy.credentialsRemoved) {
+        job.status = JOB_STATUS.FAILED;
+        job.finishedAt = new Date().toISOString();
+        job.error = {
+          code: 'PROXY_ERROR',
+          message: 'The proxy credentials of the job were lost in a restart.',
+          details: `Job ${job.id} used a proxy with credentials, which are only kept in memory. Submit it again.`
+        };
+        persistJob(job);
+        return;
+      }
+
+      // Jobs that were running when the server stopped start over
+      if (!isFinished(job)) {
+        job.status = JOB_STATUS.QUEUED;
+        job.stage = 'queued';
+        job.progress = 0;
+        job.startedAt = null;
+        queue.push(job.id);
+      }
+    });
+
+  await removeExpiredJobs();
+  console.log(`Loaded ${jobs.size} job(s), ${queue.length} queued`);
+
+  if (!cleanupInterval) {
+    cleanupInterval = setInterval(() => {
+      removeExpiredJobs().catch(error => console.error('Failed to remove expired jobs:', error.message));
+    }, JOB_CLEANUP_INTERVAL);
+    cleanupInterval.unref();
+  }
+
+  processQueue();
+};
+
+/**
+ * Stops starting new jobs and interrupts running ones so they are re-queued on restart
+ * @returns {Promise<void>}
+ */
+const shutdownJobs = async () => {
+  shuttingDown = true;
+  clearInterval(cleanupInterval);
+  cleanupInterval = null;
+
+  const entries = Array.from(running.values());
+  entries.forEach(entry => entry.controller.abort());
+  await Promise.allSettled(entries.map(entry => entry.promise));
+  await Promise.allSettled(Array.from(pendingSaves.values()));
+};
+
+module.exports = {
+  JOB_STATUS,
+  JOB_RUNNERS,
+  createJob,
+  getJob,
+  cancelJob,
+  initJobs,
+  shutdownJobs
+};
@@ -0,0 +1,280 @@
+// Grid units tried for the spacing scale, largest first wins when it covers enough values
+const GRID_UNITS = [2, 4, 5, 6, 8, 10, 12, 16];
+
+// Share of spacing usages that must be a multiple of the unit for it to count as the grid
+const GRID_MIN_COVERAGE = 0.8;
+
+// Distance in px within which a value still counts as a multiple of the grid unit
+const GRID_TOLERANCE = 0.5;
+
+// Larger margins are almost always auto margins of centered blocks, not spacing tokens
+const MAX_SPACING = 256;
+
+// Radii from this size on (or 50%) make pills and circles
+const FULL_RADIUS = 999;
+
+// Values used fewer times than this are left out of the scales
+const MIN_TOKEN_USES = 2;
+
+/**
+ * Rounds a number to two decimals
+ * @param {number} value - Number to round
+ * @returns {number} Rounded number
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Turns usage counts into entries sorted by size
+ * @param {Object} counts - Usage counts keyed by value in px
+ * @returns {Array} Entries with px and count, smallest first
+ */
+const toEntries = (counts) => Object.entries(counts)
+  .map(([value, count]) => ({ px: parseFloat(value), count }))
+  .sort((a, b) => a.px - b.px);
+
+/**
+ * Finds the grid unit most spacing values are multiples of
+ * @param {Array} entries - Entries with px and count
+ * @returns {Object} Chosen unit (null without one), its coverage and the coverage of every unit tried
+ */
+const detectGrid = (entries) => {
+  const total = entries.reduce((sum, entry) => sum + entry.count, 0) || 1;
+  const isMultiple = (px, unit) => Math.abs(px - Math.round(px / unit) * unit) <= GRID_TOLERANCE;
+
+  const candidates = GRID_UNITS.map(unit => ({
+    unit,
+    coverage: round2(entries.filter(entry => isMultiple(entry.px, unit)).reduce((sum, entry) => sum + entry.count, 0) / total)
+  }));
+
+  // The largest unit that still explains most values is the most specific grid
+  const grid = candidates.filter(candidate => candidate.coverage >= GRID_MIN_COVERAGE).sort((a, b) => b.unit - a.unit)[0];
+
+  return {
+    unit: grid ? grid.unit : null,
+    coverage: grid ? grid.coverage : null,
+    candidates,
+    isOnGrid: (px) => !grid || isMultiple(px, grid.unit)
+  };
+};
+
+/**
+ * Builds a named scale from usage counts
+ * @param {Array} entries - Entries with px and count, smallest first
+ * @param {string} prefix - Token name prefix
+ * @returns {Array} Values used at least MIN_TOKEN_USES times, named prefix-1, prefix-2, …
+ */
+const buildScale = (entries, prefix) => entries
+  .filter(entry => entry.count >= MIN_TOKEN_USES)
+  .map((entry, index) => ({ token: `${prefix}-${index + 1}`, ...entry }));
+
+/**
+ * Builds the spacing scale and checks it against a grid
+ * @param {Object} raw - Spacing usage counts by property group
+ * @returns {Object} Grid, scale, off-grid values and usage by property group
+ */
+const buildSpacing = (raw) => {
+  const counts = {};
+  Object.values(raw).forEach(group => {
+    Object.entries(group).forEach(([value, count]) => {
+      counts[value] = (counts[value] || 0) + count;
+    });
+  });
+
+  const entries = toEntries(counts);
+  const { isOnGrid, ...grid } = detectGrid(entries);
+
+  return {
+    grid,
+    scale: buildScale(entries.filter(entry => isOnGrid(entry.px)), 'space')
+      .map(entry => ({ ...entry, ...(grid.unit && { multiple: round2(entry.px / grid.unit) }) })),
+    offGrid: entries.filter(entry => !isOnGrid(entry.px)),
+    byProperty: Object.entries(raw).reduce((all, [property, group]) => ({
+      ...all,
+      [property]: toEntries(group)
+    }), {})
+  };
+};
+
+/**
+ * Builds the radius scale
+ * @param {Object} raw - Radius usage counts keyed by computed value
+ * @returns {Object} Scale of px radii, pill/circle usage and other values such as percentages
+ */
+const buildRadii = (raw) => {
+  let full = 0;
+  const pxCounts = {};
+  const other = [];
+
+  Object.entries(raw).forEach(([value, count]) => {
+    const px = /^[\d.]+px$/.test(value) ? parseFloat(value) : null;
+    if (value === '50%' || (px !== null && px >= FULL_RADIUS)) {
+      full += count;
+    } else if (px !== null) {
+      pxCounts[px] = (pxCounts[px] || 0) + count;
+    } else {
+      other.push({ value, count });
+    }
+  });
+
+  return {
+    scale: buildScale(toEntries(pxCounts), 'radius'),
+    full,
+    other: other.sort((a, b) => b.count - a.count)
+  };
+};
+
+/**
+ * Splits a computed box-shadow into its layers
+ * @param {string} value - Computed box-shadow, e.g. "rgba(0, 0, 0, 0.1) 0px 1px 3px 0px, …"
+ * @returns {Array} Layers with color, offsets, blur, spread and inset flag
+ */
+const parseShadowLayers = (value) => {
+  return value.split(/,(?![^(]*\))/).map(layer => {
+    const color = (layer.match(/(?:rgba?|hsla?|oklch|lab|color)\([^)]*\)|#[0-9a-f]+/i) || [null])[0];
+    const lengths = layer.replace(color || '', '').match(/-?[\d.]+px/g) || [];
+    const [x = 0, y = 0, blur = 0, spread = 0] = lengths.map(length => parseFloat(length));
+    return { color, x, y, blur, spread, inset: /\binset\b/.test(layer) };
+  });
+};
+
+/**
+ * Orders distinct shadows into elevation levels
+ * @param {Object} raw - Shadow usage counts keyed by computed value
+ * @returns {Array} Shadows with their layers, lowest elevation first; inset shadows have no level
+ */
+const buildShadows = (raw) => {
+  const shadows = Object.entries(raw).map(([value, count]) => {
+    const layers = parseShadowLayers(value);
+    const outer = layers.filter(layer => !layer.inset);
+    return {
+      value,
+      count,
+      layers,
+      // How far the shadow appears to lift the element off the page
+      depth: outer.length === 0 ? null : Math.max(...outer.map(layer => Math.abs(layer.y) + layer.blur / 2 + Math.max(layer.spread, 0)))
+    };
+  });
+
+  const elevated = shadows.filter(shadow => shadow.depth !== null).sort((a, b) => a.depth - b.depth || b.count - a.count);
+  const inset = shadows.filter(shadow => shadow.depth === null).sort((a, b) => b.count - a.count);
+
+  return [
+    ...elevated.map((shadow, index) => ({ token: `shadow-${index + 1}`, level: index + 1, ...shadow, depth: round2(shadow.depth) })),
+    ...inset.map((shadow, index) => ({ token: `shadow-inset-${index + 1}`, level: null, ...shadow }))
+  ];
+};
+
+/**
+ * Collects spacing, radius, shadow, border width, container width and z-index values from computed styles
+ * @param {Page} page - Puppeteer page object
+ * @returns {Object} Layout tokens with usage counts and scales
+ */
+const extractLayoutTokens = async (page) => {
+  const raw = await page.evaluate((maxSpacing) => {
+    const ignoredTags = ['HEAD', 'TITLE', 'META', 'LINK', 'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'BASE', 'BR'];
+    const sides = ['top', 'right', 'bottom', 'left'];
+    const corners = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+
+    const spacing = { margin: {}, padding: {}, gap: {} };
+    const radii = {};
+    const shadows = {};
+    const borderWidths = {};
+    const containers = {};
+    const layers = {};
+
+    const add = (counts, key) => {
+      counts[key] = (counts[key] || 0) + 1;
+    };
+    const addSpacing = (group, value) => {
+      const px = parseFloat(value);
+      // Negative margins pull elements together, they aren't part of the scale
+      if (!/px$/.test(value) || !(px > 0) || px > maxSpacing) return;
+      add(spacing[group], Math.round(px * 100) / 100);
+    };
+
+    Array.from(document.querySelectorAll('*')).forEach(el => {
+      if (ignoredTags.includes(el.tagName)) return;
+
+      const computed = window.getComputedStyle(el);
+      if (computed.display === 'none') return;
+
+      sides.forEach(side => {
+        addSpacing('margin', computed.getPropertyValue(`margin-${side}`));
+        addSpacing('padding', computed.getPropertyValue(`padding-${side}`));
+
+        const width = parseFloat(computed.getPropertyValue(`border-${side}-width`)) || 0;
+        const style = computed.getPropertyValue(`border-${side}-style`);
+        if (width > 0 && style !== 'none' && style !== 'hidden') {
+          add(borderWidths, Math.round(width * 100) / 100);
+        }
+      });
+
+      // Gaps only apply to flex and grid containers
+      if (/flex|grid/.test(computed.display)) {
+        new Set([computed.rowGap, computed.columnGap]).forEach(value => addSpacing('gap', value));
+      }
+
+      // Equal corners count once, otherwise every distinct corner counts
+      const cornerValues = new Set(corners.map(corner => computed.getPropertyValue(`border-${corner}-radius`)));
+      cornerValues.forEach(value => {
+        if (value && value !== '0px') add(radii, value);
+      });
+
+      if (computed.boxShadow && computed.boxShadow !== 'none') {
+        add(shadows, computed.boxShadow);
+      }
+
+      if (/px$/.test(computed.maxWidth)) {
+        const px = Math.round(parseFloat(computed.maxWidth));
+        if (!containers[px]) containers[px] = { count: 0, centered: 0 };
+        containers[px].count++;
+        // Blocks centered with auto margins are the classic page container
+        if (parseFloat(computed.marginLeft) > 0 && computed.marginLeft === computed.marginRight) {
+          containers[px].centered++;
+        }
+      }
+
+      // z-index only takes effect on positioned elements and flex or grid items
+      const parentDisplay = el.parentElement ? window.getComputedStyle(el.parentElement).display : '';
+      if (computed.zIndex !== 'auto' && (computed.position !== 'static' || /flex|grid/.test(parentDisplay))) {
+        const zIndex = parseInt(computed.zIndex);
+        if (!isNaN(zIndex)) {
+          if (!layers[zIndex]) layers[zIndex] = { count: 0, positions: {}, tags: {} };
+          add(layers[zIndex].positions, computed.position);
+          add(layers[zIndex].tags, el.tagName.toLowerCase());
+          layers[zIndex].count++;
+        }
+      }
+    });
+
+    return { spacing, radii, shadows, borderWidths, containers, layers };
+  }, MAX_SPACING);
+
+  const borderWidths = toEntries(raw.borderWidths);
+
+  return {
+    spacing: buildSpacing(raw.spacing),
+    radius: buildRadii(raw.radii),
+    shadows: buildShadows(raw.shadows),
+    borderWidths: {
+      scale: buildScale(borderWidths, 'border'),
+      values: borderWidths
+    },
+    containers: Object.entries(raw.containers)
+      .map(([px, usage]) => ({ px: Number(px), ...usage }))
+      .sort((a, b) => a.px - b.px)
+      .map((container, index) => ({ token: `container-${index + 1}`, ...container })),
+    zIndex: Object.entries(raw.layers)
+      .map(([value, layer]) => ({
+        value: Number(value),
+        count: layer.count,
+        positions: layer.positions,
+        tags: Object.entries(layer.tags).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([tag]) => tag)
+      }))
+      .sort((a, b) => a.value - b.value)
+  };
+};
+
+module.exports = {
+  extractLayoutTokens
+};
@@ -0,0 +1,236 @@
+// Root font size used to convert em and rem breakpoints to pixels
+const ROOT_FONT_SIZE = 16;
+
+/**
+ * Reads the width conditions of a media query
+ * @param {string} media - Media query text, e.g. "screen and (min-width: 768px)"
+ * @returns {Object} Smallest and largest width in px the query applies to, null when unbounded
+ */
+const parseWidthConditions = (media) => {
+  const toPixels = (value, unit) => {
+    const number = parseFloat(value);
+    return unit === 'px' ? number : number * ROOT_FONT_SIZE;
+  };
+
+  let minWidth = null;
+  let maxWidth = null;
+  const lengthPattern = '([\\d.]+)(px|em|rem)';
+
+  // Classic syntax: (min-width: 768px)
+  const classic = new RegExp(`\\((min|max)-width\\s*:\\s*${lengthPattern}\\s*\\)`, 'gi');
+  let match;
+  while ((match = classic.exec(media)) !== null) {
+    const width = toPixels(match[2], match[3].toLowerCase());
+    if (match[1].toLowerCase() === 'min') minWidth = width;
+    else maxWidth = width;
+  }
+
+  // Range syntax: (width >= 768px), (768px <= width) or (600px < width <= 900px)
+  const lengthFirst = new RegExp(`${lengthPattern}\\s*(<=?|>=?)\\s*width`, 'gi');
+  while ((match = lengthFirst.exec(media)) !== null) {
+    const width = toPixels(match[1], match[2].toLowerCase());
+    if (match[3].startsWith('<')) minWidth = width;
+    else maxWidth = width;
+  }
+  const widthFirst = new RegExp(`width\\s*(<=?|>=?)\\s*${lengthPattern}`, 'gi');
+  while ((match = widthFirst.exec(media)) !== null) {
+    const width = toPixels(match[2], match[3].toLowerCase());
+    if (match[1].startsWith('>')) minWidth = width;
+    else maxWidth = width;
+  }
+
+  return { minWidth, maxWidth };
+};
+
+/**
+ * Extracts the media queries declared by the page's stylesheets
+ * @param {Page} page - Puppeteer page object
+ * @returns {Object} Media queries with their rule counts, width breakpoints and stylesheets that couldn't be read
+ */
+const extractMediaQueries = async (page) => {
+  const raw = await page.evaluate(() => {
+    const queries = {};
+    const inaccessibleStylesheets = [];
+
+    const record = (media, rules) => {
+      const text = (media || '').trim();
+      if (!text || text === 'all') return;
+      queries[text] = (queries[text] || 0) + rules;
+    };
+
+    const visitRules = (rules) => {
+      Array.from(rules || []).forEach(rule => {
+        if (rule instanceof CSSMediaRule) {
+          record(rule.media.mediaText, rule.cssRules.length);
+          visitRules(rule.cssRules);
+        } else if (rule instanceof CSSImportRule) {
+          record(rule.media.mediaText, 0);
+          try {
+            if (rule.styleSheet) visitRules(rule.styleSheet.cssRules);
+          } catch (error) {
+            // Imported cross-origin stylesheets can't be read
+          }
+        } else if (rule.cssRules) {
+          // @supports, @layer and other grouping rules may contain media rules
+          visitRules(rule.cssRules);
+        }
+      });
+    };
+
+    Array.from(document.styleSheets).forEach(sheet => {
+      try {
+        // Stylesheets linked with a media attribute only apply at those sizes
+        record(sheet.media.mediaText, sheet.cssRules.length);
+        visitRules(sheet.cssRules);
+      } catch (error) {
+        if (sheet.href) inaccessibleStylesheets.push(sheet.href);
+      }
+    });
+
+    return { queries, inaccessibleStylesheets };
+  });
+
+  const queries = Object.entries(raw.queries)
+    .map(([media, rules]) => ({ media, rules, ...parseWidthConditions(media) }))
+    .sort((a, b) => b.rules - a.rules);
+
+  // Every width a query starts or stops applying at
+  const breakpoints = {};
+  queries.forEach(query => {
+    [['min-width', query.minWidth], ['max-width', query.maxWidth]].forEach(([condition, width]) => {
+      if (width === null) return;
+      if (!breakpoints[width]) breakpoints[width] = { width, conditions: [], queries: 0, rules: 0 };
+      const breakpoint = breakpoints[width];
+      if (!breakpoint.conditions.includes(condition)) breakpoint.conditions.push(condition);
+      breakpoint.queries++;
+      breakpoint.rules += query.rules;
+    });
+  });
+
+  return {
+    queries,
+    breakpoints: Object.values(breakpoints).sort((a, b) => a.width - b.width),
+    inaccessibleStylesheets: raw.inaccessibleStylesheets
+  };
+};
+
+/**
+ * Describes a viewport without the user agent string
+ * @param {Object} viewport - Viewport from resolveViewports
+ * @returns {Object} Name, size and device emulation flags
+ */
+const summarizeViewport = ({ userAgent, ...viewport }) => ({
+  ...viewport,
+  mobileUserAgent: !!userAgent
+});
+
+/**
+ * Follows each typography group across viewports, matched by tag, family and weight
+ * @param {Array} viewportResults - Objects with viewport and scrape result, narrowest first
+ * @returns {Array} Groups with their sizes at every viewport and how much they scale
+ */
+const buildTypographyScaling = (viewportResults) => {
+  const groups = {};
+
+  viewportResults.forEach(({ viewport, result }) => {
+    result.typography.forEach(style => {
+      const key = [style.tag, style['font-family'], style['font-weight']].join('|');
+      if (!groups[key]) {
+        groups[key] = {
+          tag: style.tag,
+          'font-family': style['font-family'],
+          'font-weight': style['font-weight'],
+          viewports: {}
+        };
+      }
+      if (!groups[key].viewports[viewport.name]) groups[key].viewports[viewport.name] = [];
+      groups[key].viewports[viewport.name].push({
+        'font-size': style['font-size'],
+        'line-height': style['line-height'],
+        count: style.count
+      });
+    });
+  });
+
+  return Object.values(groups).map(group => {
+    // The most used size of the group at each viewport
+    const primary = viewportResults
+      .map(({ viewport }) => {
+        const sizes = group.viewports[viewport.name];
+        if (!sizes) return null;
+        sizes.sort((a, b) => b.count - a.count);
+        return { viewport: viewport.name, ...sizes[0] };
+      })
+      .filter(Boolean);
+
+    const fontSizes = primary.map(entry => parseFloat(entry['font-size'])).filter(size => !isNaN(size));
+    const smallest = Math.min(...fontSizes);
+    const largest = Math.max(...fontSizes);
+
+    return {
+      ...group,
+      viewports: viewportResults.reduce((all, { viewport }) => ({
+        ...all,
+        [viewport.name]: group.viewports[viewport.name] || null
+      }), {}),
+      scaling: {
+        fontSize: primary.map(entry => ({ viewport: entry.viewport, value: entry['font-size'] })),
+        lineHeight: primary.map(entry => ({ viewport: entry.viewport, value: entry['line-height'] })),
+        ratio: fontSizes.length > 0 && smallest > 0 ? Math.round(largest / smallest * 1000) / 1000 : null
+      },
+      responsive: new Set(primary.map(entry => `${entry['font-size']}|${entry['line-height']}`)).size > 1,
+      presentAt: primary.map(entry => entry.viewport)
+    };
+  }).sort((a, b) => Number(b.responsive) - Number(a.responsive) || (b.scaling.ratio || 0) - (a.scaling.ratio || 0));
+};
+
+/**
+ * Finds the colors used at every viewport and the ones that only appear at some of them
+ * @param {Array} viewportResults - Objects with viewport and scrape result
+ * @returns {Object} All colors with the viewports they appear at, and the viewport specific ones
+ */
+const buildColorPresence = (viewportResults) => {
+  const colors = {};
+
+  viewportResults.forEach(({ viewport, result }) => {
+    result.colors.forEach(color => {
+      if (!colors[color.hex]) {
+        colors[color.hex] = { name: color.name, hex: color.hex, role: color.role, viewports: [], counts: {} };
+      }
+      colors[color.hex].viewports.push(viewport.name);
+      colors[color.hex].counts[viewport.name] = color.count;
+    });
+  });
+
+  const all = Object.values(colors);
+  return {
+    all,
+    viewportSpecific: all.filter(color => color.viewports.length < viewportResults.length)
+  };
+};
+
+/**
+ * Combines the scrape results of every viewport into a responsive report
+ * @param {Array} viewportResults - Objects with viewport and scrape result, narrowest first
+ * @returns {Object} Viewports, typography scaling, color presence, media queries and the per viewport results
+ */
+const buildResponsiveReport = (viewportResults) => {
+  // Stylesheets are the same at every size, the widest viewport's copy is used
+  const { mediaQueries } = viewportResults[viewportResults.length - 1].result;
+
+  return {
+    viewports: viewportResults.map(({ viewport }) => summarizeViewport(viewport)),
+    typography: buildTypographyScaling(viewportResults),
+    colors: buildColorPresence(viewportResults),
+    mediaQueries,
+    results: viewportResults.reduce((all, { viewport, result }) => {
+      const { status, url, ...styles } = result;
+      return { ...all, [viewport.name]: styles };
+    }, {})
+  };
+};
+
+module.exports = {
+  extractMediaQueries,
+  buildResponsiveReport
+};
@@ -0,0 +1,511 @@
+const { extractTypography, extractFontInventory, buildTypeScale } = require('./typographyService');
+const { extractColors, buildPalette } = require('./colorService');
+const { extractGradients } = require('./gradientService');
+const { extractPageTitle } = require('./titleService');
+const { extractContrast } = require('./contrastService');
+const { extractMediaQueries, buildResponsiveReport } = require('./responsiveService');
+const { extractColorSchemes } = require('./colorSchemeService');
+const { extractStates } = require('./stateService');
+const { extractLayoutTokens } = require('./layoutService');
+const { extractComponents } = require('./componentService');
+const { buildArtifacts } = require('./artifactService');
+const { extractCustomProperties, linkVariables } = require('./variableService');
+const browserPool = require('../utils/browserPool');
+const { applyResourcePolicy, getBlockedNavigation, waitForStyles } = require('../utils/resourcePolicy');
+const { getRefusedConnection } = require('../utils/guardProxy');
+const { checkTargetUrl } = require('../utils/urlPolicy');
+const { extractLinks } = require('../utils/crawlUtils');
+const { getCachedResult, setCachedResult } = require('./cacheService');
+const { BLOCKED_STATUSES, hasPooledProxies, selectProxy, checkRequestedProxy, pickProxy, isProxyFailure, reportProxySuccess, reportProxyFailure } = require('../utils/proxyPool');
+const { DEFAULT_VIEWPORT } = require('../utils/viewportUtils');
+const { emulateMediaFeatures } = require('../utils/colorSchemeUtils');
+
+/**
+ * Retry a function with a delay between attempts
+ * @param {Function} fn - Function to retry, called with the attempt number
+ * @param {number} maxRetries - Maximum number of retry attempts
+ * @param {number} retryDelay - Delay between retries in ms
+ * @param {Function} [shouldRetry] - Returns false for errors that must not be retried
+ * @returns {Promise<any>} - Result of the function call
+ */
+const retry = async (fn, maxRetries = 3, retryDelay = 2000, shouldRetry = () => true) => {
+  const actualMaxRetries = parseInt(process.env.MAX_RETRIES || maxRetries);
+  const actualRetryDelay = parseInt(process.env.RETRY_DELAY || retryDelay);
+  let lastError;
+  
+  for (let attempt = 1; attempt <= actualMaxRetries; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      lastError = error;
+      console.log(`Attempt ${attempt}/${actualMaxRetries} failed: ${error.message}`);
+      
+      if (!shouldRetry(error)) {
+        break;
+      }
+      
+      if (attempt < actualMaxRetries) {
+        // Use exponential backoff
+        const backoffDelay = actualRetryDelay * Math.pow(1.5, attempt - 1);
+        console.log(`Retrying in ${backoffDelay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, backoffDelay));
+      }
+    }
+  }
+  
+  throw lastError;
+};
+
+/**
+ * Handle page navigation with retries and better error handling
+ * @param {puppeteer.Page} page - Puppeteer page
+ * @param {string} url - URL to navigate to
+ * @param {number} timeout - Navigation timeout
+ * @param {Object} [options] - Navigation options
+ * @param {Function} [options.switchProxy] - Called with the last error before a retry, returns the page to retry with
+ * @returns {Promise<puppeteer.Page>} The page that loaded the URL
+ */
+const navigateToUrl = async (page, url, timeout, { switchProxy } = {}) => {
+  let currentPage = page;
+  let lastError = null;
+
+  await retry(async (attempt) => {
+    // Proxy failures are retried on a page that goes through another proxy
+    if (attempt > 1 && switchProxy && isProxyFailure(lastError)) {
+      currentPage = await switchProxy(lastError);
+    }
+
+    try {
+      // Set longer timeout for navigation
+      const response = await currentPage.goto(url, { 
+        waitUntil: 'networkidle2', 
+        timeout: timeout
+      });
+
+      // A blocked proxy IP still loads a page, so it has to fail to get another proxy
+      if (switchProxy && response && BLOCKED_STATUSES.includes(response.status())) {
+        const error = new Error(`${url} answered with HTTP ${response.status()}`);
+        error.statusCode = response.status();
+        throw error;
+      }
+    } catch (error) {
+      // A navigation the target URL policy blocked fails with its reason instead of a network error,
+      // whether interception blocked it or the guard proxy refused the address the host resolved to
+      const blockedNavigation = getBlockedNavigation(currentPage) || getRefusedConnection(new URL(url).hostname);
+      if (blockedNavigation) throw blockedNavigation;
+
+      lastError = error;
+      // Check for specific network errors
+      if (
+        error.message.includes('net::ERR_NETWORK_CHANGED') ||
+        error.message.includes('net::ERR_INTERNET_DISCONNECTED') ||
+        error.message.includes('net::ERR_CONNECTION_RESET')
+      ) {
+        console.log('Network connection issue detected. Waiting before retry...');
+        // Wait longer before retry for network issues
+        await new Promise(resolve => setTimeout(resolve, 5000));
+      }
+      throw error;
+    }
+  }, parseInt(process.env.MAX_RETRIES || 3), parseInt(process.env.RETRY_DELAY || 5000), (error) => error.code !== 'TARGET_NOT_ALLOWED' && !currentPage.isClosed());
+
+  return currentPage;
+};
+
+/**
+ * Configures a fresh page to look like a regular browser and applies the resource policy
+ * @param {puppeteer.Page} page - Puppeteer page
+ * @param {Object} options - Scrape options
+ * @param {Object} options.resourcePolicy - Policy from resolveResourcePolicy
+ * @param {Object} [options.viewport] - Viewport from resolveViewports, desktop by default
+ * @param {Object} [options.colorScheme] - Settings from resolveColorScheme
+ * @param {Array} [options.trustedOrigins] - Origins exempt from the target URL policy
+ * @returns {Promise<void>}
+ */
+const preparePage = async (page, { resourcePolicy, viewport = DEFAULT_VIEWPORT, colorScheme, trustedOrigins }) => {
+  // User agent selection, mobile viewports bring their own
+  const userAgents = [
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36'
+  ];
+  
+  // Pick a random user agent
+  const randomUserAgent = viewport.userAgent || userAgents[Math.floor(Math.random() * userAgents.length)];
+  
+  // Basic evasion 
+  await page.evaluateOnNewDocument(() => {
+    // Overwrite the 'plugins' property to use a custom getter
+    Object.defineProperty(navigator, 'plugins', {
+      // This just needs to have length > 0
+      get: () => [1, 2, 3, 4, 5],
+    });
+
+    // Overwrite the 'languages' property to use a custom getter
+    Object.defineProperty(navigator, 'languages', {
+      get: () => ['en-US', 'en', 'es'],
+    });
+    
+    // Pass the Webdriver test
+    Object.defineProperty(navigator, 'webdriver', {
+      get: () => false,
+    });
+    
+    // Pass the Chrome test
+    window.chrome = {
+      runtime: {},
+    };
+    
+    // Pass the Permissions test
+    const originalQuery = window.navigator.permissions.query;
+    window.navigator.permissions.query = (parameters) => (
+      parameters.name === 'notifications' ?
+        Promise.resolve({ state: Notification.permission }) :
+        originalQuery(parameters)
+    );
+  });
+  
+  // Set user agent to mimic a regular browser
+  await page.setUserAgent(randomUserAgent);
+  console.log(`Using user agent: ${randomUserAgent}`);
+  
+  // Set extra HTTP headers
+  await page.setExtraHTTPHeaders({
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
+    'Sec-Ch-Ua': '"Not A(Brand";v="99", "Google Chrome";v="121", "Chromium";v="121"',
+    'Sec-Ch-Ua-Mobile': viewport.isMobile ? '?1' : '?0',
+    'Sec-Ch-Ua-Platform': '"macOS"',
+    'Sec-Fetch-Dest': 'document',
+    'Sec-Fetch-Mode': 'navigate',
+    'Sec-Fetch-Site': 'none',
+    'Sec-Fetch-User': '?1',
+    'Upgrade-Insecure-Requests': '1'
+  });
+  
+  // Set viewport and device emulation
+  await page.setViewport({
+    width: viewport.width,
+    height: viewport.height,
+    deviceScaleFactor: viewport.deviceScaleFactor,
+    isMobile: viewport.isMobile,
+    hasTouch: viewport.hasTouch
+  });
+  
+  // Load in the light scheme explicitly when it is compared with another one
+  if (colorScheme) {
+    await emulateMediaFeatures(page, { 'prefers-color-scheme': 'light' });
+  }
+  
+  // Block resources according to the requested policy
+  await applyResourcePolicy(page, resourcePolicy, { trustedOrigins });
+  console.log(`Using resource policy "${resourcePolicy.mode}", blocking: ${resourcePolicy.blockedTypes.join(', ') || 'nothing'}`);
+  
+  // Add error handler for page errors
+  page.on('error', error => {
+    console.error(`Page error: ${error.message}`);
+  });
+};
+
+/**
+ * Navigates to a URL and waits until the page is ready for extraction
+ * @param {puppeteer.Page} page - Prepared Puppeteer page
+ * @param {string} url - URL to load
+ * @param {Object} options - Scrape options
+ * @param {Object} options.resourcePolicy - Policy from resolveResourcePolicy
+ * @param {Function} [options.switchProxy] - Replaces the page with one using another proxy, see navigateToUrl
+ * @returns {Promise<Object>} The loaded page, and the style loading summary in full mode, otherwise null
+ */
+const loadPage = async (page, url, { resourcePolicy, switchProxy }) => {
+  const puppeteerTimeout = parseInt(process.env.PUPPETEER_TIMEOUT || 60000);
+
+  // Set a timeout for the navigation
+  console.log(`Navigating to ${url} with timeout ${puppeteerTimeout}ms`);
+  const loadedPage = await navigateToUrl(page, url, puppeteerTimeout, { switchProxy });
+  
+  // Allow a bit more time for dynamic content to load
+  await loadedPage.waitForTimeout(2000);
+  
+  // In full mode, wait for stylesheets and web fonts so computed styles are final
+  let styleLoading = null;
+  if (resourcePolicy.waitForStyles) {
+    styleLoading = await waitForStyles(loadedPage, parseInt(process.env.STYLE_LOAD_TIMEOUT || 10000));
+    console.log(`Stylesheets loaded: ${styleLoading.stylesheetsLoaded}/${styleLoading.stylesheets}, fonts loaded: ${styleLoading.fontsLoaded}`);
+  }
+
+  return { page: loadedPage, styleLoading };
+};
+
+/**
+ * Runs every extraction service against a loaded page
+ * @param {puppeteer.Page} page - Loaded Puppeteer page
+ * @param {Object} [options] - Scrape options
+ * @param {number} [options.paletteThreshold] - Delta E 2000 used to merge near-duplicate colors
+ * @returns {Promise<Object>} Title, typography, meta, type scale, fonts, colors, palette, gradients, layout tokens, components, contrast audit, media queries and custom properties
+ */
+const extractStyles = async (page, { paletteThreshold } = {}) => {
+  const [titleResult, typographyResult, fontsResult, colorsResult, gradientsResult, layoutResult, componentsResult, contrastResult, mediaQueriesResult, customPropertiesResult] = await Promise.all([
+    extractPageTitle(page),
+    extractTypography(page),
+    extractFontInventory(page),
+    extractColors(page),
+    extractGradients(page),
+    extractLayoutTokens(page),
+    extractComponents(page),
+    extractContrast(page),
+    extractMediaQueries(page),
+    extractCustomProperties(page)
+  ]);
+
+  const styles = {
+    title: titleResult,
+    ...typographyResult,
+    typeScale: buildTypeScale(typographyResult.typography, { rootFontSize: typographyResult.meta.rootFontSize }),
+    fonts: fontsResult,
+    colors: colorsResult,
+    palette: buildPalette(colorsResult, { threshold: paletteThreshold }),
+    gradients: gradientsResult,
+    layout: layoutResult,
+    components: componentsResult,
+    contrast: contrastResult,
+    mediaQueries: mediaQueriesResult,
+    customProperties: customPropertiesResult
+  };
+
+  // Colors and fonts point back to the variables that produced them
+  return linkVariables(styles, customPropertiesResult);
+};
+
+/**
+ * Creates the error thrown when a scrape is cancelled
+ * @returns {Error} Error with code SCRAPE_CANCELLED
+ */
+const createCancelledError = () => {
+  const error = new Error('Scrape was cancelled');
+  error.code = 'SCRAPE_CANCELLED';
+  return error;
+};
+
+/**
+ * Picks the scrape options that change the result, which makes them part of the cache key
+ * @param {Object} options - Scrape options
+ * @returns {Object} Options identifying a cached result
+ */
+const getCacheOptions = ({ resourcePolicy, paletteThreshold, includeLinks, includeStates, viewport = DEFAULT_VIEWPORT, colorScheme = null }) => ({
+  resourcePolicy: {
+    blockedTypes: [...resourcePolicy.blockedTypes].sort(),
+    blockedPatterns: [...resourcePolicy.blockedPatterns].sort(),
+    waitForStyles: resourcePolicy.waitForStyles
+  },
+  paletteThreshold,
+  includeLinks: !!includeLinks,
+  includeStates: !!includeStates,
+  viewport: {
+    width: viewport.width,
+    height: viewport.height,
+    deviceScaleFactor: viewport.deviceScaleFactor,
+    isMobile: viewport.isMobile,
+    hasTouch: viewport.hasTouch
+  },
+  colorScheme
+});
+
+/**
+ * Scrapes a website and extracts its styles using a pooled browser
+ * @param {string} url - URL to analyze
+ * @param {Object} options - Scrape options
+ * @param {Object} options.resourcePolicy - Policy from resolveResourcePolicy
+ * @param {number} [options.paletteThreshold] - Delta E 2000 used to merge near-duplicate colors
+ * @param {boolean} [options.useCache=true] - Whether cached results may be used and stored
+ * @param {boolean} [options.includeLinks=false] - Whether to add the final URL and the page's links to the result
+ * @param {Object} [options.viewport] - Viewport from resolveViewports, desktop by default
+ * @param {boolean} [options.includeStates=false] - Whether to add the hover, focus, active, visited and disabled styles of interactive elements
+ * @param {Object} [options.colorScheme] - Settings from resolveColorScheme, adds the light and dark schemes side by side
+ * @param {Object} [options.artifacts] - Settings from resolveArtifactOptions, adds a screenshot and style board images
+ * @param {Object|null} [options.proxy] - Proxy from resolveProxyOption, null to connect directly, pooled proxies by default
+ * @param {Array} [options.trustedOrigins] - Origins the service serves itself, exempt from the target URL policy
+ * @param {AbortSignal} [options.signal] - Aborting it closes the page and rejects with SCRAPE_CANCELLED
+ * @param {Function} [options.onProgress] - Called with (stage, progress) as the scrape advances
+ * @returns {Promise<Object>} Scrape result in the /scrape response shape
+ */
+const scrapeUrl = async (url, options) => {
+  const { resourcePolicy, includeLinks = false, includeStates = false, colorScheme, artifacts: artifactSettings, trustedOrigins, signal, onProgress = () => {} } = options;
+  const cacheOptions = getCacheOptions(options);
+  // Images are returned once, inline data is too large to cache and stored files expire
+  const useCache = options.useCache !== false && !artifactSettings;
+
+  // Stop between stages once the caller has cancelled
+  const throwIfCancelled = () => {
+    if (signal && signal.aborted) throw createCancelledError();
+  };
+  throwIfCancelled();
+
+  // Internal hosts are rejected before anything, cached results included, and so are proxies pointing at them
+  await checkTargetUrl(url, { trustedOrigins });
+  await checkRequestedProxy(options.proxy);
+
+  // Use cache unless disabled
+  if (useCache) {
+    const cachedResult = await getCachedResult(url, cacheOptions);
+    if (cachedResult) {
+      console.log(`Serving cached result for ${url}`);
+      return cachedResult;
+    }
+  }
+
+  let lease;
+  let closeOnAbort;
+  try {
+    console.log(`Starting scrape for ${url}`);
+    onProgress('acquiring', 5);
+
+    // Get an isolated incognito page from the warm browser pool
+    lease = await browserPool.acquirePage({ proxy: selectProxy(options.proxy, { browser: true }), trustedOrigins });
+    console.log(`Using pooled browser #${lease.browserId}${lease.proxy ? ` through proxy ${lease.proxy.label}` : ''}`);
+    throwIfCancelled();
+
+    // Closing the page makes any pending Puppeteer call reject right away
+    if (signal) {
+      closeOnAbort = () => {
+        console.log(`Cancelling scrape for ${url}`);
+        lease.page.close().catch(() => {});
+      };
+      signal.addEventListener('abort', closeOnAbort);
+    }
+
+    // Pooled proxies fail over to the next one when navigation retries
+    const triedProxies = [];
+    const switchProxy = options.proxy === undefined && hasPooledProxies()
+      ? async (error) => {
+        reportProxyFailure(lease.proxy, error);
+        triedProxies.push(lease.proxy);
+        const nextProxy = pickProxy({ exclude: triedProxies, browser: true });
+        if (!nextProxy) return lease.page;
+
+        console.log(`Proxy ${lease.proxy.label} failed (${error.message}), switching to ${nextProxy.label}`);
+        const nextPage = await lease.switchProxy(nextProxy);
+        await preparePage(nextPage, options);
+        return nextPage;
+      }
+      : undefined;
+
+    await preparePage(lease.page, options);
+    onProgress('loading', 20);
+    let loaded;
+    try {
+      loaded = await loadPage(lease.page, url, { ...options, switchProxy });
+    } catch (error) {
+      if (isProxyFailure(error)) reportProxyFailure(lease.proxy, error);
+      throw error;
+    }
+    const { page, styleLoading } = loaded;
+    reportProxySuccess(lease.proxy);
+    throwIfCancelled();
+
+    console.log(`Successfully loaded ${url}, extracting data`);
+    onProgress('extracting', 60);
+    // Extract data using our services
+    const styles = await extractStyles(page, options);
+    // Crawls need to know where the page ended up and where it links to
+    const links = includeLinks ? await extractLinks(page) : null;
+    throwIfCancelled();
+
+    // Screenshots show the page as loaded, so they are taken before states or schemes change it
+    let artifacts = null;
+    if (artifactSettings) {
+      onProgress('artifacts', 65);
+      artifacts = await buildArtifacts(page, styles, artifactSettings);
+      throwIfCancelled();
+    }
+
+    // Forcing states restyles single elements, so it runs after the resting styles were extracted
+    let states = null;
+    if (includeStates) {
+      onProgress('states', 70);
+      states = await extractStates(page);
+      throwIfCancelled();
+    }
+
+    // Switching the scheme restyles the page, so it runs after everything else was extracted
+    let colorSchemes = null;
+    if (colorScheme) {
+      onProgress('color-schemes', 80);
+      const { colors, palette, gradients } = styles;
+      colorSchemes = await extractColorSchemes(page, colorScheme, { colors, palette, gradients });
+      throwIfCancelled();
+    }
+    
+    // Build the response object
+    const result = {
+      status: "success",
+      url,
+      mode: 'browser',
+      // Values the browser computed for the rendered elements
+      styleSource: 'computed',
+      ...styles,
+      ...(states && { states }),
+      ...(colorSchemes && { colorSchemes }),
+      ...(artifacts && { artifacts }),
+      resourcePolicy: {
+        mode: resourcePolicy.mode,
+        blocked: [...resourcePolicy.blockedTypes, ...resourcePolicy.blockedPatterns],
+        ...(styleLoading && { styleLoading })
+      },
+      ...(links && { finalUrl: page.url(), links })
+    };
+    
+    // Cache the result
+    if (useCache) {
+      await setCachedResult(url, cacheOptions, result);
+    }
+    
+    console.log(`Scraping complete for ${url}`);
+    onProgress('done', 100);
+    return result;
+  } catch (error) {
+    // Errors caused by the page being closed on purpose are reported as a cancellation
+    if (signal && signal.aborted) throw createCancelledError();
+    throw error;
+  } finally {
+    if (closeOnAbort) {
+      signal.removeEventListener('abort', closeOnAbort);
+    }
+    if (lease) {
+      await lease.release();
+      console.log('Browser context released to pool');
+    }
+  }
+};
+
+/**
+ * Scrapes a website once per viewport and reports how its styles change across them
+ * @param {string} url - URL to analyze
+ * @param {Object} options - Scrape options as for scrapeUrl
+ * @param {Array} options.viewports - Viewports from resolveViewports
+ * @returns {Promise<Object>} Responsive report in the /scrape?viewports= response shape
+ */
+const scrapeViewports = async (url, options) => {
+  const { viewports, resourcePolicy, ...scrapeOptions } = options;
+
+  // One after the other, every viewport already holds a pooled page for a while
+  const viewportResults = [];
+  for (const viewport of viewports) {
+    console.log(`Analyzing ${url} at ${viewport.name} (${viewport.width}x${viewport.height})`);
+    const result = await scrapeUrl(url, { ...scrapeOptions, resourcePolicy, viewport });
+    viewportResults.push({ viewport, result });
+  }
+
+  return {
+    status: "success",
+    url,
+    ...buildResponsiveReport(viewportResults),
+    resourcePolicy: viewportResults[0].result.resourcePolicy
+  };
+};
+
+module.exports = {
+  preparePage,
+  loadPage,
+  extractStyles,
+  scrapeUrl,
+  scrapeViewports
+};
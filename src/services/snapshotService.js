@@ -0,0 +1,297 @@
+const { scrapeUrl } = require('./scrapeService');
+const { compareResults, DEFAULT_COLOR_TOLERANCE } = require('./compareService');
+const { normalizeCacheUrl } = require('./cacheService');
+const snapshotStore = require('../utils/snapshotStore');
+
+// Snapshots kept per URL, the oldest ones are removed first but the baseline is always kept
+const SNAPSHOT_MAX_PER_URL = parseInt(process.env.SNAPSHOT_MAX_PER_URL || 30);
+
+// Limits beyond which a snapshot counts as drifted from its baseline
+const DEFAULT_DRIFT_THRESHOLDS = {
+  minSimilarity: parseFloat(process.env.DRIFT_MIN_SIMILARITY || 90),
+  maxColorChanges: parseInt(process.env.DRIFT_MAX_COLOR_CHANGES || 2),
+  maxFontChanges: parseInt(process.env.DRIFT_MAX_FONT_CHANGES || 0),
+  maxTypeSizeChanges: parseInt(process.env.DRIFT_MAX_TYPE_SIZE_CHANGES || 2)
+};
+
+/**
+ * Creates the error thrown for unknown snapshot ids
+ * @param {string} id - Requested snapshot id
+ * @returns {Error} Error with code SNAPSHOT_NOT_FOUND
+ */
+const createNotFoundError = (id) => {
+  const error = new Error(`Snapshot ${id} not found`);
+  error.code = 'SNAPSHOT_NOT_FOUND';
+  return error;
+};
+
+/**
+ * Builds the summary of a snapshot shown in histories and diffs
+ * @param {Object} snapshot - Stored snapshot
+ * @param {string|null} baselineId - Baseline snapshot id of the URL
+ * @returns {Object} Snapshot without its result
+ */
+const toSnapshotSummary = (snapshot, baselineId) => ({
+  id: snapshot.id,
+  url: snapshot.url,
+  createdAt: snapshot.createdAt,
+  baseline: snapshot.id === baselineId,
+  title: snapshot.result.title,
+  counts: {
+    colors: snapshot.result.colors.length,
+    typography: snapshot.result.typography.length,
+    fonts: snapshot.result.fonts.families.length,
+    gradients: snapshot.result.gradients.length
+  },
+  drift: snapshot.drift || null
+});
+
+/**
+ * Lists the font sizes used by each tag
+ * @param {Array} typography - Typography groups
+ * @returns {Object} Sorted unique sizes by tag
+ */
+const getTypeSizes = (typography) => {
+  const sizes = {};
+  typography.forEach(style => {
+    if (!sizes[style.tag]) sizes[style.tag] = new Set();
+    sizes[style.tag].add(style['font-size']);
+  });
+  Object.keys(sizes).forEach(tag => {
+    sizes[tag] = Array.from(sizes[tag]).sort((a, b) => parseFloat(b) - parseFloat(a));
+  });
+  return sizes;
+};
+
+/**
+ * Diffs the results of two snapshots
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @param {Object} [options] - Diff options
+ * @param {number} [options.tolerance] - Delta E 2000 below which a color counts as unchanged
+ * @returns {Object} Changed colors, fonts, type sizes and gradients plus the similarity score
+ */
+const diffResults = (before, after, { tolerance = DEFAULT_COLOR_TOLERANCE } = {}) => {
+  const comparison = compareResults(before.result, after.result, { tolerance });
+
+  const sizesBefore = getTypeSizes(before.result.typography);
+  const sizesAfter = getTypeSizes(after.result.typography);
+  const typeSizes = [...new Set([...Object.keys(sizesBefore), ...Object.keys(sizesAfter)])]
+    .map(tag => {
+      const previous = sizesBefore[tag] || [];
+      const current = sizesAfter[tag] || [];
+      return {
+        tag,
+        before: previous,
+        after: current,
+        added: current.filter(size => !previous.includes(size)),
+        removed: previous.filter(size => !current.includes(size))
+      };
+    })
+    .filter(change => change.added.length > 0 || change.removed.length > 0);
+
+  return {
+    similarity: comparison.similarity,
+    colors: {
+      tolerance,
+      added: comparison.colors.onlyB,
+      removed: comparison.colors.onlyA,
+      // Matched within the tolerance, but not the exact same color anymore
+      shifted: comparison.colors.shared
+        .filter(pair => !pair.exact)
+        .map(pair => ({ before: pair.a, after: pair.b, deltaE: pair.deltaE }))
+    },
+    fonts: {
+      added: comparison.fonts.added,
+      removed: comparison.fonts.removed
+    },
+    typeSizes,
+    typography: comparison.typography.summary,
+    gradients: {
+      added: comparison.gradients.onlyB,
+      removed: comparison.gradients.onlyA
+    },
+    // Different resource policies or palette settings change results on their own
+    comparable: JSON.stringify(before.options) === JSON.stringify(after.options)
+  };
+};
+
+/**
+ * Checks a diff against drift thresholds
+ * @param {Object} diff - Diff from diffResults
+ * @param {Object} [thresholds] - Overrides of DEFAULT_DRIFT_THRESHOLDS
+ * @returns {Object} Whether the snapshot drifted, its metrics and the thresholds it violated
+ */
+const evaluateDrift = (diff, thresholds = {}) => {
+  const limits = { ...DEFAULT_DRIFT_THRESHOLDS, ...thresholds };
+  const metrics = {
+    similarity: diff.similarity.score,
+    colorChanges: diff.colors.added.length + diff.colors.removed.length,
+    fontChanges: diff.fonts.added.length + diff.fonts.removed.length,
+    typeSizeChanges: diff.typeSizes.reduce((sum, change) => sum + change.added.length + change.removed.length, 0)
+  };
+
+  const violations = [];
+  if (metrics.similarity < limits.minSimilarity) {
+    violations.push({ metric: 'similarity', value: metrics.similarity, threshold: limits.minSimilarity });
+  }
+  [
+    ['colorChanges', 'maxColorChanges'],
+    ['fontChanges', 'maxFontChanges'],
+    ['typeSizeChanges', 'maxTypeSizeChanges']
+  ].forEach(([metric, limit]) => {
+    if (metrics[metric] > limits[limit]) {
+      violations.push({ metric, value: metrics[metric], threshold: limits[limit] });
+    }
+  });
+
+  return {
+    drifted: violations.length > 0,
+    metrics,
+    thresholds: limits,
+    violations
+  };
+};
+
+/**
+ * Removes the oldest snapshots of a URL beyond SNAPSHOT_MAX_PER_URL, keeping the baseline
+ * @param {string} url - Normalized URL
+ * @param {string|null} baselineId - Baseline snapshot id
+ * @returns {Promise<void>}
+ */
+const enforceRetention = async (url, baselineId) => {
+  const snapshots = await snapshotStore.loadSnapshots(url);
+  const removable = snapshots.filter(snapshot => snapshot.id !== baselineId);
+  const excess = snapshots.length - SNAPSHOT_MAX_PER_URL;
+
+  for (const snapshot of removable.slice(0, Math.max(0, excess))) {
+    await snapshotStore.deleteSnapshot(snapshot.id);
+  }
+};
+
+/**
+ * Scrapes a URL and stores the result as a new snapshot, checking it for drift against the baseline
+ * @param {string} url - URL to analyze
+ * @param {Object} options - Scrape options (resourcePolicy, paletteThreshold)
+ * @param {Object} [snapshotOptions] - Snapshot options
+ * @param {boolean} [snapshotOptions.baseline=false] - Make the new snapshot the baseline
+ * @param {Object} [snapshotOptions.thresholds] - Drift threshold overrides
+ * @returns {Promise<Object>} Snapshot summary with drift details
+ */
+const createSnapshot = async (url, options, { baseline = false, thresholds } = {}) => {
+  // Snapshots always reflect the live site
+  const result = await scrapeUrl(url, { ...options, useCache: false });
+  const normalizedUrl = normalizeCacheUrl(url);
+
+  const snapshot = {
+    id: snapshotStore.createSnapshotId(normalizedUrl),
+    url: normalizedUrl,
+    createdAt: new Date().toISOString(),
+    options: {
+      resourcePolicy: options.resourcePolicy,
+      paletteThreshold: options.paletteThreshold
+    },
+    drift: null,
+    result
+  };
+
+  let baselineId = await snapshotStore.loadBaselineId(normalizedUrl);
+  const baselineSnapshot = baselineId ? await snapshotStore.loadSnapshot(baselineId) : null;
+
+  // The first snapshot of a URL becomes its baseline
+  if (baseline || !baselineSnapshot) {
+    await snapshotStore.saveSnapshot(snapshot);
+    await snapshotStore.saveBaselineId(normalizedUrl, snapshot.id);
+    baselineId = snapshot.id;
+  } else {
+    const diff = diffResults(baselineSnapshot, snapshot);
+    snapshot.drift = { baselineId, ...evaluateDrift(diff, thresholds) };
+    await snapshotStore.saveSnapshot(snapshot);
+
+    if (snapshot.drift.drifted) {
+      console.log(`Style drift detected for ${normalizedUrl}: ${snapshot.drift.violations.map(v => v.metric).join(', ')}`);
+    }
+  }
+
+  await enforceRetention(normalizedUrl, baselineId);
+  return toSnapshotSummary(snapshot, baselineId);
+};
+
+/**
+ * Lists the snapshots of a URL
+ * @param {string} url - URL whose history to list
+ * @returns {Promise<Object>} URL, baseline id and snapshot summaries, newest first
+ */
+const listSnapshots = async (url) => {
+  const normalizedUrl = normalizeCacheUrl(url);
+  const [snapshots, baselineId] = await Promise.all([
+    snapshotStore.loadSnapshots(normalizedUrl),
+    snapshotStore.loadBaselineId(normalizedUrl)
+  ]);
+
+  return {
+    url: normalizedUrl,
+    baselineId,
+    snapshots: snapshots.reverse().map(snapshot => toSnapshotSummary(snapshot, baselineId))
+  };
+};
+
+/**
+ * Returns a snapshot including its scrape result
+ * @param {string} id - Snapshot id
+ * @returns {Promise<Object>} Snapshot
+ */
+const getSnapshot = async (id) => {
+  const snapshot = await snapshotStore.loadSnapshot(id);
+  if (!snapshot) throw createNotFoundError(id);
+
+  const baselineId = await snapshotStore.loadBaselineId(snapshot.url);
+  return { ...toSnapshotSummary(snapshot, baselineId), options: snapshot.options, result: snapshot.result };
+};
+
+/**
+ * Diffs two snapshots and checks the newer one for drift against the older one
+ * @param {string} fromId - Id of the snapshot to compare against
+ * @param {string} toId - Id of the snapshot to compare
+ * @param {Object} [options] - Diff options
+ * @param {number} [options.tolerance] - Delta E 2000 below which a color counts as unchanged
+ * @param {Object} [options.thresholds] - Drift threshold overrides
+ * @returns {Promise<Object>} Snapshot summaries, changes and drift evaluation
+ */
+const diffSnapshots = async (fromId, toId, { tolerance, thresholds } = {}) => {
+  const [from, to] = await Promise.all([snapshotStore.loadSnapshot(fromId), snapshotStore.loadSnapshot(toId)]);
+  if (!from) throw createNotFoundError(fromId);
+  if (!to) throw createNotFoundError(toId);
+
+  const baselineId = await snapshotStore.loadBaselineId(from.url);
+  const diff = diffResults(from, to, { tolerance });
+
+  return {
+    from: toSnapshotSummary(from, baselineId),
+    to: toSnapshotSummary(to, from.url === to.url ? baselineId : await snapshotStore.loadBaselineId(to.url)),
+    ...diff,
+    drift: evaluateDrift(diff, thresholds)
+  };
+};
+
+/**
+ * Makes a snapshot the baseline of its URL
+ * @param {string} id - Snapshot id
+ * @returns {Promise<Object>} Snapshot summary
+ */
+const setBaseline = async (id) => {
+  const snapshot = await snapshotStore.loadSnapshot(id);
+  if (!snapshot) throw createNotFoundError(id);
+
+  await snapshotStore.saveBaselineId(snapshot.url, snapshot.id);
+  return toSnapshotSummary(snapshot, snapshot.id);
+};
+
+module.exports = {
+  DEFAULT_DRIFT_THRESHOLDS,
+  createSnapshot,
+  listSnapshots,
+  getSnapshot,
+  diffSnapshots,
+  setBaseline
+};
@@ -0,0 +1,258 @@
+const { disableTransitions } = require('../utils/resourcePolicy');
+
+// Computed properties compared between the resting and the forced state
+const STATE_PROPERTIES = [
+  'color', 'background-color', 'background-image',
+  'border-top-color', 'border-right-color', 'border-bottom-color', 'border-left-color',
+  'border-top-width', 'border-top-style',
+  'outline-color', 'outline-style', 'outline-width', 'outline-offset',
+  'text-decoration-line', 'text-decoration-color', 'text-decoration-style', 'text-decoration-thickness',
+  'box-shadow', 'opacity'
+];
+
+// States and the pseudo classes forced to reach them, disabled is set as an attribute instead
+const STATES = {
+  hover: ['hover'],
+  focus: ['focus', 'focus-visible'],
+  active: ['active'],
+  visited: ['visited'],
+  disabled: null
+};
+
+// Which states apply to each component type
+const COMPONENT_STATES = {
+  link: ['hover', 'focus', 'active', 'visited'],
+  button: ['hover', 'focus', 'active', 'disabled'],
+  'text-input': ['hover', 'focus', 'disabled'],
+  textarea: ['hover', 'focus', 'disabled'],
+  select: ['hover', 'focus', 'disabled'],
+  checkbox: ['hover', 'focus', 'active', 'disabled'],
+  radio: ['hover', 'focus', 'active', 'disabled']
+};
+
+// Elements sampled per component type, each one costs a few DevTools round trips per state
+const STATE_MAX_ELEMENTS = parseInt(process.env.STATE_MAX_ELEMENTS || 8);
+
+// Temporary attribute used to find the sampled elements through the DevTools protocol
+const MARKER_ATTRIBUTE = 'data-style-finder-state';
+
+/**
+ * Finds visible interactive elements and marks a sample of each component type
+ * Elements with a class combination not seen yet are picked first, so variants get covered.
+ * @param {Page} page - Puppeteer page object
+ * @param {number} limit - Elements to sample per component type
+ * @returns {Promise<Array>} Marked elements with index, type and a short description
+ */
+const markInteractiveElements = async (page, limit) => {
+  return await page.evaluate((limit, marker) => {
+    const textTypes = ['text', 'email', 'search', 'password', 'number', 'tel', 'url', 'date', 'datetime-local', 'month', 'time', 'week'];
+
+    const getComponentType = (el) => {
+      const tag = el.tagName.toLowerCase();
+      const role = (el.getAttribute('role') || '').toLowerCase();
+      const type = (el.getAttribute('type') || 'text').toLowerCase();
+
+      if (role === 'button' || tag === 'button') return 'button';
+      if (tag === 'input') {
+        if (['button', 'submit', 'reset'].includes(type)) return 'button';
+        if (type === 'checkbox' || type === 'radio') return type;
+        return textTypes.includes(type) ? 'text-input' : null;
+      }
+      if (role === 'checkbox' || role === 'radio') return role;
+      if (tag === 'select') return 'select';
+      if (tag === 'textarea') return 'textarea';
+      if (tag === 'a' && el.hasAttribute('href')) return 'link';
+      return null;
+    };
+
+    const isVisible = (el) => {
+      const computed = window.getComputedStyle(el);
+      const rect = el.getBoundingClientRect();
+      return computed.display !== 'none' && computed.visibility !== 'hidden' && rect.width > 0 && rect.height > 0;
+    };
+
+    const candidates = {};
+    Array.from(document.querySelectorAll('a[href], button, input, select, textarea, [role="button"], [role="checkbox"], [role="radio"]'))
+      .forEach(el => {
+        const type = getComponentType(el);
+        // Disabled elements don't show their resting look
+        if (!type || el.disabled || !isVisible(el)) return;
+
+        const className = typeof el.className === 'string' ? el.className.trim().split(/\s+/).sort().join('.') : '';
+        (candidates[type] = candidates[type] || []).push({ el, className });
+      });
+
+    const sampled = [];
+    Object.entries(candidates).forEach(([type, elements]) => {
+      const seen = new Set();
+      const unique = elements.filter(({ className }) => !seen.has(className) && seen.add(className));
+      const rest = elements.filter(element => !unique.includes(element));
+
+      [...unique, ...rest].slice(0, limit).forEach(({ el, className }) => {
+        const index = sampled.length;
+        el.setAttribute(marker, index);
+        sampled.push({
+          index,
+          type,
+          tag: el.tagName.toLowerCase(),
+          className,
+          text: (el.innerText || el.value || el.getAttribute('aria-label') || '').trim().substring(0, 40),
+          total: elements.length
+        });
+      });
+    });
+
+    return sampled;
+  }, limit, MARKER_ATTRIBUTE);
+};
+
+/**
+ * Reads the compared computed properties of a node
+ * @param {CDPSession} session - DevTools session with the CSS domain enabled
+ * @param {number} nodeId - DevTools node id
+ * @returns {Promise<Object>} Property values by name
+ */
+const readStateProperties = async (session, nodeId) => {
+  const { computedStyle } = await session.send('CSS.getComputedStyleForNode', { nodeId });
+  return computedStyle
+    .filter(({ name }) => STATE_PROPERTIES.includes(name))
+    .reduce((properties, { name, value }) => ({ ...properties, [name]: value }), {});
+};
+
+/**
+ * Lists the properties that differ between two sets of computed values
+ * @param {Object} base - Resting values
+ * @param {Object} state - Values in the forced state
+ * @returns {Object} Changed properties with their from and to values
+ */
+const diffProperties = (base, state) => {
+  const changes = {};
+  STATE_PROPERTIES.forEach(property => {
+    if (base[property] !== state[property]) {
+      changes[property] = { from: base[property], to: state[property] };
+    }
+  });
+  return changes;
+};
+
+/**
+ * Forces each applicable state on an element and records what it changes
+ * @param {CDPSession} session - DevTools session with the DOM and CSS domains enabled
+ * @param {number} nodeId - DevTools node id
+ * @param {string} type - Component type
+ * @returns {Promise<Object>} Resting values and the changes of every state
+ */
+const captureElementStates = async (session, nodeId, type) => {
+  const base = await readStateProperties(session, nodeId);
+  const states = {};
+
+  for (const state of COMPONENT_STATES[type]) {
+    let values;
+    if (STATES[state]) {
+      await session.send('CSS.forcePseudoState', { nodeId, forcedPseudoClasses: STATES[state] });
+      values = await readStateProperties(session, nodeId);
+      await session.send('CSS.forcePseudoState', { nodeId, forcedPseudoClasses: [] });
+    } else {
+      await session.send('DOM.setAttributeValue', { nodeId, name: 'disabled', value: '' });
+      values = await readStateProperties(session, nodeId);
+      await session.send('DOM.removeAttribute', { nodeId, name: 'disabled' });
+    }
+    states[state] = diffProperties(base, values);
+  }
+
+  return { base, states };
+};
+
+/**
+ * Groups sampled elements into component types and variants with the same resting look and state changes
+ * @param {Array} captured - Sampled elements with their captured states
+ * @returns {Array} Component types with their variants
+ */
+const groupByComponent = (captured) => {
+  const components = {};
+
+  captured.forEach(({ element, base, states }) => {
+    if (!components[element.type]) {
+      components[element.type] = { type: element.type, found: element.total, sampled: 0, variants: {} };
+    }
+    const component = components[element.type];
+    component.sampled++;
+
+    const key = JSON.stringify({ base, states });
+    if (!component.variants[key]) {
+      component.variants[key] = { count: 0, examples: [], base, states };
+    }
+    const variant = component.variants[key];
+    variant.count++;
+    if (variant.examples.length < 3) {
+      variant.examples.push({ tag: element.tag, className: element.className, text: element.text });
+    }
+  });
+
+  return Object.values(components).map(component => ({
+    ...component,
+    variants: Object.values(component.variants)
+      .map(variant => ({
+        ...variant,
+        // States that don't change anything are left out
+        states: Object.fromEntries(Object.entries(variant.states).filter(([, changes]) => Object.keys(changes).length > 0)),
+        unstyledStates: Object.keys(variant.states).filter(state => Object.keys(variant.states[state]).length === 0)
+      }))
+      .sort((a, b) => b.count - a.count)
+  })).sort((a, b) => b.found - a.found);
+};
+
+/**
+ * Extracts hover, focus, active, visited and disabled styles of links, buttons and form controls
+ * Pseudo classes are forced through the DevTools CSS domain, so no real pointer or keyboard events are sent.
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} [options] - Extraction options
+ * @param {number} [options.limit] - Elements to sample per component type
+ * @returns {Promise<Object>} Interactive components grouped by type with the style changes of each state
+ */
+const extractStates = async (page, { limit = STATE_MAX_ELEMENTS } = {}) => {
+  // Forced states must show their final values, not the start of a transition
+  await disableTransitions(page);
+  const elements = await markInteractiveElements(page, limit);
+
+  const session = await page.target().createCDPSession();
+  const captured = [];
+  let failed = 0;
+  try {
+    await session.send('DOM.enable');
+    await session.send('CSS.enable');
+    const { root } = await session.send('DOM.getDocument', { depth: 0 });
+
+    for (const element of elements) {
+      try {
+        const { nodeId } = await session.send('DOM.querySelector', {
+          nodeId: root.nodeId,
+          selector: `[${MARKER_ATTRIBUTE}="${element.index}"]`
+        });
+        if (!nodeId) continue;
+
+        captured.push({ element, ...await captureElementStates(session, nodeId, element.type) });
+      } catch (error) {
+        // Elements removed by page scripts in the meantime are skipped
+        failed++;
+      }
+    }
+  } finally {
+    await session.detach().catch(() => {});
+    await page.evaluate((marker) => {
+      document.querySelectorAll(`[${marker}]`).forEach(el => el.removeAttribute(marker));
+    }, MARKER_ATTRIBUTE).catch(() => {});
+  }
+
+  return {
+    states: Object.keys(STATES),
+    properties: STATE_PROPERTIES,
+    sampledElements: captured.length,
+    failedElements: failed,
+    components: groupByComponent(captured)
+  };
+};
+
+module.exports = {
+  extractStates
+};
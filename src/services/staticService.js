@@ -0,0 +1,556 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const css = require('css');
+const { findGradients, parseGradient, serializeGradient } = require('../utils/gradientUtils');
+const { findClosestColorName } = require('../utils/colorUtils');
+const { requestWithProxy } = require('../utils/proxyPool');
+const { checkTargetUrl, requestWithTargetPolicy } = require('../utils/urlPolicy');
+const {
+  calculateSpecificity,
+  parseCssColor,
+  findColors,
+  parseFontFamilies,
+  isGenericFamily,
+  parseFontShorthand,
+  fontSizeToPx
+} = require('../utils/cssUtils');
+const { getCachedResult, setCachedResult } = require('./cacheService');
+
+// Timeout of every HTTP request in static mode, in ms
+const STATIC_TIMEOUT = parseInt(process.env.STATIC_TIMEOUT || 15000);
+
+// Most stylesheets fetched per page, including @import chains
+const STATIC_MAX_STYLESHEETS = parseInt(process.env.STATIC_MAX_STYLESHEETS || 40);
+
+// Time budget for all stylesheets of a page, stylesheets not downloaded by then are skipped
+const STATIC_DEADLINE = parseInt(process.env.STATIC_DEADLINE || 60000);
+
+// Stylesheets downloaded at once, like a browser's connections per host
+const STATIC_CONCURRENCY = 6;
+
+// Largest document or stylesheet downloaded, in bytes
+const STATIC_MAX_BYTES = parseInt(process.env.STATIC_MAX_BYTES || 5242880);
+
+// Nested @import rules deeper than this are not followed
+const MAX_IMPORT_DEPTH = 3;
+
+// Declarations kept as examples per font, size, color or gradient
+const MAX_EXAMPLES = 5;
+
+// Properties whose values can hold colors
+const COLOR_PROPERTIES = /^(color|background(-color)?|border(-(top|right|bottom|left|block|inline)(-(start|end))?)?(-color)?|outline(-color)?|fill|stroke|(box|text)-shadow|text-decoration(-color)?|caret-color|accent-color|column-rule(-color)?|(stop|flood|lighting)-color)$/;
+
+// Properties whose values can hold gradients
+const GRADIENT_PROPERTIES = /^(background(-image)?|border-image(-source)?|mask(-image)?|list-style(-image)?|content)$/;
+
+// Block at-rules the css parser doesn't know, read as media blocks so the rules inside are kept
+const UNSUPPORTED_BLOCK_RULES = /@(layer|container|scope|starting-style)\b([^{;]*)\{/g;
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/**
+ * Downloads a document or stylesheet as text
+ * Redirects are followed one at a time so each target is checked against the target URL policy.
+ * @param {string} url - URL to fetch
+ * @param {string} accept - Accept header
+ * @param {Object} [options] - Fetch options
+ * @param {Object|null} [options.proxy] - Proxy from resolveProxyOption, pooled proxies with failover by default
+ * @param {boolean} [options.subresource=false] - The URL is a stylesheet of the page, so the allowlist doesn't apply
+ * @param {number} [options.timeout] - Timeout of each request in ms, STATIC_TIMEOUT by default
+ * @returns {Promise<Object>} Body, the URL after redirects and the proxy that served it
+ */
+const fetchText = async (url, accept, { proxy, subresource = false, timeout = STATIC_TIMEOUT } = {}) => {
+  let usedProxy = proxy;
+  const { response, url: finalUrl } = await requestWithTargetPolicy(url, async (requestUrl) => {
+    // Redirects stay on the proxy that served the first request
+    const result = await requestWithProxy(usedProxy, proxyConfig => axios.get(requestUrl, {
+      ...proxyConfig,
+      timeout,
+      maxContentLength: STATIC_MAX_BYTES,
+      maxRedirects: 0,
+      validateStatus: status => status >= 200 && status < 400,
+      responseType: 'text',
+      // Keep the body as text even when it looks like JSON
+      transformResponse: [data => data],
+      headers: {
+        'User-Agent': USER_AGENT,
+        Accept: accept,
+        'Accept-Language': 'en-US,en;q=0.9'
+      }
+    }));
+    usedProxy = result.proxy;
+    return result.response;
+  }, { subresource });
+
+  return {
+    body: String(response.data || ''),
+    finalUrl,
+    proxy: usedProxy
+  };
+};
+
+/**
+ * Parses CSS text, keeping the rules of at-rules the parser doesn't support
+ * @param {string} text - Stylesheet source
+ * @param {string} source - Stylesheet URL or description used in parse errors
+ * @returns {Object} Parsed rules and parse errors
+ */
+const parseStylesheet = (text, source) => {
+  const prepared = text
+    // Layer order statements carry no declarations
+    .replace(/@layer\s[^{;]*;/g, '')
+    .replace(UNSUPPORTED_BLOCK_RULES, (match, name, prelude) => `@media @${name}${prelude}{`);
+
+  const { stylesheet } = css.parse(prepared, { silent: true, source });
+  return {
+    rules: stylesheet.rules,
+    errors: stylesheet.parsingErrors.map(error => error.message)
+  };
+};
+
+/**
+ * Reads the URL of an @import rule
+ * @param {string} value - Import prelude, e.g. url("base.css") screen
+ * @returns {string|null} Imported URL
+ */
+const parseImportUrl = (value) => {
+  const match = /^\s*(?:url\(\s*)?["']?([^"')\s]+)["']?\s*\)?/.exec(value || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Parses the src descriptor of an @font-face rule
+ * @param {string} value - Declared src
+ * @param {string} baseUrl - URL the src is relative to
+ * @returns {Array} Sources with absolute url (or local name) and format
+ */
+const parseFontSources = (value, baseUrl) => {
+  return (value || '').split(/,(?![^(]*\))/).map(source => {
+    const url = /url\(\s*["']?([^"')]+)["']?\s*\)/i.exec(source);
+    const local = /local\(\s*["']?([^"')]+)["']?\s*\)/i.exec(source);
+    const format = /format\(\s*["']?([^"')]+)["']?\s*\)/i.exec(source);
+
+    let resolved = null;
+    if (url) {
+      try {
+        resolved = new URL(url[1], baseUrl).toString();
+      } catch (error) {
+        resolved = url[1];
+      }
+    }
+    return {
+      url: resolved,
+      local: local ? local[1] : null,
+      format: format ? format[1] : null
+    };
+  }).filter(source => source.url || source.local);
+};
+
+/**
+ * Creates an empty usage entry
+ * @param {Object} fields - Identifying fields of the entry
+ * @returns {Object} Entry with zero count, property counts and examples
+ */
+const createUsage = (fields) => ({ ...fields, count: 0, properties: {}, declarations: [] });
+
+/**
+ * Counts a declaration on a usage entry
+ * @param {Object} entry - Entry from createUsage
+ * @param {Object} declaration - Declaration context
+ */
+const addUsage = (entry, declaration) => {
+  entry.count++;
+  entry.properties[declaration.property] = (entry.properties[declaration.property] || 0) + 1;
+  if (entry.declarations.length < MAX_EXAMPLES) {
+    entry.declarations.push(declaration);
+  }
+};
+
+/**
+ * Collects fonts, sizes, colors and gradients from the declarations of parsed stylesheets
+ * @returns {Object} Collector with add functions and a build function for the result
+ */
+const createCollector = () => {
+  const families = {};
+  const sizes = {};
+  const colors = {};
+  const gradients = {};
+  const faces = [];
+  let declarationCount = 0;
+  let ruleCount = 0;
+  let unresolved = 0;
+
+  const addFamilies = (list, declaration) => {
+    if (list.length === 0) return;
+    const key = list[0].toLowerCase();
+    if (!families[key]) {
+      families[key] = { ...createUsage({ family: list[0], generic: isGenericFamily(list[0]) }), stacks: [] };
+    }
+    const stack = list.join(', ');
+    if (!families[key].stacks.includes(stack)) families[key].stacks.push(stack);
+    addUsage(families[key], declaration);
+  };
+
+  const addSize = (value, declaration) => {
+    const key = value.toLowerCase();
+    if (!sizes[key]) sizes[key] = createUsage({ value: key, px: fontSizeToPx(key) });
+    addUsage(sizes[key], declaration);
+  };
+
+  /**
+   * Adds one declaration of a style rule
+   * @param {string} property - Property name
+   * @param {string} rawValue - Declared value
+   * @param {Object} context - Selector, specificity, stylesheet and conditions of the rule
+   */
+  const addDeclaration = (property, rawValue, context) => {
+    declarationCount++;
+    const important = /!\s*important\s*$/i.test(rawValue);
+    const value = rawValue.replace(/!\s*important\s*$/i, '').trim();
+    const name = property.toLowerCase();
+    const declaration = { ...context, property: name, value, ...(important && { important }) };
+
+    if (/var\(/i.test(value)) unresolved++;
+
+    if (name === 'font-family') {
+      addFamilies(parseFontFamilies(value), declaration);
+    } else if (name === 'font-size') {
+      if (!/var\(/i.test(value)) addSize(value, declaration);
+    } else if (name === 'font') {
+      const shorthand = parseFontShorthand(value);
+      if (shorthand) {
+        addFamilies(shorthand.families, declaration);
+        addSize(shorthand.size, declaration);
+      }
+    }
+
+    if (COLOR_PROPERTIES.test(name)) {
+      findColors(value).forEach(color => {
+        const key = color.hex || color.value.toLowerCase();
+        if (!colors[key]) {
+          colors[key] = {
+            ...createUsage({ value: key, hex: color.hex, name: color.hex ? findClosestColorName(color.hex.substring(0, 7)) : null }),
+            declared: []
+          };
+        }
+        if (!colors[key].declared.includes(color.value) && colors[key].declared.length < MAX_EXAMPLES) {
+          colors[key].declared.push(color.value);
+        }
+        addUsage(colors[key], declaration);
+      });
+    }
+
+    if (GRADIENT_PROPERTIES.test(name)) {
+      findGradients(value).forEach(gradient => {
+        const parsed = parseGradient(gradient);
+        if (!parsed) return;
+        // Stop colors are normalized so the same gradient written differently counts once
+        parsed.stops = parsed.stops.map(stop => ({ ...stop, color: parseCssColor(stop.color) || stop.color }));
+        const key = serializeGradient(parsed);
+        if (!gradients[key]) {
+          gradients[key] = createUsage({
+            css: key,
+            type: parsed.type,
+            repeating: parsed.repeating,
+            colors: [...new Set(parsed.stops.map(stop => stop.color))]
+          });
+        }
+        addUsage(gradients[key], declaration);
+      });
+    }
+  };
+
+  /**
+   * Adds the rules of a parsed stylesheet
+   * @param {Array} rules - Parsed rules
+   * @param {Object} sheet - Stylesheet description with url and base URL
+   * @param {Array} conditions - Enclosing @media, @supports and other at-rule conditions
+   * @returns {Array} @import preludes found, in order
+   */
+  const addRules = (rules, sheet, conditions = []) => {
+    const imports = [];
+
+    rules.forEach(rule => {
+      if (rule.type === 'import') {
+        imports.push(rule.import);
+      } else if (rule.type === 'rule') {
+        ruleCount++;
+        const declarations = (rule.declarations || []).filter(declaration => declaration.type === 'declaration' && declaration.value !== undefined);
+        rule.selectors.forEach(selector => {
+          const context = {
+            selector,
+            specificity: calculateSpecificity(selector),
+            stylesheet: sheet.label,
+            ...(conditions.length > 0 && { conditions })
+          };
+          declarations.forEach(declaration => addDeclaration(declaration.property, declaration.value, context));
+        });
+      } else if (rule.type === 'font-face') {
+        const descriptors = {};
+        (rule.declarations || [])
+          .filter(declaration => declaration.type === 'declaration')
+          .forEach(declaration => {
+            descriptors[declaration.property.toLowerCase()] = declaration.value;
+          });
+        if (!descriptors['font-family']) return;
+
+        faces.push({
+          family: descriptors['font-family'].replace(/^["']|["']$/g, ''),
+          src: parseFontSources(descriptors.src, sheet.baseUrl),
+          weight: descriptors['font-weight'] || 'normal',
+          style: descriptors['font-style'] || 'normal',
+          display: descriptors['font-display'] || null,
+          unicodeRange: descriptors['unicode-range'] || null,
+          stylesheet: sheet.label
+        });
+      } else if (rule.rules && rule.type !== 'keyframes') {
+        // Rewritten at-rules keep their own name in the media text
+        const condition = rule.type === 'media'
+          ? (rule.media.startsWith('@') ? rule.media : `@media ${rule.media}`)
+          : `@${rule.type}${rule[rule.type] ? ` ${rule[rule.type]}` : ''}`;
+        addRules(rule.rules, sheet, [...conditions, condition]);
+      }
+    });
+
+    return imports;
+  };
+
+  const build = () => {
+    const byCount = (a, b) => b.count - a.count;
+    return {
+      fonts: {
+        families: Object.values(families).sort(byCount),
+        faces
+      },
+      fontSizes: Object.values(sizes).sort((a, b) => (b.px || 0) - (a.px || 0) || b.count - a.count),
+      colors: Object.values(colors).sort(byCount),
+      gradients: Object.values(gradients).sort(byCount),
+      counts: { rules: ruleCount, declarations: declarationCount, unresolvedValues: unresolved }
+    };
+  };
+
+  return { addRules, addDeclaration, build };
+};
+
+/**
+ * Describes an element for style attribute declarations
+ * @param {Object} $ - Cheerio document
+ * @param {Object} el - Element
+ * @returns {string} Tag with id or classes, e.g. div.hero
+ */
+const describeElement = ($, el) => {
+  const tag = el.tagName.toLowerCase();
+  const id = $(el).attr('id');
+  if (id) return `${tag}#${id}`;
+  const classes = ($(el).attr('class') || '').trim().split(/\s+/).filter(Boolean).slice(0, 3);
+  return classes.length > 0 ? `${tag}.${classes.join('.')}` : tag;
+};
+
+/**
+ * Fetches a page and its stylesheets over HTTP and reads the declared styles, without a browser
+ * Values are taken as written in the CSS, so nothing tells which rule wins on which element.
+ * @param {string} url - URL to analyze
+ * @param {Object} [options] - Static options
+ * @param {boolean} [options.useCache=true] - Whether cached results may be used and stored
+ * @param {Object|null} [options.proxy] - Proxy from resolveProxyOption, null to connect directly, pooled proxies by default
+ * @returns {Promise<Object>} Declared fonts, @font-face rules, font sizes, colors and gradients with the rules declaring them
+ */
+const scrapeStatic = async (url, { useCache = true, proxy } = {}) => {
+  const cacheOptions = { mode: 'static' };
+
+  // Internal hosts are rejected before anything, cached results included
+  await checkTargetUrl(url);
+
+  if (useCache) {
+    const cachedResult = await getCachedResult(url, cacheOptions);
+    if (cachedResult) {
+      console.log(`Serving cached static result for ${url}`);
+      return cachedResult;
+    }
+  }
+
+  console.log(`Fetching ${url} in static mode`);
+  const page = await fetchText(url, 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8', { proxy });
+  // Stylesheets come through the proxy that served the document, like a browser session would
+  const sheetProxy = page.proxy;
+  const $ = cheerio.load(page.body);
+
+  // A <base href> that doesn't parse is ignored, like browsers do
+  let documentBase = page.finalUrl;
+  const baseHref = $('base[href]').attr('href');
+  try {
+    if (baseHref) documentBase = new URL(baseHref, page.finalUrl).toString();
+  } catch (error) {
+    console.log(`Ignoring invalid <base href="${baseHref}"> on ${url}`);
+  }
+
+  const collector = createCollector();
+  const stylesheets = [];
+  const parseErrors = [];
+
+  /**
+   * Parses a stylesheet, then follows its @import rules
+   * @param {string} text - Stylesheet source
+   * @param {Object} sheet - Stylesheet entry, gets rule and error counts
+   * @param {number} depth - @import nesting depth
+   */
+  const processStylesheet = async (text, sheet, depth) => {
+    const { rules, errors } = parseStylesheet(text, sheet.label);
+    sheet.rules = rules.length;
+    sheet.bytes = Buffer.byteLength(text);
+    errors.forEach(message => parseErrors.push(message));
+
+    const imports = collector.addRules(rules, sheet);
+    if (depth >= MAX_IMPORT_DEPTH) return;
+
+    // Imports download side by side and are processed in order
+    const queued = imports
+      .map(prelude => {
+        const importUrl = parseImportUrl(prelude);
+        if (!importUrl) return null;
+        try {
+          return queueStylesheet(new URL(importUrl, sheet.baseUrl).toString(), 'import');
+        } catch (error) {
+          // Import URLs that don't parse are skipped
+          parseErrors.push(`${sheet.label}: invalid @import URL "${importUrl}"`);
+          return null;
+        }
+      })
+      .filter(Boolean);
+    for (const entry of queued) await readStylesheet(entry, depth + 1);
+  };
+
+  // Downloads share a few slots and the page's deadline
+  const deadline = Date.now() + STATIC_DEADLINE;
+  const waitingDownloads = [];
+  let activeDownloads = 0;
+
+  /**
+   * Downloads a stylesheet once a slot is free, within what is left of the deadline
+   * @param {string} href - Absolute stylesheet URL
+   * @returns {Promise<Object>} Body and the URL after redirects
+   */
+  const downloadStylesheet = async (href) => {
+    if (activeDownloads < STATIC_CONCURRENCY) {
+      activeDownloads++;
+    } else {
+      await new Promise(resolve => waitingDownloads.push(resolve));
+    }
+
+    try {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) throw new Error(`Skipped, the stylesheets of a page are downloaded within ${STATIC_DEADLINE} ms`);
+      return await fetchText(href, 'text/css,*/*;q=0.1', { proxy: sheetProxy, subresource: true, timeout: Math.min(STATIC_TIMEOUT, remaining) });
+    } finally {
+      // Hand the slot to the next download, or free it
+      if (waitingDownloads.length > 0) {
+        waitingDownloads.shift()();
+      } else {
+        activeDownloads--;
+      }
+    }
+  };
+
+  /**
+   * Adds a linked or imported stylesheet and starts downloading it
+   * @param {string} href - Absolute stylesheet URL
+   * @param {string} type - link or import
+   * @returns {Object|null} Stylesheet entry and its download, or null for duplicates and stylesheets over the limit
+   */
+  const queueStylesheet = (href, type) => {
+    if (stylesheets.length >= STATIC_MAX_STYLESHEETS || stylesheets.some(sheet => sheet.url === href)) return null;
+
+    const sheet = { url: href, type, label: href, baseUrl: href, status: 'parsed' };
+    stylesheets.push(sheet);
+    const download = downloadStylesheet(href);
+    // Failures are reported when the stylesheet's turn comes
+    download.catch(() => {});
+    return { sheet, download };
+  };
+
+  /**
+   * Waits for a queued stylesheet and processes it
+   * @param {Object} entry - Entry from queueStylesheet
+   * @param {number} depth - @import nesting depth
+   */
+  const readStylesheet = async ({ sheet, download }, depth) => {
+    try {
+      const { body, finalUrl } = await download;
+      sheet.baseUrl = finalUrl;
+      await processStylesheet(body, sheet, depth);
+    } catch (error) {
+      sheet.status = 'failed';
+      sheet.error = error.message;
+    }
+  };
+
+  // Linked stylesheets start downloading right away, then every stylesheet is read in document order like the cascade reads them
+  let inlineIndex = 0;
+  const sources = $('link[rel~="stylesheet"][href], style').toArray()
+    .map(el => {
+      if (el.tagName.toLowerCase() === 'link') {
+        try {
+          return queueStylesheet(new URL($(el).attr('href'), documentBase).toString(), 'link');
+        } catch (error) {
+          return null;
+        }
+      }
+      if (stylesheets.length >= STATIC_MAX_STYLESHEETS) return null;
+
+      inlineIndex++;
+      const sheet = { url: null, type: 'style', label: `<style> #${inlineIndex}`, baseUrl: documentBase, status: 'parsed' };
+      stylesheets.push(sheet);
+      return { sheet, text: $(el).html() || '' };
+    })
+    .filter(Boolean);
+
+  for (const source of sources) {
+    if (source.text !== undefined) {
+      await processStylesheet(source.text, source.sheet, 0);
+    } else {
+      await readStylesheet(source, 0);
+    }
+  }
+
+  // Style attributes beat every selector, their specificity is [1, 0, 0, 0]
+  const styleAttributes = $('[style]').toArray();
+  styleAttributes.forEach(el => {
+    const { rules } = parseStylesheet(`x{${$(el).attr('style')}}`, 'style attribute');
+    const context = { selector: `${describeElement($, el)}[style]`, specificity: [1, 0, 0, 0], stylesheet: 'style attribute' };
+    ((rules[0] && rules[0].declarations) || [])
+      .filter(declaration => declaration.type === 'declaration' && declaration.value !== undefined)
+      .forEach(declaration => collector.addDeclaration(declaration.property, declaration.value, context));
+  });
+
+  const { counts, ...styles } = collector.build();
+  const result = {
+    status: "success",
+    url,
+    finalUrl: page.finalUrl,
+    mode: 'static',
+    // Values as written in the CSS, not what the browser computed for each element
+    styleSource: 'declared',
+    title: $('title').first().text().trim() || $('meta[property="og:title"]').attr('content') || $('h1').first().text().trim() || 'Unknown Title',
+    ...styles,
+    stylesheets: stylesheets.map(({ label, baseUrl, ...sheet }) => sheet),
+    meta: {
+      stylesheets: stylesheets.length,
+      failedStylesheets: stylesheets.filter(sheet => sheet.status === 'failed').length,
+      styleAttributes: styleAttributes.length,
+      rules: counts.rules,
+      declarations: counts.declarations,
+      unresolvedValues: counts.unresolvedValues,
+      parseErrors: parseErrors.slice(0, 20)
+    }
+  };
+
+  if (useCache) {
+    await setCachedResult(url, cacheOptions, result);
+  }
+  console.log(`Static analysis complete for ${url}`);
+  return result;
+};
+
+module.exports = {
+  scrapeStatic
+};
@@ -61,6 +61,12 @@ const extractTypography = async (page) => {
         styleObj[prop] = val;
       });
 
+      // Keep the whole font stack so fallbacks can be told apart from the primary font
+      const fontStack = computed.getPropertyValue('font-family')
+        .split(',')
+        .map(font => font.trim().replace(/^["']|["']$/g, ''))
+        .filter(Boolean);
+
       // Group key: combination of tag and only the specified grouping properties
       const key = tag + '|' + groupingProps.map(prop => styleObj[prop]).join('|');
       if (groups[key]) {
@@ -71,6 +77,7 @@ const extractTypography = async (page) => {
           tag,
           className,
           ...styleObj,
+          "font-stack": fontStack,
           count: 1
         };
       }
@@ -114,6 +121,9 @@ const extractTypography = async (page) => {
 
     const totalTagsFound = Object.keys(tagCounts).length;
 
+    // Root font size, the reference of rem values
+    const rootFontSize = parseFloat(window.getComputedStyle(document.documentElement).fontSize) || 16;
+
     return {
       typography,
       meta: {
@@ -122,12 +132,455 @@ const extractTypography = async (page) => {
         typographyRulesCount,
         duplicatesRemoved,
         tagCounts,
-        totalTagsFound
+        totalTagsFound,
+        rootFontSize
       }
     };
   });
 };
 
+// Hosts used to recognize web font providers
+const FONT_PROVIDERS = {
+  google: ['fonts.googleapis.com', 'fonts.gstatic.com'],
+  adobe: ['use.typekit.net', 'p.typekit.net', 'use.typekit.com']
+};
+
+// Generic CSS families that are never backed by a font file
+const GENERIC_FAMILIES = [
+  'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui',
+  'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded', 'math', 'emoji', 'fangsong',
+  '-apple-system', 'blinkmacsystemfont'
+];
+
+/**
+ * Classifies where a font face is served from
+ * @param {Object} face - Font face with src entries and stylesheet URL
+ * @param {string} pageUrl - URL of the analyzed page
+ * @returns {string} google, adobe, self-hosted, third-party or system
+ */
+const classifyFontProvider = (face, pageUrl) => {
+  const urls = face.src.filter(source => source.url).map(source => source.url);
+  const hosts = [...urls, face.stylesheet].filter(Boolean).map(url => {
+    try {
+      return new URL(url).hostname;
+    } catch (error) {
+      return null;
+    }
+  }).filter(Boolean);
+
+  for (const [provider, providerHosts] of Object.entries(FONT_PROVIDERS)) {
+    if (hosts.some(host => providerHosts.includes(host))) {
+      return provider;
+    }
+  }
+
+  // Faces that only reference local() fonts rely on what's installed on the device
+  if (urls.length === 0) {
+    return 'system';
+  }
+
+  let pageHost = null;
+  try {
+    pageHost = new URL(pageUrl).hostname.replace(/^www\./, '');
+  } catch (error) {
+    // Keep pageHost empty for unparsable URLs
+  }
+
+  const isSameSite = (url) => {
+    if (url.startsWith('data:')) return true;
+    try {
+      const host = new URL(url).hostname.replace(/^www\./, '');
+      return !!pageHost && (host === pageHost || host.endsWith(`.${pageHost}`) || pageHost.endsWith(`.${host}`));
+    } catch (error) {
+      return false;
+    }
+  };
+
+  return urls.some(isSameSite) ? 'self-hosted' : 'third-party';
+};
+
+/**
+ * Extracts the @font-face inventory of a webpage and which faces were loaded
+ * @param {Page} page - Puppeteer page object
+ * @returns {Object} Font faces, font families and provider counts
+ */
+const extractFontInventory = async (page) => {
+  const raw = await page.evaluate(() => {
+    const unquote = (value) => (value || '').trim().replace(/^["']|["']$/g, '');
+    const faces = [];
+    const inaccessibleStylesheets = [];
+
+    // Parse a src descriptor into url()/local() entries with their format
+    const parseSrc = (src, baseUrl) => {
+      const entries = [];
+      const pattern = /(url|local)\(\s*(["']?)(.*?)\2\s*\)(?:\s*format\(\s*["']?([^"')]+)["']?\s*\))?/g;
+      let match;
+      while ((match = pattern.exec(src || '')) !== null) {
+        if (match[1] === 'local') {
+          entries.push({ local: match[3] });
+        } else {
+          let url = match[3];
+          try {
+            url = new URL(url, baseUrl).href;
+          } catch (e) {
+            // Keep the raw value if it can't be resolved
+          }
+          const extension = (url.split(/[?#]/)[0].match(/\.(woff2|woff|ttf|otf|eot|svg)$/i) || [])[1];
+          entries.push({
+            url: url.startsWith('data:') ? url.substring(0, url.indexOf(',')) + ',…' : url,
+            format: match[4] || (extension ? extension.toLowerCase() : null)
+          });
+        }
+      }
+      return entries;
+    };
+
+    // Walk nested rules (@media, @supports, @import) looking for @font-face
+    const collectRules = (rules, sheetUrl) => {
+      Array.from(rules || []).forEach(rule => {
+        if (rule instanceof CSSFontFaceRule) {
+          const style = rule.style;
+          faces.push({
+            family: unquote(style.getPropertyValue('font-family')),
+            src: parseSrc(style.getPropertyValue('src'), sheetUrl || document.baseURI),
+            weight: style.getPropertyValue('font-weight') || 'normal',
+            style: style.getPropertyValue('font-style') || 'normal',
+            stretch: style.getPropertyValue('font-stretch') || 'normal',
+            unicodeRange: style.getPropertyValue('unicode-range') || null,
+            display: style.getPropertyValue('font-display') || null,
+            stylesheet: sheetUrl || null
+          });
+        } else if (rule instanceof CSSImportRule && rule.styleSheet) {
+          collectSheet(rule.styleSheet);
+        } else if (rule.cssRules) {
+          collectRules(rule.cssRules, sheetUrl);
+        }
+      });
+    };
+
+    const collectSheet = (sheet) => {
+      try {
+        collectRules(sheet.cssRules, sheet.href);
+      } catch (e) {
+        // StyleSheets that cannot be accessed due to CORS restrictions
+        if (sheet.href) inaccessibleStylesheets.push(sheet.href);
+      }
+    };
+
+    Array.from(document.styleSheets).forEach(collectSheet);
+
+    // What the browser actually registered and loaded
+    const loadedFaces = Array.from(document.fonts).map(face => ({
+      family: unquote(face.family),
+      weight: face.weight,
+      style: face.style,
+      unicodeRange: face.unicodeRange,
+      status: face.status
+    }));
+
+    // How many elements use each family as their primary font
+    const usage = {};
+    Array.from(document.querySelectorAll('body *')).forEach(el => {
+      const primary = unquote(window.getComputedStyle(el).fontFamily.split(',')[0]);
+      if (primary) usage[primary] = (usage[primary] || 0) + 1;
+    });
+
+    return { faces, loadedFaces, usage, inaccessibleStylesheets };
+  });
+
+  const pageUrl = page.url();
+  const normalize = (value) => String(value || '').toLowerCase().trim();
+  const matchedLoaded = new Set();
+
+  // Match each declared face with its FontFace counterpart to know whether it loaded
+  const faces = raw.faces.map(face => {
+    const index = raw.loadedFaces.findIndex((loaded, i) =>
+      !matchedLoaded.has(i) &&
+      normalize(loaded.family) === normalize(face.family) &&
+      normalize(loaded.weight) === normalize(face.weight) &&
+      normalize(loaded.style) === normalize(face.style) &&
+      (!face.unicodeRange || normalize(loaded.unicodeRange) === normalize(face.unicodeRange))
+    );
+    if (index !== -1) matchedLoaded.add(index);
+    const status = index !== -1 ? raw.loadedFaces[index].status : 'unknown';
+
+    return {
+      family: face.family,
+      src: face.src,
+      formats: [...new Set(face.src.map(source => source.format).filter(Boolean))],
+      weight: face.weight,
+      style: face.style,
+      stretch: face.stretch,
+      unicodeRange: face.unicodeRange,
+      display: face.display,
+      provider: classifyFontProvider(face, pageUrl),
+      stylesheet: face.stylesheet,
+      status,
+      loaded: status === 'loaded'
+    };
+  });
+
+  // Faces added through the FontFace API (or from stylesheets we couldn't read)
+  raw.loadedFaces.forEach((loaded, i) => {
+    if (matchedLoaded.has(i)) return;
+    faces.push({
+      family: loaded.family,
+      src: [],
+      formats: [],
+      weight: loaded.weight,
+      style: loaded.style,
+      stretch: 'normal',
+      unicodeRange: loaded.unicodeRange,
+      display: null,
+      provider: 'unknown',
+      stylesheet: null,
+      status: loaded.status,
+      loaded: loaded.status === 'loaded'
+    });
+  });
+
+  // Summarize per family, including families that are only installed on the system
+  const families = {};
+  faces.forEach(face => {
+    const key = normalize(face.family);
+    if (!families[key]) {
+      families[key] = { family: face.family, providers: [], declared: true, loaded: false, faces: 0, usedBy: 0 };
+    }
+    const family = families[key];
+    family.faces++;
+    family.loaded = family.loaded || face.loaded;
+    if (!family.providers.includes(face.provider)) family.providers.push(face.provider);
+  });
+
+  Object.entries(raw.usage).forEach(([name, count]) => {
+    const key = normalize(name);
+    if (!families[key]) {
+      families[key] = {
+        family: name,
+        providers: [GENERIC_FAMILIES.includes(key) ? 'generic' : 'system'],
+        declared: false,
+        loaded: false,
+        faces: 0,
+        usedBy: 0
+      };
+    }
+    families[key].usedBy += count;
+  });
+
+  const providers = {};
+  faces.forEach(face => {
+    providers[face.provider] = (providers[face.provider] || 0) + 1;
+  });
+
+  return {
+    faces,
+    families: Object.values(families).sort((a, b) => b.usedBy - a.usedBy),
+    providers,
+    inaccessibleStylesheets: raw.inaccessibleStylesheets
+  };
+};
+
+// Named modular scales tried when inferring the type scale
+const MODULAR_SCALES = [
+  { name: 'minor second', ratio: 1.067 },
+  { name: 'major second', ratio: 1.125 },
+  { name: 'minor third', ratio: 1.2 },
+  { name: 'major third', ratio: 1.25 },
+  { name: 'perfect fourth', ratio: 1.333 },
+  { name: 'augmented fourth', ratio: 1.414 },
+  { name: 'perfect fifth', ratio: 1.5 },
+  { name: 'golden ratio', ratio: 1.618 }
+];
+
+// Sizes further than this share of a scale step from the nearest step are outliers
+const OUTLIER_STEP_DISTANCE = 0.25;
+
+// Tags whose size is the body text size, in order of preference
+const BODY_TAGS = [['p'], ['li', 'td', 'th', 'blockquote'], ['span', 'div', 'label']];
+
+// Tags each semantic text role is read from
+const ROLE_TAGS = {
+  h1: ['h1'],
+  h2: ['h2'],
+  h3: ['h3'],
+  h4: ['h4'],
+  h5: ['h5'],
+  h6: ['h6'],
+  small: ['small'],
+  caption: ['caption', 'figcaption'],
+  code: ['code', 'pre']
+};
+
+/**
+ * Rounds a number to two decimals
+ * @param {number} value - Number to round
+ * @returns {number} Rounded number
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Finds the most used typography group among some tags
+ * Groups without a positive size are ignored, font-size: 0 is a common whitespace hack rather than text.
+ * @param {Array} typography - Typography groups from extractTypography
+ * @param {Array|null} tags - Tags to consider, null for every tag
+ * @param {Function} [filter] - Extra condition on the group's size in px
+ * @returns {Object|null} Most used group, or null if none of the tags is used
+ */
+const findDominantGroup = (typography, tags, filter = () => true) => {
+  const sizes = {};
+  typography
+    .filter(group => {
+      const size = parseFloat(group['font-size']);
+      return (!tags || tags.includes(group.tag)) && size > 0 && filter(size);
+    })
+    .forEach(group => {
+      const size = parseFloat(group['font-size']);
+      if (!sizes[size]) sizes[size] = { count: 0, groups: [] };
+      sizes[size].count += group.count;
+      sizes[size].groups.push(group);
+    });
+
+  const dominant = Object.values(sizes).sort((a, b) => b.count - a.count)[0];
+  if (!dominant) return null;
+
+  return { ...dominant.groups.sort((a, b) => b.count - a.count)[0], count: dominant.count };
+};
+
+/**
+ * Places a size on a modular scale
+ * @param {number} size - Size in px
+ * @param {number} base - Base size in px (step 0)
+ * @param {number} ratio - Scale ratio
+ * @returns {Object} Nearest step, the size of that step and the distance to it as a share of one step
+ */
+const locateOnScale = (size, base, ratio) => {
+  const exactStep = Math.log(size / base) / Math.log(ratio);
+  const step = Math.round(exactStep);
+  return {
+    step,
+    stepSize: base * Math.pow(ratio, step),
+    distance: Math.abs(exactStep - step)
+  };
+};
+
+/**
+ * Scores how well a ratio explains a set of sizes
+ * Distances are measured in scale steps, so dense ratios don't win just because every size is near some step.
+ * @param {Array} sizes - Distinct sizes in px
+ * @param {number} base - Base size in px
+ * @param {number} ratio - Scale ratio
+ * @returns {number} Fit score from 0 (random) to 100 (every size on a step)
+ */
+const scoreRatio = (sizes, base, ratio) => {
+  const others = sizes.filter(size => size !== base);
+  if (others.length === 0) return 100;
+
+  const meanDistance = others.reduce((sum, size) => sum + locateOnScale(size, base, ratio).distance, 0) / others.length;
+  return Math.round((1 - 2 * meanDistance) * 100);
+};
+
+/**
+ * Describes a size with its rem and em equivalents
+ * @param {number} size - Size in px
+ * @param {number} rootFontSize - Root element font size in px
+ * @param {number} base - Body text size in px
+ * @returns {Object} Size in px, rem and em
+ */
+const convertSize = (size, rootFontSize, base) => ({
+  px: round2(size),
+  rem: Math.round(size / rootFontSize * 1000) / 1000,
+  em: Math.round(size / base * 1000) / 1000
+});
+
+/**
+ * Infers the type system behind the extracted typography
+ * @param {Array} typography - Typography groups from extractTypography
+ * @param {Object} [options] - Scale options
+ * @param {number} [options.rootFontSize=16] - Root element font size in px, used for rem values
+ * @returns {Object|null} Base size, best fitting modular scale, sizes with their scale steps and outliers, and semantic roles
+ */
+const buildTypeScale = (typography, { rootFontSize = 16 } = {}) => {
+  const usage = {};
+  typography.forEach(group => {
+    const size = parseFloat(group['font-size']);
+    if (!size || size <= 0) return;
+    if (!usage[size]) usage[size] = { count: 0, tags: new Set() };
+    usage[size].count += group.count;
+    usage[size].tags.add(group.tag);
+  });
+
+  const sizes = Object.keys(usage).map(Number).sort((a, b) => a - b);
+  if (sizes.length === 0) return null;
+
+  // Body text size: paragraphs first, then other running text, then the most used size overall
+  const bodyGroup = BODY_TAGS.reduce((found, tags) => found || findDominantGroup(typography, tags), null);
+  const base = (bodyGroup && parseFloat(bodyGroup['font-size'])) ||
+    sizes.reduce((best, size) => usage[size].count > usage[best].count ? size : best, sizes[0]);
+
+  const candidates = MODULAR_SCALES
+    .map(scale => ({ ...scale, fit: scoreRatio(sizes, base, scale.ratio) }))
+    .sort((a, b) => b.fit - a.fit || a.ratio - b.ratio);
+  const best = candidates[0];
+
+  const steps = sizes.map(size => {
+    const { step, stepSize, distance } = locateOnScale(size, base, best.ratio);
+    return {
+      ...convertSize(size, rootFontSize, base),
+      count: usage[size].count,
+      tags: Array.from(usage[size].tags),
+      step,
+      stepSize: round2(stepSize),
+      outlier: distance > OUTLIER_STEP_DISTANCE
+    };
+  }).reverse();
+
+  // Semantic roles come from the tags that carry them, display is anything larger than the top heading
+  const describeRole = (group, source) => group && {
+    ...convertSize(parseFloat(group['font-size']), rootFontSize, base),
+    step: locateOnScale(parseFloat(group['font-size']), base, best.ratio).step,
+    'font-family': group['font-family'],
+    'font-weight': group['font-weight'],
+    'line-height': group['line-height'],
+    tag: group.tag,
+    count: group.count,
+    source
+  };
+
+  const roles = {};
+  Object.entries(ROLE_TAGS).forEach(([role, tags]) => {
+    roles[role] = describeRole(findDominantGroup(typography, tags), 'tag');
+  });
+  roles.body = describeRole(bodyGroup, 'tag') || describeRole(findDominantGroup(typography, null, size => size === base), 'inferred');
+
+  // Without small or caption tags, the most used size below the body size stands in
+  const bodyTags = BODY_TAGS.flat();
+  if (!roles.small) {
+    roles.small = describeRole(findDominantGroup(typography, bodyTags, size => size < base), 'inferred');
+  }
+  if (!roles.caption) {
+    roles.caption = describeRole(findDominantGroup(typography, [...bodyTags, 'small'], size => size < (roles.small ? roles.small.px : base)), 'inferred');
+  }
+
+  const headingSizes = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].filter(role => roles[role]).map(role => roles[role].px);
+  const displayThreshold = headingSizes.length > 0 ? Math.max(...headingSizes) : base * 2.5;
+  roles.display = describeRole(findDominantGroup(typography, null, size => size > displayThreshold), 'inferred');
+
+  return {
+    rootFontSize,
+    base: convertSize(base, rootFontSize, base),
+    ratio: best.ratio,
+    scale: best.name,
+    fit: best.fit,
+    candidates: candidates.slice(1, 4),
+    sizes: steps,
+    outliers: steps.filter(step => step.outlier),
+    roles: ['display', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'body', 'small', 'caption', 'code']
+      .reduce((all, role) => ({ ...all, [role]: roles[role] || null }), {})
+  };
+};
+
 module.exports = {
-  extractTypography
+  extractTypography,
+  extractFontInventory,
+  buildTypeScale
 }; 
\ No newline at end of file
@@ -0,0 +1,310 @@
+const { toHexWithAlpha } = require('../utils/colorUtils');
+
+// Properties through which a color variable ends up as a painted color
+const COLOR_USAGE = /^(color|background|border|outline|fill|stroke|box-shadow|text-shadow|text-decoration|caret-color|accent-color|column-rule)/;
+
+// Properties through which a font variable ends up as a font family
+const FONT_USAGE = /^font(-family)?$/;
+
+/**
+ * Reads every custom property declaration in the page's stylesheets and style attributes,
+ * resolves it in its scope and counts the elements that end up using it
+ * @param {Page} page - Puppeteer page object
+ * @returns {Promise<Object>} Raw declarations per variable, usage and inaccessible stylesheet count
+ */
+const collectCustomProperties = async (page) => {
+  return await page.evaluate(() => {
+    const declarations = [];
+    const consumers = [];
+    let inaccessibleStylesheets = 0;
+
+    const referencesOf = (value) => Array.from(new Set(Array.from(value.matchAll(/var\(\s*(--[^\s,)]+)/g), match => match[1])));
+
+    // Declarations are read from cssText, where shorthands using var() are kept as written
+    const parseDeclarations = (cssText) => cssText
+      .split(/;(?![^(]*\))/)
+      .map(part => {
+        const colon = part.indexOf(':');
+        if (colon === -1) return null;
+        return {
+          property: part.substring(0, colon).trim(),
+          value: part.substring(colon + 1).replace(/!\s*important\s*$/i, '').trim()
+        };
+      })
+      .filter(declaration => declaration && declaration.property);
+
+    const addStyle = (cssText, context) => {
+      parseDeclarations(cssText).forEach(({ property, value }) => {
+        if (property.startsWith('--')) {
+          declarations.push({ name: property, raw: value, ...context });
+        } else if (value.includes('var(')) {
+          consumers.push({ ...context, property, names: referencesOf(value) });
+        }
+      });
+    };
+
+    const walkRules = (rules, conditions, stylesheet) => {
+      Array.from(rules).forEach(rule => {
+        if (rule instanceof CSSImportRule) {
+          if (rule.styleSheet) readSheet(rule.styleSheet, conditions);
+        } else if (rule instanceof CSSStyleRule) {
+          addStyle(rule.style.cssText, { selector: rule.selectorText, conditions, stylesheet });
+        } else if (rule.cssRules) {
+          // @media, @supports, @layer and @container keep their prelude as the condition
+          const prelude = rule.cssText.substring(0, rule.cssText.indexOf('{')).trim();
+          walkRules(rule.cssRules, [...conditions, prelude], stylesheet);
+        }
+      });
+    };
+
+    const readSheet = (sheet, conditions) => {
+      try {
+        walkRules(sheet.cssRules, conditions, sheet.href || 'inline <style>');
+      } catch (error) {
+        // Cross-origin stylesheets can't be read
+        inaccessibleStylesheets++;
+      }
+    };
+
+    Array.from(document.styleSheets).forEach(sheet => readSheet(sheet, []));
+
+    const describeElement = (el) => {
+      const tag = el.tagName.toLowerCase();
+      if (el.id) return `${tag}#${el.id}`;
+      const classes = Array.from(el.classList).slice(0, 3);
+      return classes.length > 0 ? `${tag}.${classes.join('.')}` : tag;
+    };
+
+    Array.from(document.querySelectorAll('[style]')).forEach(el => {
+      addStyle(el.style.cssText, { selector: `${describeElement(el)}[style]`, conditions: [], stylesheet: 'style attribute', element: el });
+    });
+
+    // State pseudo-classes and pseudo-elements are dropped so the elements they style can be found
+    const selectorCache = new Map();
+    const matchElements = (context) => {
+      if (context.element) return [context.element];
+      if (selectorCache.has(context.selector)) return selectorCache.get(context.selector);
+
+      const cleaned = context.selector
+        // The lookahead keeps :focus from matching the start of :focus-visible
+        .replace(/::?(before|after|placeholder|marker|selection|first-line|first-letter|backdrop|file-selector-button)(?![\w-])/g, '')
+        .replace(/:(hover|focus|focus-visible|focus-within|active|visited|target)(?![\w-])/g, '')
+        // Selector list entries that were only a pseudo-element are now empty
+        .replace(/(^|,)\s*(?=,|$)/g, '')
+        .replace(/^\s*,/, '')
+        .trim();
+      let elements = [];
+      try {
+        elements = Array.from(document.querySelectorAll(cleaned || '*'));
+      } catch (error) {
+        // Selectors the browser can't query, e.g. vendor pseudo-classes
+      }
+      selectorCache.set(context.selector, elements);
+      return elements;
+    };
+
+    // Direct usage by regular declarations
+    const direct = {};
+    consumers.forEach(consumer => {
+      const elements = matchElements(consumer);
+      consumer.names.forEach(name => {
+        if (!direct[name]) direct[name] = { elements: new Set(), properties: {} };
+        elements.forEach(el => direct[name].elements.add(el));
+        direct[name].properties[consumer.property] = (direct[name].properties[consumer.property] || 0) + elements.length;
+      });
+    });
+
+    // A variable is also used wherever a variable referencing it is used
+    const referencedBy = {};
+    declarations.forEach(declaration => {
+      referencesOf(declaration.raw).forEach(name => {
+        if (!referencedBy[name]) referencedBy[name] = new Set();
+        referencedBy[name].add(declaration.name);
+      });
+    });
+
+    const usage = {};
+    const resolveUsage = (name, visiting) => {
+      if (usage[name]) return usage[name];
+      const result = { elements: new Set(direct[name] ? direct[name].elements : []), properties: { ...(direct[name] ? direct[name].properties : {}) } };
+      if (!visiting.has(name)) {
+        visiting.add(name);
+        (referencedBy[name] || []).forEach(parent => {
+          const parentUsage = resolveUsage(parent, visiting);
+          parentUsage.elements.forEach(el => result.elements.add(el));
+          Object.entries(parentUsage.properties).forEach(([property, count]) => {
+            result.properties[property] = (result.properties[property] || 0) + count;
+          });
+        });
+        visiting.delete(name);
+      }
+      usage[name] = result;
+      return result;
+    };
+
+    // Declarations are resolved on the first element their selector matches, or on the root.
+    // Framesets, SVG and XML documents have no body, so the probe goes under the root element.
+    const temp = document.createElementNS('http://www.w3.org/1999/xhtml', 'div');
+    (document.body || document.documentElement).appendChild(temp);
+    const genericFamilies = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded'];
+
+    const substitute = (value, scope) => {
+      const style = window.getComputedStyle(scope);
+      let result = value;
+      // Fallbacks that hold var() are resolved on the next pass
+      for (let i = 0; i < 10 && result.includes('var('); i++) {
+        result = result.replace(/var\(\s*(--[^\s,)]+)\s*(?:,\s*((?:[^()]|\([^()]*\))*))?\)/g, (match, name, fallback) => {
+          return style.getPropertyValue(name).trim() || (fallback || '').trim();
+        });
+      }
+      return result.trim();
+    };
+
+    const detectType = (value) => {
+      if (!value) return 'unknown';
+      if (/gradient\(/i.test(value) && CSS.supports('background-image', value)) return 'gradient';
+      if (CSS.supports('color', value)) return 'color';
+      if (/^-?[\d.]+$/.test(value)) return 'number';
+      if (/^-?[\d.]+m?s$/.test(value)) return 'time';
+      if (/\d/.test(value) && (CSS.supports('margin', value) || CSS.supports('width', value))) return 'length';
+      if (/\d/.test(value) && CSS.supports('box-shadow', value)) return 'shadow';
+      if (CSS.supports('font-family', value) &&
+          (value.includes(',') || /^["']/.test(value) || genericFamilies.includes(value.toLowerCase()))) return 'font-stack';
+      return 'other';
+    };
+
+    const toColor = (value) => {
+      temp.style.color = '';
+      temp.style.color = value;
+      return temp.style.color ? window.getComputedStyle(temp).color : null;
+    };
+
+    const resolved = declarations.map(({ element, ...declaration }) => {
+      let scope = element || null;
+      if (!scope) {
+        const matches = matchElements(declaration);
+        scope = matches[0] || null;
+      }
+      const value = substitute(declaration.raw, scope || document.documentElement);
+      const type = detectType(value);
+      return {
+        ...declaration,
+        resolved: value,
+        type,
+        color: type === 'color' ? toColor(value) : null,
+        inDocument: !!scope
+      };
+    });
+
+    temp.remove();
+
+    const names = Array.from(new Set([...resolved.map(declaration => declaration.name), ...Object.keys(direct)]));
+    return {
+      declarations: resolved,
+      references: names.reduce((all, name) => ({ ...all, [name]: referencesOf(resolved.filter(d => d.name === name).map(d => d.raw).join(' ')) }), {}),
+      referencedBy: Object.fromEntries(Object.entries(referencedBy).map(([name, parents]) => [name, Array.from(parents)])),
+      usage: Object.fromEntries(names.map(name => {
+        const { elements, properties } = resolveUsage(name, new Set());
+        return [name, { elements: elements.size, properties }];
+      })),
+      inaccessibleStylesheets
+    };
+  });
+};
+
+/**
+ * Builds the custom property inventory of a page
+ * @param {Page} page - Puppeteer page object
+ * @returns {Promise<Object>} Variables with declarations, type, value, references and usage, plus a summary
+ */
+const extractCustomProperties = async (page) => {
+  const raw = await collectCustomProperties(page);
+
+  const byName = {};
+  raw.declarations.forEach(({ name, color, ...declaration }) => {
+    if (!byName[name]) byName[name] = [];
+    byName[name].push({ ...declaration, ...(color && { hex: toHexWithAlpha(color) }) });
+  });
+
+  const variables = Object.entries(byName).map(([name, declarations]) => {
+    // The unconditional declaration on an element in the page is the variable's main value
+    const main = declarations.find(d => d.inDocument && d.conditions.length === 0) || declarations.find(d => d.inDocument) || declarations[0];
+    return {
+      name,
+      type: main.type,
+      value: main.resolved,
+      ...(main.hex && { hex: main.hex }),
+      declarations: declarations.map(({ type, ...declaration }) => declaration),
+      references: raw.references[name] || [],
+      referencedBy: raw.referencedBy[name] || [],
+      usage: raw.usage[name] || { elements: 0, properties: {} }
+    };
+  }).sort((a, b) => b.usage.elements - a.usage.elements || a.name.localeCompare(b.name));
+
+  const declared = new Set(Object.keys(byName));
+  const byType = {};
+  variables.forEach(variable => {
+    byType[variable.type] = (byType[variable.type] || 0) + 1;
+  });
+
+  return {
+    variables,
+    summary: {
+      total: variables.length,
+      byType,
+      unused: variables.filter(variable => variable.usage.elements === 0).length,
+      // Referenced somewhere but declared nowhere, so only their fallbacks apply
+      undeclared: Object.keys(raw.usage).filter(name => !declared.has(name)).sort(),
+      inaccessibleStylesheets: raw.inaccessibleStylesheets
+    }
+  };
+};
+
+/**
+ * Adds the variables that produce each extracted color and font family
+ * A variable is linked when its value matches and it is used in a property of the same kind.
+ * @param {Object} styles - Extracted styles with colors, palette, fonts and typography
+ * @param {Object} customProperties - Inventory from extractCustomProperties
+ * @returns {Object} Styles where matching entries have a variables list
+ */
+const linkVariables = (styles, customProperties) => {
+  const usedIn = (variable, pattern) => Object.keys(variable.usage.properties).some(property => pattern.test(property));
+
+  const colorVariables = {};
+  const fontVariables = {};
+  customProperties.variables.forEach(variable => {
+    if (variable.type === 'color' && variable.hex && usedIn(variable, COLOR_USAGE)) {
+      (colorVariables[variable.hex] = colorVariables[variable.hex] || []).push(variable.name);
+    }
+    if (variable.type === 'font-stack' && usedIn(variable, FONT_USAGE)) {
+      const primary = variable.value.split(',')[0].trim().replace(/^["']|["']$/g, '').toLowerCase();
+      (fontVariables[primary] = fontVariables[primary] || []).push(variable.name);
+    }
+  });
+
+  const withVariables = (entry, names) => (names && names.length > 0 ? { ...entry, variables: names } : entry);
+  const forColor = (hex) => colorVariables[(hex || '').toLowerCase()];
+  const forFont = (family) => fontVariables[(family || '').toLowerCase()];
+
+  return {
+    ...styles,
+    colors: styles.colors.map(color => withVariables(color, forColor(color.hex))),
+    palette: {
+      ...styles.palette,
+      colors: styles.palette.colors.map(entry => {
+        const names = [entry, ...entry.variants].flatMap(color => forColor(color.hex) || []);
+        return withVariables(entry, [...new Set(names)]);
+      })
+    },
+    fonts: {
+      ...styles.fonts,
+      families: styles.fonts.families.map(family => withVariables(family, forFont(family.family)))
+    },
+    typography: styles.typography.map(group => withVariables(group, forFont(group['font-family'])))
+  };
+};
+
+module.exports = {
+  extractCustomProperties,
+  linkVariables
+};
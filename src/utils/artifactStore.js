@@ -0,0 +1,108 @@
+/**
+ * File based storage for generated images served from /artifacts
+ *
+ * Artifacts are written once and expire after ARTIFACT_TTL. Expired files are swept
+ * whenever a new artifact is stored, so the directory doesn't need a background timer.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Directory holding the artifact files
+const ARTIFACTS_DIR = path.resolve(process.env.ARTIFACTS_DIR || path.join(process.cwd(), 'data', 'artifacts'));
+
+// How long an artifact can be downloaded, in ms
+const ARTIFACT_TTL = parseInt(process.env.ARTIFACT_TTL || 86400000);
+
+// Content types by file extension
+const CONTENT_TYPES = {
+  png: 'image/png',
+  svg: 'image/svg+xml'
+};
+
+/**
+ * Checks an artifact file name and returns its path
+ * @param {string} fileName - File name as used in the artifact URL
+ * @returns {string|null} Absolute path, or null for malformed names
+ */
+const getArtifactPath = (fileName) => {
+  const match = /^[0-9a-f]{32}\.(png|svg)$/.exec(fileName || '');
+  return match ? path.join(ARTIFACTS_DIR, fileName) : null;
+};
+
+/**
+ * Removes artifacts older than ARTIFACT_TTL
+ * @returns {Promise<void>}
+ */
+const sweepExpired = async () => {
+  let files;
+  try {
+    files = await fs.promises.readdir(ARTIFACTS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  const cutoff = Date.now() - ARTIFACT_TTL;
+  for (const file of files) {
+    const filePath = path.join(ARTIFACTS_DIR, file);
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (stats.mtimeMs < cutoff) await fs.promises.unlink(filePath);
+    } catch (error) {
+      // Removed by a concurrent sweep
+    }
+  }
+};
+
+/**
+ * Stores an artifact
+ * @param {Buffer|string} content - File content
+ * @param {string} extension - png or svg
+ * @returns {Promise<Object>} File name and expiry time
+ */
+const saveArtifact = async (content, extension) => {
+  await fs.promises.mkdir(ARTIFACTS_DIR, { recursive: true });
+  await sweepExpired();
+
+  const fileName = `${crypto.randomBytes(16).toString('hex')}.${extension}`;
+  const filePath = path.join(ARTIFACTS_DIR, fileName);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, content);
+  await fs.promises.rename(tempPath, filePath);
+
+  return {
+    fileName,
+    expiresAt: new Date(Date.now() + ARTIFACT_TTL).toISOString()
+  };
+};
+
+/**
+ * Looks up a stored artifact
+ * @param {string} fileName - File name as used in the artifact URL
+ * @returns {Promise<Object|null>} Path and content type, or null if the artifact doesn't exist or expired
+ */
+const findArtifact = async (fileName) => {
+  const filePath = getArtifactPath(fileName);
+  if (!filePath) return null;
+
+  try {
+    const stats = await fs.promises.stat(filePath);
+    if (stats.mtimeMs < Date.now() - ARTIFACT_TTL) return null;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  return {
+    path: filePath,
+    contentType: CONTENT_TYPES[path.extname(fileName).substring(1)]
+  };
+};
+
+module.exports = {
+  ARTIFACTS_DIR,
+  CONTENT_TYPES,
+  saveArtifact,
+  findArtifact
+};
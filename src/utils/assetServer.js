@@ -0,0 +1,75 @@
+/**
+ * Short lived HTTP server that serves submitted files to the browser
+ *
+ * Submitted documents are loaded over HTTP instead of setContent, so relative URLs of
+ * stylesheets, fonts and images resolve and the page loads like a published one.
+ */
+const http = require('http');
+const path = require('path');
+
+// Content types by file extension, anything else is served as binary
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject'
+};
+
+/**
+ * Starts a server for a set of files on a random loopback port
+ * @param {Map} files - File contents keyed by relative path, e.g. css/site.css
+ * @returns {Promise<Object>} Server origin and a close function
+ */
+const startAssetServer = async (files) => {
+  const server = http.createServer((req, res) => {
+    let filePath;
+    try {
+      filePath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname).replace(/^\/+/, '');
+    } catch (error) {
+      filePath = null;
+    }
+
+    const content = filePath !== null && files.get(filePath);
+    if (!content || req.method !== 'GET') {
+      res.writeHead(404, { Connection: 'close' });
+      return res.end();
+    }
+
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      'Cache-Control': 'no-store',
+      // Keep-alive connections would hold the server open after the analysis
+      Connection: 'close'
+    });
+    res.end(content);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', resolve);
+  });
+
+  return {
+    origin: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  };
+};
+
+module.exports = {
+  startAssetServer
+};
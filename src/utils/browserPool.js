@@ -0,0 +1,382 @@
+/**
+ * Pool of warm Puppeteer browsers shared across requests
+ */
+
+// Use puppeteer-extra with stealth plugin
+const puppeteer = require('puppeteer-extra');
+const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+const { PROXY_BYPASS } = require('./proxyPool');
+const { getGuardProxyServer, closeGuardProxy } = require('./guardProxy');
+
+// Use stealth plugin if enabled in env
+if (process.env.STEALTH_MODE === 'true') {
+  console.log('Stealth mode enabled');
+  puppeteer.use(StealthPlugin());
+}
+
+// Pool configuration from environment variables
+const POOL_SIZE = Math.max(1, parseInt(process.env.BROWSER_POOL_SIZE || 2));
+const MAX_CONTEXTS_PER_BROWSER = Math.max(1, parseInt(process.env.BROWSER_MAX_CONTEXTS || 2));
+const MAX_PAGES_PER_BROWSER = Math.max(1, parseInt(process.env.BROWSER_MAX_PAGES || 50));
+const ACQUIRE_TIMEOUT = parseInt(process.env.BROWSER_ACQUIRE_TIMEOUT || 30000);
+const HEALTH_CHECK_INTERVAL = parseInt(process.env.BROWSER_HEALTH_CHECK_INTERVAL || 60000);
+
+// Browsers currently owned by the pool
+const entries = [];
+// Requests waiting for a free slot
+const waiters = [];
+let nextBrowserId = 1;
+let healthCheckInterval = null;
+let shuttingDown = false;
+
+/**
+ * Builds the launch options shared by every pooled browser
+ * @returns {Object} Puppeteer launch options
+ */
+const getLaunchOptions = () => ({
+  executablePath: process.env.NODE_ENV === 'production'
+    ? '/usr/bin/google-chrome-stable'
+    : puppeteer.executablePath(),
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--no-zygote',
+    '--disable-gpu',
+    '--disable-extensions',
+    '--ignore-certificate-errors',
+    '--disable-web-security',
+    '--disable-features=IsolateOrigins,site-per-process',
+    '--disable-infobars',
+    '--window-position=0,0',
+    '--disable-notifications',
+    '--disable-blink-features=AutomationControlled',
+    // WebRTC would otherwise send UDP around the context's proxy
+    '--force-webrtc-ip-handling-policy=disable_non_proxied_udp'
+  ],
+  headless: true,
+  timeout: parseInt(process.env.PUPPETEER_TIMEOUT || 60000),
+  ignoreHTTPSErrors: true
+});
+
+/**
+ * Closes a browser and removes it from the pool
+ * @param {Object} entry - Pool entry
+ * @param {string} reason - Reason for closing, used for logging
+ * @returns {Promise<void>}
+ */
+const destroyEntry = async (entry, reason) => {
+  const index = entries.indexOf(entry);
+  if (index !== -1) {
+    entries.splice(index, 1);
+  }
+
+  console.log(`Closing pooled browser #${entry.id} (${reason})`);
+  try {
+    const browser = await entry.launching;
+    if (browser && browser.isConnected()) {
+      await browser.close();
+    }
+  } catch (error) {
+    console.error(`Error closing pooled browser #${entry.id}:`, error.message);
+  }
+};
+
+/**
+ * Launches a new browser and registers it in the pool
+ * @returns {Object} Pool entry whose browser may still be launching
+ */
+const launchEntry = () => {
+  const entry = {
+    id: nextBrowserId++,
+    browser: null,
+    launching: null,
+    activeContexts: 0,
+    pagesServed: 0,
+    retiring: false,
+    createdAt: Date.now()
+  };
+
+  entry.launching = puppeteer.launch(getLaunchOptions()).then(browser => {
+    entry.browser = browser;
+    console.log(`Pooled browser #${entry.id} launched`);
+
+    // Drop crashed browsers so the next acquire launches a replacement
+    browser.on('disconnected', () => {
+      if (entries.includes(entry)) {
+        console.error(`Pooled browser #${entry.id} disconnected unexpectedly`);
+        entries.splice(entries.indexOf(entry), 1);
+        drainWaiters();
+      }
+    });
+
+    return browser;
+  }).catch(error => {
+    const index = entries.indexOf(entry);
+    if (index !== -1) {
+      entries.splice(index, 1);
+    }
+    throw error;
+  });
+
+  entries.push(entry);
+  return entry;
+};
+
+/**
+ * Picks the least busy browser that can take another context, launching one if the pool has room
+ * @returns {Object|null} Pool entry or null if every browser is busy
+ */
+const pickEntry = () => {
+  const available = entries
+    .filter(entry => !entry.retiring && entry.activeContexts < MAX_CONTEXTS_PER_BROWSER)
+    .filter(entry => !entry.browser || entry.browser.isConnected())
+    .sort((a, b) => a.activeContexts - b.activeContexts);
+
+  if (available.length > 0) {
+    return available[0];
+  }
+
+  if (entries.length < POOL_SIZE) {
+    return launchEntry();
+  }
+
+  return null;
+};
+
+/**
+ * Hands out a slot to the oldest waiter whenever one becomes available
+ */
+const drainWaiters = () => {
+  while (waiters.length > 0) {
+    const entry = pickEntry();
+    if (!entry) return;
+
+    const waiter = waiters.shift();
+    clearTimeout(waiter.timer);
+    entry.activeContexts++;
+    waiter.resolve(entry);
+  }
+};
+
+/**
+ * Waits for a browser slot to become available
+ * @returns {Promise<Object>} Pool entry reserved for the caller
+ */
+const reserveEntry = () => {
+  if (shuttingDown) {
+    const error = new Error('Browser pool is shutting down');
+    error.code = 'POOL_SHUTTING_DOWN';
+    return Promise.reject(error);
+  }
+
+  const entry = pickEntry();
+  if (entry) {
+    entry.activeContexts++;
+    return Promise.resolve(entry);
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject };
+    waiter.timer = setTimeout(() => {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      const error = new Error(`No browser available after ${ACQUIRE_TIMEOUT}ms`);
+      error.code = 'POOL_EXHAUSTED';
+      reject(error);
+    }, ACQUIRE_TIMEOUT);
+    waiters.push(waiter);
+  });
+};
+
+/**
+ * Returns a slot to the pool and recycles the browser once it has served enough pages
+ * @param {Object} entry - Pool entry
+ * @returns {Promise<void>}
+ */
+const releaseEntry = async (entry) => {
+  entry.activeContexts = Math.max(0, entry.activeContexts - 1);
+
+  if (entry.pagesServed >= MAX_PAGES_PER_BROWSER) {
+    entry.retiring = true;
+  }
+
+  if (entry.retiring && entry.activeContexts === 0 && entries.includes(entry)) {
+    await destroyEntry(entry, `recycled after ${entry.pagesServed} pages`);
+  }
+
+  drainWaiters();
+};
+
+/**
+ * Opens an incognito context with its own proxy and a page in it
+ * Contexts without an outbound proxy go through the guard proxy, which pins every connection to an address the target URL policy allows.
+ * @param {Browser} browser - Pooled browser
+ * @param {Object|null} proxy - Proxy from proxyPool, or null for a direct connection
+ * @param {Array} [trustedOrigins] - Origins the service serves itself, reached without any proxy
+ * @returns {Promise<Object>} Context and page
+ */
+const openContext = async (browser, proxy, trustedOrigins = []) => {
+  // Chrome skips proxies for loopback hosts unless told otherwise, only trusted origins may do that
+  const trustedHosts = trustedOrigins.map(origin => new URL(origin).host);
+  const context = await browser.createIncognitoBrowserContext(proxy
+    ? { proxyServer: proxy.server, proxyBypassList: [...PROXY_BYPASS, ...trustedHosts, '<-loopback>'] }
+    : { proxyServer: await getGuardProxyServer(), proxyBypassList: [...trustedHosts, '<-loopback>'] });
+
+  try {
+    const page = await context.newPage();
+    // Chrome asks for proxy credentials like for a site's basic auth
+    if (proxy && proxy.username) {
+      await page.authenticate({ username: proxy.username, password: proxy.password });
+    }
+    return { context, page };
+  } catch (error) {
+    await context.close().catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Acquires an isolated incognito context and page from the pool
+ * @param {Object} [options] - Acquire options
+ * @param {Object|null} [options.proxy] - Proxy the context sends its traffic through
+ * @param {Array} [options.trustedOrigins] - Origins the service serves itself, reached without any proxy
+ * @returns {Promise<Object>} Lease with page, context, proxy, a release function and a switchProxy function
+ */
+const acquirePage = async ({ proxy = null, trustedOrigins = [] } = {}) => {
+  const entry = await reserveEntry();
+
+  try {
+    const browser = await entry.launching;
+    const lease = { ...await openContext(browser, proxy, trustedOrigins), proxy, browserId: entry.id };
+    entry.pagesServed++;
+
+    let released = false;
+    lease.release = async () => {
+      if (released) return;
+      released = true;
+
+      try {
+        await lease.context.close();
+      } catch (error) {
+        console.error(`Error closing context on browser #${entry.id}:`, error.message);
+      }
+      await releaseEntry(entry);
+    };
+
+    // A context keeps its proxy for life, so switching means a fresh context on the same browser
+    lease.switchProxy = async (nextProxy) => {
+      await lease.context.close().catch(() => {});
+      Object.assign(lease, await openContext(browser, nextProxy, trustedOrigins), { proxy: nextProxy });
+      entry.pagesServed++;
+      return lease.page;
+    };
+
+    return lease;
+  } catch (error) {
+    // A browser that cannot open a context is considered broken
+    entry.retiring = true;
+    await releaseEntry(entry);
+    throw error;
+  }
+};
+
+/**
+ * Checks that idle browsers still respond and replaces the ones that don't
+ * @returns {Promise<void>}
+ */
+const checkHealth = async () => {
+  const idleEntries = entries.filter(entry => entry.browser && entry.activeContexts === 0);
+
+  for (const entry of idleEntries) {
+    try {
+      await Promise.race([
+        entry.browser.version(),
+        new Promise((resolve, reject) => setTimeout(() => reject(new Error('Health check timed out')), 5000))
+      ]);
+    } catch (error) {
+      if (entries.includes(entry) && entry.activeContexts === 0) {
+        await destroyEntry(entry, `failed health check: ${error.message}`);
+      }
+    }
+  }
+
+  // Keep the pool warm after removing broken browsers
+  if (!shuttingDown) {
+    while (entries.length < POOL_SIZE) {
+      launchEntry().launching.catch(error => {
+        console.error('Failed to launch replacement browser:', error.message);
+      });
+    }
+  }
+};
+
+/**
+ * Launches all pooled browsers up front and starts periodic health checks
+ * @returns {Promise<void>}
+ */
+const warmUp = async () => {
+  while (entries.length < POOL_SIZE) {
+    launchEntry();
+  }
+
+  if (!healthCheckInterval) {
+    healthCheckInterval = setInterval(() => {
+      checkHealth().catch(error => console.error('Browser health check failed:', error.message));
+    }, HEALTH_CHECK_INTERVAL);
+    healthCheckInterval.unref();
+  }
+
+  const results = await Promise.allSettled(entries.map(entry => entry.launching));
+  const failed = results.filter(result => result.status === 'rejected');
+  if (failed.length > 0) {
+    console.error(`${failed.length} pooled browser(s) failed to launch:`, failed[0].reason.message);
+  }
+};
+
+/**
+ * Rejects pending requests and closes every pooled browser
+ * @returns {Promise<void>}
+ */
+const shutdown = async () => {
+  shuttingDown = true;
+  clearInterval(healthCheckInterval);
+  healthCheckInterval = null;
+
+  waiters.splice(0).forEach(waiter => {
+    clearTimeout(waiter.timer);
+    const error = new Error('Browser pool is shutting down');
+    error.code = 'POOL_SHUTTING_DOWN';
+    waiter.reject(error);
+  });
+
+  await Promise.all(entries.slice().map(entry => destroyEntry(entry, 'shutdown')));
+  await closeGuardProxy();
+};
+
+/**
+ * Returns a snapshot of the pool state
+ * @returns {Object} Pool statistics
+ */
+const getPoolStats = () => ({
+  size: POOL_SIZE,
+  maxContextsPerBrowser: MAX_CONTEXTS_PER_BROWSER,
+  maxPagesPerBrowser: MAX_PAGES_PER_BROWSER,
+  waiting: waiters.length,
+  browsers: entries.map(entry => ({
+    id: entry.id,
+    ready: !!entry.browser,
+    activeContexts: entry.activeContexts,
+    pagesServed: entry.pagesServed,
+    retiring: entry.retiring,
+    uptime: Date.now() - entry.createdAt
+  }))
+});
+
+module.exports = {
+  acquirePage,
+  warmUp,
+  shutdown,
+  getPoolStats
+};
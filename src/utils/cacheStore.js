@@ -0,0 +1,99 @@
+/**
+ * Storage backends for the result cache
+ *
+ * Every backend stores entries of the shape { id, key, url, createdAt, expiresAt, size, data }
+ * and implements load, get, set, delete and clear. Bookkeeping (LRU order, limits, stats)
+ * lives in the cache service, so backends only need to store and return entries.
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Creates a backend that keeps entries in process memory
+ * @returns {Object} Memory backend
+ */
+const createMemoryBackend = () => {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    load: async () => [],
+    get: async (id) => entries.get(id) || null,
+    set: async (entry) => {
+      entries.set(entry.id, entry);
+    },
+    delete: async (id) => {
+      entries.delete(id);
+    },
+    clear: async () => {
+      entries.clear();
+    }
+  };
+};
+
+/**
+ * Creates a backend that stores one JSON file per entry, so cached results survive restarts
+ * @param {string} directory - Directory for the cache files
+ * @returns {Object} File backend
+ */
+const createFileBackend = (directory) => {
+  // Concurrent scrapes of the same page may write the same entry, each write gets its own temp file
+  let writeCount = 0;
+  const getEntryPath = (id) => path.join(directory, `${id}.json`);
+
+  const readEntry = async (filePath) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Skipping unreadable cache file ${path.basename(filePath)}:`, error.message);
+      }
+      return null;
+    }
+  };
+
+  return {
+    name: 'file',
+    // Returns entry metadata only, results are read from disk on demand
+    load: async () => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const files = (await fs.promises.readdir(directory)).filter(file => file.endsWith('.json'));
+
+      const entries = [];
+      for (const file of files) {
+        const entry = await readEntry(path.join(directory, file));
+        if (entry) {
+          const { data, ...meta } = entry;
+          entries.push(meta);
+        }
+      }
+      return entries;
+    },
+    get: async (id) => readEntry(getEntryPath(id)),
+    // Written to a temporary file first so a crash never leaves half an entry
+    set: async (entry) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const filePath = getEntryPath(entry.id);
+      const tempPath = `${filePath}.${process.pid}.${writeCount++}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(entry));
+      await fs.promises.rename(tempPath, filePath);
+    },
+    delete: async (id) => {
+      try {
+        await fs.promises.unlink(getEntryPath(id));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+    clear: async () => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const files = (await fs.promises.readdir(directory)).filter(file => file.endsWith('.json'));
+      await Promise.all(files.map(file => fs.promises.unlink(path.join(directory, file)).catch(() => {})));
+    }
+  };
+};
+
+module.exports = {
+  createMemoryBackend,
+  createFileBackend
+};
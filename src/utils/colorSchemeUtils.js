@@ -0,0 +1,132 @@
+/**
+ * Color scheme emulation: media feature overrides and theme toggles
+ */
+const { disableTransitions } = require('./resourcePolicy');
+
+// Values accepted for each emulated media feature
+const COLOR_SCHEMES = ['dark'];
+const CONTRAST_VALUES = ['no-preference', 'more', 'less', 'custom'];
+const FORCED_COLORS_VALUES = ['none', 'active'];
+
+// Time given to the page to restyle after switching schemes, in ms
+const SCHEME_SETTLE_DELAY = parseInt(process.env.SCHEME_SETTLE_DELAY || 500);
+
+// DevTools sessions used for emulation, one per page
+const emulationSessions = new WeakMap();
+
+/**
+ * Creates the error thrown for invalid color scheme parameters
+ * @param {string} message - What is wrong
+ * @returns {Error} Error with code INVALID_COLOR_SCHEME
+ */
+const createColorSchemeError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_COLOR_SCHEME';
+  return error;
+};
+
+/**
+ * Resolves the color scheme parameters
+ * @param {Object} params - Query string or JSON body parameters
+ * @param {string} [params.colorScheme] - Scheme to compare the default rendering with (dark)
+ * @param {string} [params.contrast] - prefers-contrast value to emulate along with it
+ * @param {string} [params.forcedColors] - forced-colors value to emulate along with it
+ * @param {string} [params.themeToggle] - Selector of an element to click to switch the theme
+ * @param {string} [params.themeClass] - Classes to add to the root element to switch the theme
+ * @returns {Object|null} Color scheme emulation settings, or null if no scheme was requested
+ */
+const resolveColorScheme = ({ colorScheme, contrast, forcedColors, themeToggle, themeClass }) => {
+  if (colorScheme === undefined) {
+    if ([contrast, forcedColors, themeToggle, themeClass].some(value => value !== undefined)) {
+      throw createColorSchemeError('contrast, forcedColors, themeToggle and themeClass require colorScheme=dark');
+    }
+    return null;
+  }
+
+  const check = (name, value, allowed) => {
+    const normalized = String(value).trim().toLowerCase();
+    if (!allowed.includes(normalized)) {
+      throw createColorSchemeError(`Unknown ${name} "${value}". Use one of: ${allowed.join(', ')}`);
+    }
+    return normalized;
+  };
+
+  const classes = themeClass === undefined ? [] : String(themeClass).split(/[\s,]+/).filter(Boolean);
+  if (classes.some(name => !/^-?[_a-zA-Z][\w-]*$/.test(name))) {
+    throw createColorSchemeError(`themeClass "${themeClass}" must be a list of class names`);
+  }
+
+  return {
+    scheme: check('colorScheme', colorScheme, COLOR_SCHEMES),
+    contrast: contrast === undefined ? null : check('contrast', contrast, CONTRAST_VALUES),
+    forcedColors: forcedColors === undefined ? null : check('forcedColors', forcedColors, FORCED_COLORS_VALUES),
+    themeToggle: themeToggle ? String(themeToggle).trim() : null,
+    themeClass: classes
+  };
+};
+
+/**
+ * Overrides CSS media features of a page
+ * Puppeteer's emulateMediaFeatures only knows a few features, so the DevTools protocol is used directly.
+ * @param {puppeteer.Page} page - Puppeteer page
+ * @param {Object} features - Media feature values by name, e.g. { 'prefers-color-scheme': 'dark' }
+ * @returns {Promise<void>}
+ */
+const emulateMediaFeatures = async (page, features) => {
+  let session = emulationSessions.get(page);
+  if (!session) {
+    // Overrides only last as long as the session that set them
+    session = await page.target().createCDPSession();
+    emulationSessions.set(page, session);
+  }
+
+  await session.send('Emulation.setEmulatedMedia', {
+    features: Object.entries(features)
+      .filter(([, value]) => value)
+      .map(([name, value]) => ({ name, value }))
+  });
+};
+
+/**
+ * Switches a loaded page to the emulated scheme
+ * @param {puppeteer.Page} page - Loaded Puppeteer page
+ * @param {Object} settings - Settings from resolveColorScheme
+ * @returns {Promise<Object>} Whether the theme toggle was found and clicked
+ */
+const applyColorScheme = async (page, settings) => {
+  // Transitions would otherwise be caught halfway between the two themes
+  await disableTransitions(page);
+
+  await emulateMediaFeatures(page, {
+    'prefers-color-scheme': settings.scheme,
+    'prefers-contrast': settings.contrast,
+    'forced-colors': settings.forcedColors
+  });
+
+  const toggle = await page.evaluate(({ themeToggle, themeClass }) => {
+    if (themeClass.length > 0) {
+      document.documentElement.classList.add(...themeClass);
+    }
+    if (!themeToggle) return { clicked: null };
+
+    let element;
+    try {
+      element = document.querySelector(themeToggle);
+    } catch (error) {
+      return { clicked: false, reason: 'Invalid selector' };
+    }
+    if (!element) return { clicked: false, reason: 'No element matches the selector' };
+
+    element.click();
+    return { clicked: true };
+  }, settings);
+
+  await page.waitForTimeout(SCHEME_SETTLE_DELAY);
+  return toggle;
+};
+
+module.exports = {
+  resolveColorScheme,
+  emulateMediaFeatures,
+  applyColorScheme
+};
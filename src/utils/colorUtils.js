@@ -48,6 +48,43 @@ const parseRgb = (rgb) => {
   };
 };
 
+/**
+ * Extracts RGBA values from a CSS rgb/rgba string
+ * @param {string} rgba - RGB or RGBA string
+ * @returns {Object} Object with r, g, b and a (0-1) values
+ */
+const parseRgba = (rgba) => {
+  if (!/^rgba?\(/i.test((rgba || '').trim())) return null;
+
+  const values = (rgba || '').match(/[\d.]+%?/g);
+  if (!values || values.length < 3) return null;
+
+  let a = 1;
+  if (values.length >= 4) {
+    a = values[3].endsWith('%') ? parseFloat(values[3]) / 100 : parseFloat(values[3]);
+  }
+
+  return {
+    r: Math.round(parseFloat(values[0])),
+    g: Math.round(parseFloat(values[1])),
+    b: Math.round(parseFloat(values[2])),
+    a: isNaN(a) ? 1 : Math.min(1, Math.max(0, a))
+  };
+};
+
+/**
+ * Composites a semi-transparent color over an opaque background
+ * @param {Object} top - Object with r, g, b and optional a values
+ * @param {Object} bottom - Opaque object with r, g, b values
+ * @returns {Object} Opaque object with r, g, b values
+ */
+const compositeColors = (top, bottom) => {
+  const alpha = top.a === undefined ? 1 : top.a;
+  const blend = (channel) => Math.round(top[channel] * alpha + bottom[channel] * (1 - alpha));
+
+  return { r: blend('r'), g: blend('g'), b: blend('b') };
+};
+
 /**
  * Converts RGB object to hex color
  * @param {Object} rgb - Object with r, g, b values
@@ -64,6 +101,251 @@ const rgbToHex = (rgb) => {
   return '#' + componentToHex(rgb.r) + componentToHex(rgb.g) + componentToHex(rgb.b);
 };
 
+/**
+ * Converts a resolved rgb/rgba color to hex, keeping alpha when it isn't opaque
+ * @param {string} color - Color in rgb or rgba format
+ * @returns {string|null} Hex color (#rrggbb or #rrggbbaa) or null if it can't be parsed
+ */
+const toHexWithAlpha = (color) => {
+  if (/^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(color)) return color.toLowerCase();
+
+  const rgba = parseRgba(color);
+  if (!rgba) return null;
+
+  const hex = rgbToHex(rgba);
+  if (rgba.a >= 1) return hex;
+  return hex + Math.round(rgba.a * 255).toString(16).padStart(2, '0');
+};
+
+/**
+ * Converts RGB object to HSL
+ * @param {Object} rgb - Object with r, g, b values
+ * @returns {Object} Object with h (0-360), s and l (0-1) values
+ */
+const rgbToHsl = (rgb) => {
+  const r = rgb.r / 255;
+  const g = rgb.g / 255;
+  const b = rgb.b / 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+
+  if (max === min) {
+    return { h: 0, s: 0, l };
+  }
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) {
+    h = (g - b) / d + (g < b ? 6 : 0);
+  } else if (max === g) {
+    h = (b - r) / d + 2;
+  } else {
+    h = (r - g) / d + 4;
+  }
+
+  return { h: h * 60, s, l };
+};
+
+/**
+ * Converts an sRGB channel (0-255) to linear light
+ * @param {number} channel - sRGB channel value
+ * @returns {number} Linear channel value between 0 and 1
+ */
+const srgbToLinear = (channel) => {
+  const c = channel / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+};
+
+/**
+ * Converts RGB object to CIELAB (D65 white point)
+ * @param {Object} rgb - Object with r, g, b values
+ * @returns {Object} Object with l, a, b values
+ */
+const rgbToLab = (rgb) => {
+  const r = srgbToLinear(rgb.r);
+  const g = srgbToLinear(rgb.g);
+  const b = srgbToLinear(rgb.b);
+
+  // Linear sRGB to XYZ, normalized by the D65 reference white
+  const x = (r * 0.4124564 + g * 0.3575761 + b * 0.1804375) / 0.95047;
+  const y = (r * 0.2126729 + g * 0.7151522 + b * 0.0721750) / 1.00000;
+  const z = (r * 0.0193339 + g * 0.1191920 + b * 0.9503041) / 1.08883;
+
+  const f = (t) => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+
+  return {
+    l: 116 * fy - 16,
+    a: 500 * (fx - fy),
+    b: 200 * (fy - fz)
+  };
+};
+
+/**
+ * Converts RGB object to OKLab
+ * @param {Object} rgb - Object with r, g, b values
+ * @returns {Object} Object with l (0-1), a, b values
+ */
+const rgbToOklab = (rgb) => {
+  const r = srgbToLinear(rgb.r);
+  const g = srgbToLinear(rgb.g);
+  const b = srgbToLinear(rgb.b);
+
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+  return {
+    l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  };
+};
+
+/**
+ * Converts OKLab to its polar form OKLCh
+ * @param {Object} oklab - Object with l, a, b values
+ * @returns {Object} Object with l, c (chroma) and h (hue in degrees) values
+ */
+const oklabToOklch = (oklab) => {
+  const hue = Math.atan2(oklab.b, oklab.a) * 180 / Math.PI;
+  return {
+    l: oklab.l,
+    c: Math.sqrt(oklab.a * oklab.a + oklab.b * oklab.b),
+    h: (hue + 360) % 360
+  };
+};
+
+/**
+ * Calculates the WCAG relative luminance of a color
+ * @param {Object} rgb - Object with r, g, b values
+ * @returns {number} Relative luminance between 0 and 1
+ */
+const relativeLuminance = (rgb) => {
+  return 0.2126 * srgbToLinear(rgb.r) + 0.7152 * srgbToLinear(rgb.g) + 0.0722 * srgbToLinear(rgb.b);
+};
+
+/**
+ * Calculates the WCAG 2.x contrast ratio between two opaque colors
+ * @param {Object} rgb1 - Object with r, g, b values
+ * @param {Object} rgb2 - Object with r, g, b values
+ * @returns {number} Contrast ratio between 1 and 21
+ */
+const contrastRatio = (rgb1, rgb2) => {
+  const l1 = relativeLuminance(rgb1);
+  const l2 = relativeLuminance(rgb2);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+};
+
+/**
+ * Calculates the CIEDE2000 color difference between two CIELAB colors
+ * @param {Object} lab1 - First color with l, a, b values
+ * @param {Object} lab2 - Second color with l, a, b values
+ * @returns {number} Delta E 2000 (below ~2 is hardly perceptible)
+ */
+const deltaE2000 = (lab1, lab2) => {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const toDeg = (rad) => rad * 180 / Math.PI;
+  const pow7 = (value) => Math.pow(value, 7);
+
+  const c1 = Math.hypot(lab1.a, lab1.b);
+  const c2 = Math.hypot(lab2.a, lab2.b);
+  const cBar = (c1 + c2) / 2;
+  const g = 0.5 * (1 - Math.sqrt(pow7(cBar) / (pow7(cBar) + pow7(25))));
+
+  const a1p = (1 + g) * lab1.a;
+  const a2p = (1 + g) * lab2.a;
+  const c1p = Math.hypot(a1p, lab1.b);
+  const c2p = Math.hypot(a2p, lab2.b);
+  const h1p = (a1p === 0 && lab1.b === 0) ? 0 : (toDeg(Math.atan2(lab1.b, a1p)) + 360) % 360;
+  const h2p = (a2p === 0 && lab2.b === 0) ? 0 : (toDeg(Math.atan2(lab2.b, a2p)) + 360) % 360;
+
+  const deltaLp = lab2.l - lab1.l;
+  const deltaCp = c2p - c1p;
+  let deltahp = 0;
+  if (c1p * c2p !== 0) {
+    deltahp = h2p - h1p;
+    if (deltahp > 180) deltahp -= 360;
+    else if (deltahp < -180) deltahp += 360;
+  }
+  const deltaHp = 2 * Math.sqrt(c1p * c2p) * Math.sin(toRad(deltahp / 2));
+
+  const lBarp = (lab1.l + lab2.l) / 2;
+  const cBarp = (c1p + c2p) / 2;
+  let hBarp;
+  if (c1p * c2p === 0) {
+    hBarp = h1p + h2p;
+  } else if (Math.abs(h1p - h2p) <= 180) {
+    hBarp = (h1p + h2p) / 2;
+  } else if (h1p + h2p < 360) {
+    hBarp = (h1p + h2p + 360) / 2;
+  } else {
+    hBarp = (h1p + h2p - 360) / 2;
+  }
+
+  const t = 1 -
+    0.17 * Math.cos(toRad(hBarp - 30)) +
+    0.24 * Math.cos(toRad(2 * hBarp)) +
+    0.32 * Math.cos(toRad(3 * hBarp + 6)) -
+    0.20 * Math.cos(toRad(4 * hBarp - 63));
+  const deltaTheta = 30 * Math.exp(-Math.pow((hBarp - 275) / 25, 2));
+  const rc = 2 * Math.sqrt(pow7(cBarp) / (pow7(cBarp) + pow7(25)));
+  const sl = 1 + (0.015 * Math.pow(lBarp - 50, 2)) / Math.sqrt(20 + Math.pow(lBarp - 50, 2));
+  const sc = 1 + 0.045 * cBarp;
+  const sh = 1 + 0.015 * cBarp * t;
+  const rt = -Math.sin(toRad(2 * deltaTheta)) * rc;
+
+  return Math.sqrt(
+    Math.pow(deltaLp / sl, 2) +
+    Math.pow(deltaCp / sc, 2) +
+    Math.pow(deltaHp / sh, 2) +
+    rt * (deltaCp / sc) * (deltaHp / sh)
+  );
+};
+
+/**
+ * Merges perceptually similar colors into clusters
+ * @param {Array} colors - Array of color objects with rgb values
+ * @param {number} threshold - Maximum Delta E 2000 between a color and its cluster representative
+ * @param {Function} [weight] - Returns how important a color is, heavier colors become representatives
+ * @returns {Array} Clusters with representative color, its lab value and member colors
+ */
+const clusterColors = (colors, threshold, weight = (color) => color.count || 0) => {
+  const clusters = [];
+
+  colors
+    .map(color => {
+      const rgb = parseRgb(color.rgb);
+      return rgb ? { color, lab: rgbToLab(rgb) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => weight(b.color) - weight(a.color))
+    .forEach(({ color, lab }) => {
+      // Join the closest cluster within the threshold
+      let closest = null;
+      let closestDistance = Infinity;
+      clusters.forEach(cluster => {
+        const distance = deltaE2000(cluster.lab, lab);
+        if (distance <= threshold && distance < closestDistance) {
+          closest = cluster;
+          closestDistance = distance;
+        }
+      });
+
+      if (closest) {
+        closest.members.push({ color, deltaE: Math.round(closestDistance * 100) / 100 });
+      } else {
+        clusters.push({ representative: color, lab, members: [{ color, deltaE: 0 }] });
+      }
+    });
+
+  return clusters;
+};
+
 /**
  * Finds the closest named color using nearest-color package
  * @param {string} colorValue - Color value in hex or rgb
@@ -118,7 +400,18 @@ const sortColorsByBrightness = (colors) => {
 module.exports = {
   hexToRgb,
   parseRgb,
+  parseRgba,
+  compositeColors,
   rgbToHex,
+  toHexWithAlpha,
+  rgbToHsl,
+  rgbToLab,
+  rgbToOklab,
+  oklabToOklch,
+  relativeLuminance,
+  contrastRatio,
+  deltaE2000,
+  clusterColors,
   findClosestColorName,
   sortColorsByBrightness
 }; 
\ No newline at end of file
@@ -0,0 +1,166 @@
+/**
+ * Utility functions for discovering and filtering pages of a site
+ */
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { requestWithProxy } = require('./proxyPool');
+const { requestWithTargetPolicy } = require('./urlPolicy');
+
+// Nested sitemap indexes deeper than this are ignored
+const MAX_SITEMAP_DEPTH = 2;
+
+// Limits of sitemap discovery: size of each sitemap and number of sitemaps read, indexes included
+const SITEMAP_MAX_BYTES = parseInt(process.env.SITEMAP_MAX_BYTES || 5242880);
+const SITEMAP_MAX_FILES = parseInt(process.env.SITEMAP_MAX_FILES || 10);
+
+// File extensions that are never HTML pages
+const NON_PAGE_EXTENSIONS = /\.(pdf|zip|gz|rar|7z|jpe?g|png|gif|webp|avif|svg|ico|mp4|webm|mp3|wav|ogg|woff2?|ttf|otf|eot|css|js|json|xml|txt|csv|docx?|xlsx?|pptx?)$/i;
+
+/**
+ * Normalizes a page URL so the same page is only crawled once
+ * @param {string} url - Absolute URL
+ * @returns {string|null} URL without fragment, or null for non-http(s) URLs
+ */
+const normalizePageUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    parsed.hash = '';
+    return parsed.toString();
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Checks whether a URL can point to an HTML page of the given origin
+ * @param {string} url - Normalized URL
+ * @param {string} origin - Origin of the crawl, e.g. https://example.com
+ * @returns {boolean} True for same-origin URLs that don't look like files
+ */
+const isCrawlable = (url, origin) => {
+  const parsed = new URL(url);
+  return parsed.origin === origin && !NON_PAGE_EXTENSIONS.test(parsed.pathname);
+};
+
+/**
+ * Compiles comma separated path patterns where * matches any characters
+ * @param {string|Array} [patterns] - Patterns such as /blog/*,/docs/*
+ * @returns {Array} Regular expressions matched against path and query
+ */
+const compilePathPatterns = (patterns) => {
+  const entries = Array.isArray(patterns) ? patterns : String(patterns || '').split(',');
+
+  return entries
+    .map(entry => String(entry).trim())
+    .filter(Boolean)
+    .map(pattern => {
+      const source = pattern
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+      return new RegExp(`^${source}$`, 'i');
+    });
+};
+
+/**
+ * Applies include and exclude path patterns to a URL
+ * @param {string} url - Normalized URL
+ * @param {Object} filters - Compiled patterns
+ * @param {Array} filters.include - The path must match at least one of these, if any are given
+ * @param {Array} filters.exclude - The path must not match any of these
+ * @returns {boolean} True if the URL should be crawled
+ */
+const matchesPathFilters = (url, { include, exclude }) => {
+  const parsed = new URL(url);
+  const path = parsed.pathname + parsed.search;
+
+  if (include.length > 0 && !include.some(pattern => pattern.test(path))) return false;
+  return !exclude.some(pattern => pattern.test(path));
+};
+
+/**
+ * Collects the links of a loaded page
+ * @param {Page} page - Puppeteer page object
+ * @returns {Promise<Array>} Unique absolute link URLs
+ */
+const extractLinks = async (page) => {
+  const links = await page.evaluate(() => {
+    return Array.from(document.querySelectorAll('a[href], area[href]'))
+      .filter(el => !el.hasAttribute('download'))
+      .map(el => el.href);
+  });
+
+  return [...new Set(links.map(normalizePageUrl).filter(Boolean))];
+};
+
+/**
+ * Reads one sitemap and the sitemaps it points to
+ * @param {string} sitemapUrl - URL of a sitemap or a sitemap index
+ * @param {number} limit - Stop once this many page URLs were found
+ * @param {Object} options - Fetch options, see fetchSitemapUrls
+ * @param {number} depth - Current sitemap index depth
+ * @param {Object} budget - Shared count of sitemaps left to read
+ * @returns {Promise<Array>} Page URLs in sitemap order
+ */
+const readSitemap = async (sitemapUrl, limit, { proxy, signal }, depth, budget) => {
+  const timeout = parseInt(process.env.SITEMAP_TIMEOUT || 10000);
+  budget.remaining--;
+  // Redirects are followed one at a time so each target is checked against the target URL policy
+  const { response } = await requestWithTargetPolicy(sitemapUrl, async (requestUrl) => {
+    const result = await requestWithProxy(proxy, proxyConfig => axios.get(requestUrl, {
+      ...proxyConfig,
+      timeout,
+      signal,
+      maxContentLength: SITEMAP_MAX_BYTES,
+      responseType: 'text',
+      maxRedirects: 0,
+      validateStatus: status => status >= 200 && status < 400
+    }));
+    return result.response;
+  });
+  const $ = cheerio.load(response.data, { xmlMode: true });
+
+  const urls = [];
+  $('url > loc').each((i, el) => {
+    if (urls.length < limit) urls.push($(el).text().trim());
+  });
+
+  // A sitemap index points to further sitemaps
+  const nestedSitemaps = $('sitemap > loc').map((i, el) => $(el).text().trim()).get();
+  if (depth < MAX_SITEMAP_DEPTH) {
+    for (const nested of nestedSitemaps) {
+      if (urls.length >= limit || budget.remaining <= 0 || (signal && signal.aborted)) break;
+      try {
+        urls.push(...await readSitemap(nested, limit - urls.length, { proxy, signal }, depth + 1, budget));
+      } catch (error) {
+        console.log(`Skipping sitemap ${nested}: ${error.message}`);
+      }
+    }
+  }
+
+  return urls;
+};
+
+/**
+ * Reads page URLs from a sitemap, following sitemap indexes
+ * At most SITEMAP_MAX_FILES sitemaps are read, each up to SITEMAP_MAX_BYTES.
+ * @param {string} sitemapUrl - URL of sitemap.xml or a sitemap index
+ * @param {number} limit - Stop once this many page URLs were found
+ * @param {Object} [options] - Fetch options
+ * @param {Object|null} [options.proxy] - Proxy from resolveProxyOption, pooled proxies by default
+ * @param {AbortSignal} [options.signal] - Aborting it stops pending and further sitemap requests
+ * @returns {Promise<Array>} Page URLs in sitemap order
+ */
+const fetchSitemapUrls = (sitemapUrl, limit, { proxy, signal } = {}) => {
+  return readSitemap(sitemapUrl, limit, { proxy, signal }, 0, { remaining: SITEMAP_MAX_FILES });
+};
+
+module.exports = {
+  normalizePageUrl,
+  isCrawlable,
+  compilePathPatterns,
+  matchesPathFilters,
+  extractLinks,
+  fetchSitemapUrls
+};
@@ -0,0 +1,315 @@
+/**
+ * Utility functions for reading declared CSS values without a browser
+ */
+const colorNames = require('color-name');
+const { rgbToHex } = require('./colorUtils');
+const { angleToDegrees } = require('./gradientUtils');
+
+// Pseudo-elements written with a single colon for backwards compatibility
+const LEGACY_PSEUDO_ELEMENTS = ['before', 'after', 'first-line', 'first-letter'];
+
+// Pseudo-classes that take the specificity of their most specific argument
+const MAX_ARGUMENT_PSEUDO_CLASSES = ['is', 'matches', 'not', 'has', '-webkit-any', '-moz-any'];
+
+// Generic font families, never a web font
+const GENERIC_FAMILIES = [
+  'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui',
+  'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded', 'emoji', 'math', 'fangsong'
+];
+
+// Absolute font-size keywords and what browsers render them at by default
+const FONT_SIZE_KEYWORDS = {
+  'xx-small': 9,
+  'x-small': 10,
+  small: 13,
+  medium: 16,
+  large: 18,
+  'x-large': 24,
+  'xx-large': 32,
+  'xxx-large': 48
+};
+
+// Units converted to px, rem assumes the default root font size
+const PX_PER_UNIT = {
+  px: 1,
+  pt: 4 / 3,
+  pc: 16,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+  q: 96 / 101.6,
+  rem: 16
+};
+
+/**
+ * Finds the closing parenthesis matching the one at a position
+ * @param {string} value - Text to search
+ * @param {number} open - Index of the opening parenthesis
+ * @returns {number} Index of the closing parenthesis, or the text length if it isn't closed
+ */
+const findClosingParen = (value, open) => {
+  let depth = 0;
+  for (let i = open; i < value.length; i++) {
+    if (value[i] === '(') depth++;
+    if (value[i] === ')' && --depth === 0) return i;
+  }
+  return value.length;
+};
+
+/**
+ * Splits a selector list on its top-level commas
+ * @param {string} value - Selector list
+ * @returns {Array} Trimmed selectors
+ */
+const splitSelectorList = (value) => {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '(' || value[i] === '[') depth++;
+    if (value[i] === ')' || value[i] === ']') depth--;
+    if (value[i] === ',' && depth === 0) {
+      parts.push(value.substring(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(value.substring(start));
+  return parts.map(part => part.trim()).filter(Boolean);
+};
+
+/**
+ * Adds two specificities
+ * @param {Array} a - Specificity
+ * @param {Array} b - Specificity
+ * @returns {Array} Component-wise sum
+ */
+const addSpecificity = (a, b) => a.map((value, index) => value + b[index]);
+
+/**
+ * Compares two specificities
+ * @param {Array} a - Specificity
+ * @param {Array} b - Specificity
+ * @returns {number} Negative if a is less specific than b, positive if more, 0 if equal
+ */
+const compareSpecificity = (a, b) => {
+  const index = a.findIndex((value, i) => value !== b[i]);
+  return index === -1 ? 0 : a[index] - b[index];
+};
+
+/**
+ * Calculates the specificity of a single selector (Selectors Level 4)
+ * The first component is reserved for style attributes, so selectors always start with 0.
+ * @param {string} selector - Complex selector, e.g. nav ul > li.active a:hover
+ * @returns {Array} Specificity as [inline, ids, classes, types]
+ */
+const calculateSpecificity = (selector) => {
+  // Escaped characters and attribute values can't start a new simple selector
+  const value = selector.replace(/\\./g, 'x').replace(/"[^"]*"|'[^']*'/g, '""');
+  const isIdentChar = (char) => /[\w-]/.test(char) || char.charCodeAt(0) > 127;
+  const skipIdent = (index) => {
+    while (index < value.length && isIdentChar(value[index])) index++;
+    return index;
+  };
+  const maxOf = (list) => splitSelectorList(list)
+    .map(calculateSpecificity)
+    .reduce((max, specificity) => (compareSpecificity(specificity, max) > 0 ? specificity : max), [0, 0, 0, 0]);
+
+  let specificity = [0, 0, 0, 0];
+  let i = 0;
+  while (i < value.length) {
+    const char = value[i];
+
+    if (char === '#') {
+      specificity = addSpecificity(specificity, [0, 1, 0, 0]);
+      i = skipIdent(i + 1);
+    } else if (char === '.') {
+      specificity = addSpecificity(specificity, [0, 0, 1, 0]);
+      i = skipIdent(i + 1);
+    } else if (char === '[') {
+      specificity = addSpecificity(specificity, [0, 0, 1, 0]);
+      const close = value.indexOf(']', i);
+      i = close === -1 ? value.length : close + 1;
+    } else if (char === ':') {
+      const isElement = value[i + 1] === ':';
+      const nameStart = isElement ? i + 2 : i + 1;
+      const nameEnd = skipIdent(nameStart);
+      const name = value.substring(nameStart, nameEnd).toLowerCase();
+
+      let args = null;
+      i = nameEnd;
+      if (value[nameEnd] === '(') {
+        const close = findClosingParen(value, nameEnd);
+        args = value.substring(nameEnd + 1, close);
+        i = close + 1;
+      }
+
+      if (isElement || LEGACY_PSEUDO_ELEMENTS.includes(name)) {
+        specificity = addSpecificity(specificity, [0, 0, 0, 1]);
+      } else if (MAX_ARGUMENT_PSEUDO_CLASSES.includes(name) && args !== null) {
+        specificity = addSpecificity(specificity, maxOf(args));
+      } else if (name === 'where') {
+        // :where() never adds specificity
+      } else if (/^nth-(last-)?child$/.test(name) && args && /\sof\s/i.test(args)) {
+        specificity = addSpecificity(specificity, addSpecificity([0, 0, 1, 0], maxOf(args.split(/\sof\s/i)[1])));
+      } else {
+        specificity = addSpecificity(specificity, [0, 0, 1, 0]);
+      }
+    } else if (isIdentChar(char)) {
+      // Anything left that reads as a name is a type selector
+      specificity = addSpecificity(specificity, [0, 0, 0, 1]);
+      i = skipIdent(i);
+    } else {
+      // Universal selector, combinators and whitespace
+      i++;
+    }
+  }
+
+  return specificity;
+};
+
+/**
+ * Converts HSL to an RGB object
+ * @param {number} h - Hue in degrees
+ * @param {number} s - Saturation between 0 and 1
+ * @param {number} l - Lightness between 0 and 1
+ * @returns {Object} Object with r, g, b values
+ */
+const hslToRgb = (h, s, l) => {
+  const hue = ((h % 360) + 360) % 360;
+  const chroma = (1 - Math.abs(2 * l - 1)) * s;
+  const x = chroma * (1 - Math.abs(((hue / 60) % 2) - 1));
+  const m = l - chroma / 2;
+  const [r, g, b] = hue < 60 ? [chroma, x, 0]
+    : hue < 120 ? [x, chroma, 0]
+      : hue < 180 ? [0, chroma, x]
+        : hue < 240 ? [0, x, chroma]
+          : hue < 300 ? [x, 0, chroma]
+            : [chroma, 0, x];
+  return { r: Math.round((r + m) * 255), g: Math.round((g + m) * 255), b: Math.round((b + m) * 255) };
+};
+
+/**
+ * Converts a declared CSS color to hex
+ * @param {string} value - Hex, rgb(), rgba(), hsl(), hsla() or named color
+ * @returns {string|null} Hex color (#rrggbb or #rrggbbaa), or null for other syntaxes and keywords like transparent
+ */
+const parseCssColor = (value) => {
+  const color = String(value || '').trim().toLowerCase();
+  const withAlpha = (rgb, alpha) => {
+    const hex = rgbToHex(rgb);
+    return alpha >= 1 ? hex : hex + Math.round(Math.max(0, alpha) * 255).toString(16).padStart(2, '0');
+  };
+  const parseAlpha = (token) => (token === undefined ? 1 : token.endsWith('%') ? parseFloat(token) / 100 : parseFloat(token));
+
+  const hexMatch = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(color);
+  if (hexMatch) {
+    let hex = hexMatch[1];
+    if (hex.length <= 4) hex = hex.split('').map(digit => digit + digit).join('');
+    return hex.length === 8 && hex.endsWith('ff') ? `#${hex.substring(0, 6)}` : `#${hex}`;
+  }
+
+  const functionMatch = /^(rgba?|hsla?)\(([^)]*)\)$/.exec(color);
+  if (functionMatch) {
+    // Both the legacy comma syntax and the space syntax with a slash before alpha
+    const tokens = functionMatch[2].split(/[\s,/]+/).filter(Boolean);
+    if (tokens.length < 3 || tokens.some(token => !/^[+-]?[\d.]+(%|deg|rad|grad|turn)?$/.test(token))) return null;
+    const alpha = parseAlpha(tokens[3]);
+
+    if (functionMatch[1].startsWith('rgb')) {
+      const channel = (token) => Math.min(255, Math.max(0, Math.round(token.endsWith('%') ? parseFloat(token) * 2.55 : parseFloat(token))));
+      return withAlpha({ r: channel(tokens[0]), g: channel(tokens[1]), b: channel(tokens[2]) }, alpha);
+    }
+
+    const hue = /[a-z]$/.test(tokens[0]) ? angleToDegrees(tokens[0]) : parseFloat(tokens[0]);
+    if (hue === null) return null;
+    const fraction = (token) => Math.min(1, Math.max(0, parseFloat(token) / 100));
+    return withAlpha(hslToRgb(hue, fraction(tokens[1]), fraction(tokens[2])), alpha);
+  }
+
+  const named = colorNames[color];
+  return named ? rgbToHex({ r: named[0], g: named[1], b: named[2] }) : null;
+};
+
+/**
+ * Finds the colors in a declared value, leaving out gradients, URLs and variables
+ * @param {string} value - Declared value, e.g. "1px solid #ddd" or "0 1px 2px rgba(0,0,0,.2)"
+ * @returns {Array} Colors with the declared text and its hex value (null if it can't be converted)
+ */
+const findColors = (value) => {
+  // Gradients are reported on their own, URLs and variables hold no literal colors
+  const functionPattern = /(?:repeating-)?(?:linear|radial|conic)-gradient\(|url\(|var\(/i;
+  let stripped = String(value || '');
+  let found;
+  while ((found = functionPattern.exec(stripped)) !== null) {
+    const close = findClosingParen(stripped, found.index + found[0].length - 1);
+    stripped = `${stripped.substring(0, found.index)} ${stripped.substring(close + 1)}`;
+  }
+
+  const colors = [];
+  const pattern = /#[0-9a-f]{3,8}\b|\b(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\([^)]*\)|\b[a-z]+\b/gi;
+  let match;
+  while ((match = pattern.exec(stripped)) !== null) {
+    const text = match[0];
+    // Words only count when they are color names
+    if (/^[a-z]+$/i.test(text) && !colorNames[text.toLowerCase()]) continue;
+    colors.push({ value: text, hex: parseCssColor(text) });
+  }
+  return colors;
+};
+
+/**
+ * Splits a font-family list into family names
+ * @param {string} value - Declared font-family, e.g. "Inter", -apple-system, sans-serif
+ * @returns {Array} Family names without quotes
+ */
+const parseFontFamilies = (value) => {
+  return splitSelectorList(String(value || ''))
+    .map(family => family.replace(/^["']|["']$/g, '').trim())
+    .filter(family => family && !/^(inherit|initial|unset|revert|revert-layer)$/i.test(family));
+};
+
+/**
+ * Checks whether a family is a generic family keyword
+ * @param {string} family - Family name
+ * @returns {boolean} True for keywords such as sans-serif or system-ui
+ */
+const isGenericFamily = (family) => GENERIC_FAMILIES.includes(family.toLowerCase());
+
+/**
+ * Reads the size and families out of a font shorthand
+ * @param {string} value - Declared font, e.g. italic 700 1rem/1.5 "Inter", sans-serif
+ * @returns {Object|null} Size and family list, or null for system fonts and other values without them
+ */
+const parseFontShorthand = (value) => {
+  const sizePattern = '[\\d.]+(?:px|em|rem|pt|pc|%|vw|vh|vmin|vmax|ex|ch|cm|mm|in|q)|xx-small|x-small|small|medium|large|x-large|xx-large|xxx-large|larger|smaller|(?:calc|clamp|min|max)\\([^)]*\\)';
+  const match = new RegExp(`(?:^|\\s)(${sizePattern})(?:\\s*\\/\\s*\\S+)?\\s+(\\S.*)$`, 'i').exec(String(value || '').trim());
+  if (!match) return null;
+
+  const families = parseFontFamilies(match[2]);
+  return families.length > 0 ? { size: match[1], families } : null;
+};
+
+/**
+ * Converts a declared font size to px where that doesn't depend on the element
+ * @param {string} value - Declared font-size
+ * @returns {number|null} Size in px, or null for relative values such as em, % or calc()
+ */
+const fontSizeToPx = (value) => {
+  const size = String(value || '').trim().toLowerCase();
+  if (FONT_SIZE_KEYWORDS[size] !== undefined) return FONT_SIZE_KEYWORDS[size];
+
+  const match = /^([\d.]+)([a-z]+)$/.exec(size);
+  if (!match || !PX_PER_UNIT[match[2]]) return null;
+  return Math.round(parseFloat(match[1]) * PX_PER_UNIT[match[2]] * 100) / 100;
+};
+
+module.exports = {
+  calculateSpecificity,
+  compareSpecificity,
+  parseCssColor,
+  findColors,
+  parseFontFamilies,
+  isGenericFamily,
+  parseFontShorthand,
+  fontSizeToPx
+};
@@ -0,0 +1,162 @@
+/**
+ * Utility functions for mapping scraping errors to API error responses
+ */
+
+/**
+ * Maps an error thrown while scraping to an HTTP status and error body
+ * @param {Error} error - Error thrown by Puppeteer or our services
+ * @returns {Object} Object with httpStatus, code, message and details
+ */
+const getScrapeError = (error) => {
+  const message = (error && error.message) || '';
+  const code = error && error.code;
+  // Status of a blocked navigation, or of a failed axios request
+  const status = error && (error.statusCode || (error.response && error.response.status));
+
+  // Check for specific network and HTTP errors
+  if (code === 'TARGET_NOT_ALLOWED') {
+    return {
+      httpStatus: 403,
+      code: "TARGET_NOT_ALLOWED",
+      message: "The target URL is not allowed.",
+      details: message
+    };
+  } else if (code === 'INVALID_PROXY') {
+    return {
+      httpStatus: 400,
+      code: "INVALID_PROXY",
+      message: "The provided proxy is invalid.",
+      details: message
+    };
+  } else if (code === 'PROXY_ERROR' || status === 407 ||
+      /net::ERR_(PROXY|TUNNEL_CONNECTION_FAILED|SOCKS_CONNECTION_FAILED|NO_SUPPORTED_PROXIES)/.test(message)) {
+    return {
+      httpStatus: 502,
+      code: "PROXY_ERROR",
+      message: "Proxy error",
+      details: "The outbound proxy could not be reached, refused the credentials or could not connect to the website."
+    };
+  } else if (status === 429) {
+    return {
+      httpStatus: 429,
+      code: "RATE_LIMITED",
+      message: "Rate limited",
+      details: "The target website is rate limiting requests. Please try again later."
+    };
+  } else if (message.includes('net::ERR_NETWORK_CHANGED')) {
+    return {
+      httpStatus: 503,
+      code: "NETWORK_CHANGED",
+      message: "Network connection issue",
+      details: "Network connection changed during request. Please try again."
+    };
+  } else if (message.includes('Navigation timeout')) {
+    return {
+      httpStatus: 504,
+      code: "GATEWAY_TIMEOUT",
+      message: "Gateway timeout",
+      details: "The page took too long to load. The website might be too complex or unavailable."
+    };
+  } else if (message.includes('ERR_NAME_NOT_RESOLVED') || code === 'ENOTFOUND' || code === 'EAI_AGAIN') {
+    return {
+      httpStatus: 400,
+      code: "DOMAIN_NOT_FOUND",
+      message: "Domain not found",
+      details: "The URL provided could not be resolved. Please check it and try again."
+    };
+  } else if (message.includes('ERR_CONNECTION_REFUSED') || code === 'ECONNREFUSED') {
+    return {
+      httpStatus: 503,
+      code: "CONNECTION_REFUSED",
+      message: "Connection refused",
+      details: "The server refused the connection. The site might be down or blocking requests."
+    };
+  } else if (message.includes('ERR_CONNECTION_TIMED_OUT') || code === 'ETIMEDOUT' || code === 'ECONNABORTED') {
+    return {
+      httpStatus: 504,
+      code: "CONNECTION_TIMEOUT",
+      message: "Connection timeout",
+      details: "The connection to the server timed out. Please try again later."
+    };
+  } else if (message.includes('404')) {
+    return {
+      httpStatus: 404,
+      code: "PAGE_NOT_FOUND",
+      message: "Page not found",
+      details: "The requested page does not exist on the target website."
+    };
+  } else if (message.includes('403')) {
+    return {
+      httpStatus: 403,
+      code: "ACCESS_FORBIDDEN",
+      message: "Access forbidden",
+      details: "The target website has forbidden access to this page."
+    };
+  } else if (message.includes('net::ERR_ABORTED')) {
+    return {
+      httpStatus: 500,
+      code: "REQUEST_ABORTED",
+      message: "Request aborted",
+      details: "The request was aborted. The website might be blocking scraping attempts."
+    };
+  } else if (message.includes('net::ERR_CERT')) {
+    return {
+      httpStatus: 526,
+      code: "SSL_ERROR",
+      message: "SSL certificate error",
+      details: "The website has an invalid SSL certificate."
+    };
+  } else if (code === 'POOL_EXHAUSTED' || code === 'POOL_SHUTTING_DOWN') {
+    return {
+      httpStatus: 503,
+      code: "BROWSER_POOL_BUSY",
+      message: "No browser available",
+      details: "All browsers are busy or the service is shutting down. Please try again shortly."
+    };
+  } else if (code === 'SCRAPE_CANCELLED') {
+    return {
+      httpStatus: 499,
+      code: "SCRAPE_CANCELLED",
+      message: "Scrape cancelled",
+      details: "The scrape was cancelled before it finished."
+    };
+  } else if (message.includes('Protocol error')) {
+    return {
+      httpStatus: 500,
+      code: "PROTOCOL_ERROR",
+      message: "Protocol error",
+      details: "A protocol error occurred while communicating with the website."
+    };
+  }
+
+  // Generic error for all other cases
+  return {
+    httpStatus: 500,
+    code: "INTERNAL_ERROR",
+    message: "Internal server error",
+    details: "An unexpected error occurred while processing your request."
+  };
+};
+
+/**
+ * Sends a scraping error as a standard JSON error response
+ * @param {Response} res - Express response object
+ * @param {Error} error - Error thrown while scraping
+ * @param {string} url - URL that was being analyzed
+ * @returns {Response} Express response
+ */
+const sendScrapeError = (res, error, url) => {
+  const { httpStatus, ...body } = getScrapeError(error);
+
+  return res.status(httpStatus).json({
+    status: "error",
+    url,
+    timestamp: new Date().toISOString(),
+    ...body
+  });
+};
+
+module.exports = {
+  getScrapeError,
+  sendScrapeError
+};
@@ -0,0 +1,381 @@
+/**
+ * Utility functions for parsing and serializing CSS gradients
+ */
+
+// Gradient functions we know how to parse
+const GRADIENT_PATTERN = /(repeating-)?(linear|radial|conic)-gradient\(/gi;
+
+// Keywords that can start the prelude (the part before the first color stop)
+const PRELUDE_KEYWORDS = [
+  'to', 'at', 'from', 'in', 'circle', 'ellipse',
+  'closest-side', 'closest-corner', 'farthest-side', 'farthest-corner'
+];
+
+// Side keywords of linear gradients expressed as angles
+const SIDE_ANGLES = {
+  'to top': 0,
+  'to right': 90,
+  'to bottom': 180,
+  'to left': 270
+};
+
+const RADIAL_EXTENTS = ['closest-side', 'closest-corner', 'farthest-side', 'farthest-corner'];
+
+/**
+ * Splits a string on a separator, ignoring separators inside parentheses
+ * @param {string} value - String to split
+ * @param {RegExp} separator - Single character separator pattern
+ * @returns {Array} Trimmed, non-empty parts
+ */
+const splitTopLevel = (value, separator) => {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+
+  for (const char of value) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+
+    if (depth === 0 && separator.test(char)) {
+      if (current.trim()) parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+};
+
+/**
+ * Finds every gradient function in a CSS value
+ * @param {string} value - CSS value, e.g. a background shorthand
+ * @returns {Array} Gradient function strings
+ */
+const findGradients = (value) => {
+  const gradients = [];
+  if (!value || typeof value !== 'string') return gradients;
+
+  GRADIENT_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = GRADIENT_PATTERN.exec(value)) !== null) {
+    // Find the matching closing parenthesis
+    let depth = 0;
+    let end = -1;
+    for (let i = match.index + match[0].length - 1; i < value.length; i++) {
+      if (value[i] === '(') depth++;
+      if (value[i] === ')') depth--;
+      if (depth === 0) {
+        end = i;
+        break;
+      }
+    }
+    if (end === -1) break;
+
+    gradients.push(value.substring(match.index, end + 1));
+    GRADIENT_PATTERN.lastIndex = end + 1;
+  }
+
+  return gradients;
+};
+
+/**
+ * Converts a CSS angle to degrees
+ * @param {string} value - Angle such as 90deg, 0.25turn, 1.5rad or 100grad
+ * @returns {number|null} Angle in degrees or null if not an angle
+ */
+const angleToDegrees = (value) => {
+  const match = /^([-+]?[\d.]+)(deg|rad|grad|turn)?$/i.exec((value || '').trim());
+  if (!match) return null;
+
+  const number = parseFloat(match[1]);
+  const unit = (match[2] || '').toLowerCase();
+  // Unitless zero is the only valid angle without a unit
+  if (!unit && number !== 0) return null;
+
+  const degrees = {
+    deg: number,
+    rad: number * 180 / Math.PI,
+    grad: number * 0.9,
+    turn: number * 360,
+    '': 0
+  }[unit];
+
+  return Math.round(degrees * 100) / 100;
+};
+
+/**
+ * Checks whether a token is a length or percentage
+ * @param {string} token - CSS token
+ * @returns {boolean} True for values like 10px, 50% or 0
+ */
+const isLengthPercentage = (token) => {
+  return /^[-+]?[\d.]+(%|[a-z]+)?$/i.test(token) || /^calc\(/i.test(token);
+};
+
+/**
+ * Checks whether a token is a math function computing an angle, such as calc(45deg + 10deg)
+ * @param {string} token - CSS token
+ * @returns {boolean} True for calc(), min(), max() and clamp() with an angle unit inside
+ */
+const isMathAngle = (token) => {
+  return /^(calc|min|max|clamp)\(/i.test(token) && /[\d.](deg|grad|rad|turn)\b/i.test(token);
+};
+
+/**
+ * Checks whether the first comma separated part of a gradient is a prelude rather than a color stop
+ * @param {string} part - First argument of the gradient
+ * @returns {boolean} True if it describes direction, shape or position
+ */
+const isPrelude = (part) => {
+  const firstToken = splitTopLevel(part, /\s/)[0].toLowerCase();
+  return PRELUDE_KEYWORDS.includes(firstToken) || /^[-+.\d]/.test(firstToken) || isMathAngle(firstToken);
+};
+
+/**
+ * Normalizes a position such as "center", "left top" or "50% 50%"
+ * @param {string} position - CSS position
+ * @returns {string} Position with default applied
+ */
+const normalizePosition = (position) => {
+  const value = (position || '').trim().replace(/\s+/g, ' ');
+  if (!value || value === 'center center' || value === '50% 50%') return 'center';
+  return value;
+};
+
+/**
+ * Splits off a color interpolation method (e.g. "in oklch longer hue") from a prelude
+ * @param {string} prelude - Gradient prelude
+ * @returns {Object} Object with the remaining prelude and the interpolation method
+ */
+const extractInterpolation = (prelude) => {
+  const match = /(?:^|\s)in\s+([a-z-]+(?:\s+(?:shorter|longer|increasing|decreasing)\s+hue)?)/i.exec(prelude);
+  if (!match) return { prelude, interpolation: null };
+
+  return {
+    prelude: (prelude.substring(0, match.index) + prelude.substring(match.index + match[0].length)).trim(),
+    interpolation: match[1].toLowerCase()
+  };
+};
+
+/**
+ * Parses the prelude of a linear gradient
+ * @param {string} prelude - Prelude without interpolation method
+ * @returns {Object} Direction keyword or computed angle, and angle in degrees
+ */
+const parseLinearPrelude = (prelude) => {
+  const value = prelude.trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!value) return { direction: 'to bottom', angle: 180 };
+
+  if (value.startsWith('to ')) {
+    // Sides map to fixed angles, corners depend on the box size
+    const angle = SIDE_ANGLES[value] !== undefined ? SIDE_ANGLES[value] : null;
+    return { direction: value, angle };
+  }
+
+  // Computed angles are kept as written, the browser resolves them
+  if (isMathAngle(value)) return { direction: value, angle: null };
+
+  const angle = angleToDegrees(value);
+  return { direction: null, angle: angle === null ? 180 : angle };
+};
+
+/**
+ * Parses the prelude of a radial gradient
+ * @param {string} prelude - Prelude without interpolation method
+ * @returns {Object} Shape, size and position
+ */
+const parseRadialPrelude = (prelude) => {
+  const [shapePart, positionPart] = prelude.split(/\bat\b/i).map(part => (part || '').trim());
+  const tokens = shapePart ? splitTopLevel(shapePart, /\s/) : [];
+
+  let shape = null;
+  let extent = null;
+  const lengths = [];
+  tokens.forEach(token => {
+    const lower = token.toLowerCase();
+    if (lower === 'circle' || lower === 'ellipse') {
+      shape = lower;
+    } else if (RADIAL_EXTENTS.includes(lower)) {
+      extent = lower;
+    } else {
+      lengths.push(token);
+    }
+  });
+
+  // A single length means a circle, two lengths an ellipse
+  if (!shape) {
+    shape = lengths.length === 1 ? 'circle' : 'ellipse';
+  }
+
+  return {
+    shape,
+    size: lengths.length > 0 ? lengths.join(' ') : (extent || 'farthest-corner'),
+    position: normalizePosition(positionPart)
+  };
+};
+
+/**
+ * Parses the prelude of a conic gradient
+ * @param {string} prelude - Prelude without interpolation method
+ * @returns {Object} Start angle in degrees and position
+ */
+const parseConicPrelude = (prelude) => {
+  const fromMatch = /\bfrom\s+([^\s]+)/i.exec(prelude);
+  const atMatch = /\bat\s+(.+)$/i.exec(prelude);
+  const from = fromMatch ? angleToDegrees(fromMatch[1]) : 0;
+
+  return {
+    from: from === null ? 0 : from,
+    position: normalizePosition(atMatch ? atMatch[1] : '')
+  };
+};
+
+/**
+ * Parses the color stops and color hints of a gradient
+ * @param {Array} parts - Comma separated arguments after the prelude
+ * @returns {Array} Stops with color, declared positions and the hint before them
+ */
+const parseStops = (parts) => {
+  const stops = [];
+  let pendingHint = null;
+
+  parts.forEach(part => {
+    const tokens = splitTopLevel(part, /\s/);
+
+    // A lone length between two stops is a color hint
+    if (tokens.length === 1 && isLengthPercentage(tokens[0])) {
+      pendingHint = tokens[0];
+      return;
+    }
+
+    // The color may come before or after its positions
+    const colorIndex = tokens.findIndex(token => !isLengthPercentage(token));
+    if (colorIndex === -1) return;
+
+    const positions = tokens.filter((token, index) => index !== colorIndex);
+    stops.push({
+      color: tokens[colorIndex],
+      positions: positions.slice(0, 2),
+      hint: pendingHint
+    });
+    pendingHint = null;
+  });
+
+  return stops;
+};
+
+/**
+ * Fills in implicit stop positions as described by the CSS Images spec
+ * @param {Array} stops - Stops from parseStops
+ * @returns {Array} Stops where every position that can be resolved is set
+ */
+const resolveStopPositions = (stops) => {
+  const resolved = stops.map(stop => ({ ...stop, position: stop.positions[0] || null }));
+  if (resolved.length === 0) return resolved;
+
+  if (!resolved[0].position) resolved[0].position = '0%';
+  if (!resolved[resolved.length - 1].position) resolved[resolved.length - 1].position = '100%';
+
+  // Spread runs of missing positions evenly between their known percentage neighbours
+  const parsePercentage = (position) => {
+    const match = /^([-+]?[\d.]+)%$/.exec(position || '');
+    return match ? parseFloat(match[1]) : null;
+  };
+
+  let lastKnown = 0;
+  for (let i = 1; i < resolved.length; i++) {
+    if (!resolved[i].position) continue;
+
+    const start = parsePercentage(resolved[lastKnown].position);
+    const end = parsePercentage(resolved[i].position);
+    const gap = i - lastKnown;
+    if (gap > 1 && start !== null && end !== null) {
+      for (let j = lastKnown + 1; j < i; j++) {
+        const value = start + (end - start) * (j - lastKnown) / gap;
+        resolved[j].position = `${Math.round(value * 100) / 100}%`;
+      }
+    }
+    lastKnown = i;
+  }
+
+  return resolved;
+};
+
+/**
+ * Parses a CSS gradient into its geometry and color stops
+ * @param {string} gradient - Gradient function such as linear-gradient(90deg, red, blue)
+ * @returns {Object|null} Parsed gradient or null if it isn't a valid gradient
+ */
+const parseGradient = (gradient) => {
+  const match = /^\s*(repeating-)?(linear|radial|conic)-gradient\(([\s\S]*)\)\s*$/i.exec(gradient || '');
+  if (!match) return null;
+
+  const repeating = !!match[1];
+  const kind = match[2].toLowerCase();
+  const args = splitTopLevel(match[3], /,/);
+  if (args.length === 0) return null;
+
+  const rawPrelude = isPrelude(args[0]) ? args.shift() : '';
+  const { prelude, interpolation } = extractInterpolation(rawPrelude);
+
+  const stops = parseStops(args);
+  // Need at least two colors for a gradient
+  if (stops.length < 2) return null;
+
+  const parsed = {
+    type: `${kind}-gradient`,
+    repeating,
+    interpolation
+  };
+
+  if (kind === 'linear') {
+    Object.assign(parsed, parseLinearPrelude(prelude));
+  } else if (kind === 'radial') {
+    Object.assign(parsed, parseRadialPrelude(prelude));
+  } else {
+    Object.assign(parsed, parseConicPrelude(prelude));
+  }
+
+  parsed.stops = resolveStopPositions(stops);
+  return parsed;
+};
+
+/**
+ * Builds a canonical CSS string from a parsed gradient
+ * @param {Object} parsed - Gradient from parseGradient, stop colors may already be normalized
+ * @returns {string} Canonical CSS gradient
+ */
+const serializeGradient = (parsed) => {
+  const kind = parsed.type.replace('-gradient', '');
+  let prelude;
+
+  if (kind === 'linear') {
+    prelude = parsed.angle !== null ? `${parsed.angle}deg` : parsed.direction;
+  } else if (kind === 'radial') {
+    prelude = `${parsed.shape} ${parsed.size} at ${parsed.position}`;
+  } else {
+    prelude = `from ${parsed.from}deg at ${parsed.position}`;
+  }
+
+  if (parsed.interpolation) {
+    prelude += ` in ${parsed.interpolation}`;
+  }
+
+  const args = [prelude];
+  parsed.stops.forEach(stop => {
+    if (stop.hint) args.push(stop.hint);
+    const positions = [stop.position, ...stop.positions.slice(1)].filter(Boolean);
+    args.push([stop.color, ...positions].join(' '));
+  });
+
+  return `${parsed.repeating ? 'repeating-' : ''}${parsed.type}(${args.join(', ')})`;
+};
+
+module.exports = {
+  findGradients,
+  parseGradient,
+  serializeGradient,
+  angleToDegrees
+};
@@ -0,0 +1,167 @@
+/**
+ * Local forward proxy that holds the browser to the target URL policy
+ *
+ * Chrome resolves hosts on its own, after request interception checked them, and WebSocket
+ * handshakes never reach interception at all. Contexts without an outbound proxy send their
+ * traffic through this proxy instead, which resolves every host itself, refuses denied hosts and
+ * private addresses, and connects to exactly the address it checked.
+ */
+const http = require('http');
+const net = require('net');
+const { lookupTarget } = require('./urlPolicy');
+
+// How long refused hosts are remembered, so a failed navigation can report why
+const REFUSAL_TTL = 60000;
+const REFUSAL_MAX_ENTRIES = 1000;
+
+// Hop-by-hop headers that only concern the connection to this proxy
+const PROXY_HEADERS = ['proxy-connection', 'proxy-authorization', 'connection', 'keep-alive'];
+
+// Recently refused hosts with their TARGET_NOT_ALLOWED error
+const refusals = new Map();
+let starting = null;
+
+/**
+ * Resolves and checks a host, remembering refusals
+ * @param {string} hostname - Host to connect to, IPv6 literals may keep their brackets
+ * @returns {Promise<string>} Address to connect to
+ */
+const resolveHost = (hostname) => new Promise((resolve, reject) => {
+  lookupTarget(hostname, { all: true }, (error, addresses) => {
+    if (error) {
+      if (error.code === 'TARGET_NOT_ALLOWED') {
+        console.log(`Guard proxy refused ${hostname}: ${error.message}`);
+        if (refusals.size >= REFUSAL_MAX_ENTRIES) refusals.clear();
+        refusals.set(hostname.replace(/^\[|\]$/g, '').toLowerCase(), { error, expiresAt: Date.now() + REFUSAL_TTL });
+      }
+      return reject(error);
+    }
+    resolve(addresses[0].address);
+  });
+});
+
+/**
+ * Splits the authority of a CONNECT request into host and port
+ * @param {string} authority - host:port, IPv6 hosts in brackets
+ * @returns {{hostname: string, port: number}|null} Target, or null if the port is missing or invalid
+ */
+const parseConnectTarget = (authority) => {
+  const match = /^(\[[0-9a-fA-F:.]+\]|[^:[\]\s]+):(\d{1,5})$/.exec(authority || '');
+  if (!match) return null;
+  const port = parseInt(match[2]);
+  return port > 0 && port <= 65535 ? { hostname: match[1], port } : null;
+};
+
+/**
+ * Tunnels a CONNECT request, used for https and WebSockets
+ * @param {http.IncomingMessage} req - CONNECT request with host:port as URL
+ * @param {net.Socket} clientSocket - Browser connection
+ * @param {Buffer} head - Bytes the browser already sent through the tunnel
+ */
+const handleConnect = async (req, clientSocket, head) => {
+  clientSocket.on('error', () => {});
+
+  const target = parseConnectTarget(req.url);
+  if (!target) return clientSocket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+
+  try {
+    const address = await resolveHost(target.hostname);
+    const upstream = net.connect(target.port, address, () => {
+      clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      if (head.length > 0) upstream.write(head);
+      upstream.pipe(clientSocket);
+      clientSocket.pipe(upstream);
+    });
+    upstream.on('error', () => clientSocket.destroy());
+    clientSocket.on('close', () => upstream.destroy());
+  } catch (error) {
+    clientSocket.end(error.code === 'TARGET_NOT_ALLOWED' ? 'HTTP/1.1 403 Forbidden\r\n\r\n' : 'HTTP/1.1 502 Bad Gateway\r\n\r\n');
+  }
+};
+
+/**
+ * Forwards a plain http request
+ * @param {http.IncomingMessage} req - Proxy request with an absolute URL
+ * @param {http.ServerResponse} res - Response to the browser
+ */
+const handleRequest = async (req, res) => {
+  let target;
+  let address;
+  try {
+    target = new URL(req.url);
+    if (target.protocol !== 'http:') throw new Error(`${target.protocol} can't be proxied`);
+    address = await resolveHost(target.hostname);
+  } catch (error) {
+    // Closing without a response fails the request in the browser instead of showing an error page
+    return res.destroy();
+  }
+
+  const headers = { ...req.headers };
+  PROXY_HEADERS.forEach(header => delete headers[header]);
+
+  const upstream = http.request({
+    host: address,
+    port: parseInt(target.port || 80),
+    method: req.method,
+    path: `${target.pathname}${target.search}`,
+    headers,
+    setHost: false
+  }, (upstreamRes) => {
+    res.writeHead(upstreamRes.statusCode, upstreamRes.statusMessage, upstreamRes.headers);
+    upstreamRes.pipe(res);
+  });
+  upstream.on('error', () => res.destroy());
+  req.pipe(upstream);
+};
+
+/**
+ * Starts the proxy on a loopback port, once
+ * @returns {Promise<string>} Proxy server for Chrome, such as http://127.0.0.1:41234
+ */
+const getGuardProxyServer = () => {
+  if (!starting) {
+    starting = new Promise((resolve, reject) => {
+      const server = http.createServer(handleRequest);
+      server.on('connect', handleConnect);
+      // Upgrades outside a tunnel aren't forwarded, the socket is closed
+      server.on('upgrade', (req, socket) => socket.destroy());
+      server.on('error', reject);
+      server.listen(0, '127.0.0.1', () => {
+        server.unref();
+        console.log(`Guard proxy listening on 127.0.0.1:${server.address().port}`);
+        resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+      });
+    }).catch(error => {
+      starting = null;
+      throw error;
+    });
+  }
+  return starting.then(({ url }) => url);
+};
+
+/**
+ * Returns the error of a host the proxy refused recently
+ * @param {string} hostname - Host of a failed request
+ * @returns {Error|null} TARGET_NOT_ALLOWED error, or null if the host wasn't refused
+ */
+const getRefusedConnection = (hostname) => {
+  const refusal = refusals.get(hostname.replace(/^\[|\]$/g, '').toLowerCase());
+  return refusal && refusal.expiresAt > Date.now() ? refusal.error : null;
+};
+
+/**
+ * Stops the proxy
+ * @returns {Promise<void>}
+ */
+const closeGuardProxy = async () => {
+  if (!starting) return;
+  const { server } = await starting.catch(() => ({}));
+  starting = null;
+  if (server) await new Promise(resolve => server.close(() => resolve()));
+};
+
+module.exports = {
+  getGuardProxyServer,
+  getRefusedConnection,
+  closeGuardProxy
+};
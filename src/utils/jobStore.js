@@ -0,0 +1,78 @@
+/**
+ * File based persistence for scrape jobs
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Directory holding one JSON file per job
+const JOBS_DIR = path.resolve(process.env.JOBS_DIR || path.join(process.cwd(), 'data', 'jobs'));
+
+/**
+ * Returns the file path of a job
+ * @param {string} id - Job id
+ * @returns {string} Absolute path of the job file
+ */
+const getJobPath = (id) => path.join(JOBS_DIR, `${id}.json`);
+
+/**
+ * Makes sure the jobs directory exists
+ * @returns {Promise<void>}
+ */
+const ensureDir = async () => {
+  await fs.promises.mkdir(JOBS_DIR, { recursive: true });
+};
+
+/**
+ * Writes a job to disk, replacing the file atomically so a crash never leaves half a job
+ * @param {Object} job - Job record
+ * @returns {Promise<void>}
+ */
+const saveJob = async (job) => {
+  await ensureDir();
+  const filePath = getJobPath(job.id);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  await fs.promises.writeFile(tempPath, JSON.stringify(job));
+  await fs.promises.rename(tempPath, filePath);
+};
+
+/**
+ * Deletes a job from disk
+ * @param {string} id - Job id
+ * @returns {Promise<void>}
+ */
+const deleteJob = async (id) => {
+  try {
+    await fs.promises.unlink(getJobPath(id));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+/**
+ * Loads every stored job
+ * @returns {Promise<Array>} Job records, unreadable files are skipped
+ */
+const loadJobs = async () => {
+  await ensureDir();
+  const files = (await fs.promises.readdir(JOBS_DIR)).filter(file => file.endsWith('.json'));
+
+  const jobs = [];
+  for (const file of files) {
+    try {
+      const content = await fs.promises.readFile(path.join(JOBS_DIR, file), 'utf8');
+      jobs.push(JSON.parse(content));
+    } catch (error) {
+      console.error(`Skipping unreadable job file ${file}:`, error.message);
+    }
+  }
+
+  return jobs;
+};
+
+module.exports = {
+  JOBS_DIR,
+  saveJob,
+  deleteJob,
+  loadJobs
+};
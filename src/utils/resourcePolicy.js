@@ -0,0 +1,206 @@
+/**
+ * Resource loading policies for scraped pages
+ */
+const { findRequestViolation } = require('./urlPolicy');
+
+// Resource types Puppeteer reports for intercepted requests
+const RESOURCE_TYPES = [
+  'document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack',
+  'xhr', 'fetch', 'prefetch', 'eventsource', 'websocket', 'manifest',
+  'signedexchange', 'ping', 'cspviolationreport', 'preflight', 'other'
+];
+
+// Preset policies selectable with the `resources` parameter
+const POLICIES = {
+  // Skip everything that isn't needed to build the DOM (fastest, least accurate styles)
+  fast: {
+    blockedTypes: ['image', 'media', 'font', 'stylesheet'],
+    waitForStyles: false
+  },
+  // Load stylesheets and web fonts so computed styles match what users see
+  full: {
+    blockedTypes: ['media'],
+    waitForStyles: true
+  }
+};
+
+const DEFAULT_POLICY = 'fast';
+
+// Navigations of the main frame blocked by the target URL policy, by page
+const blockedNavigations = new WeakMap();
+
+// Global symbol under which pages keep the stylesheet links that finished loading or failed
+const SETTLED_STYLESHEETS_KEY = 'settledStylesheets';
+
+/**
+ * Builds a resource policy from request options
+ * @param {string} [mode] - Preset name (fast or full)
+ * @param {string|Array} [block] - Extra resource types or URL fragments to block, comma separated
+ * @returns {Object} Resolved policy with blocked types and URL patterns
+ */
+const resolveResourcePolicy = (mode, block) => {
+  const policyName = (mode || DEFAULT_POLICY).toLowerCase();
+  // Own properties only, names such as "constructor" aren't presets
+  const preset = Object.prototype.hasOwnProperty.call(POLICIES, policyName) ? POLICIES[policyName] : null;
+
+  if (!preset) {
+    const error = new Error(`Unknown resource policy "${mode}". Use one of: ${Object.keys(POLICIES).join(', ')}`);
+    error.code = 'INVALID_RESOURCE_POLICY';
+    throw error;
+  }
+
+  const blockedTypes = new Set(preset.blockedTypes);
+  const blockedPatterns = [];
+
+  const extraEntries = Array.isArray(block) ? block : String(block || '').split(',');
+  extraEntries
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .forEach(entry => {
+      // Known resource types are blocked by type, anything else is matched against the URL
+      if (RESOURCE_TYPES.includes(entry)) {
+        blockedTypes.add(entry);
+      } else {
+        blockedPatterns.push(entry);
+      }
+    });
+
+  // The document itself can never be blocked
+  blockedTypes.delete('document');
+
+  return {
+    mode: policyName,
+    blockedTypes: Array.from(blockedTypes).sort(),
+    blockedPatterns,
+    waitForStyles: preset.waitForStyles
+  };
+};
+
+/**
+ * Installs request interception on a page according to the policy
+ * Every request, redirects included, is also checked against the target URL policy.
+ * @param {puppeteer.Page} page - Puppeteer page
+ * @param {Object} policy - Policy from resolveResourcePolicy
+ * @param {Object} [options] - Interception options
+ * @param {Array} [options.trustedOrigins] - Origins exempt from the target URL policy
+ * @returns {Promise<void>}
+ */
+const applyResourcePolicy = async (page, policy, { trustedOrigins = [] } = {}) => {
+  // Stylesheets that fail fire their error event long before waitForStyles runs, so it's recorded from the start
+  if (policy.waitForStyles) {
+    await page.evaluateOnNewDocument((key) => {
+      const settled = new WeakSet();
+      Object.defineProperty(window, Symbol.for(key), { value: settled });
+      const record = (event) => {
+        if (event.target instanceof HTMLLinkElement) settled.add(event.target);
+      };
+      // load and error don't bubble, capturing sees them for every link
+      document.addEventListener('load', record, true);
+      document.addEventListener('error', record, true);
+    }, SETTLED_STYLESHEETS_KEY);
+  }
+
+  await page.setRequestInterception(true);
+  page.on('request', async (request) => {
+    // Requests may already be handled if the page is closing
+    if (request.isInterceptResolutionHandled && request.isInterceptResolutionHandled()) return;
+
+    const resourceType = request.resourceType();
+    const requestUrl = request.url().toLowerCase();
+
+    if (
+      policy.blockedTypes.includes(resourceType) ||
+      policy.blockedPatterns.some(pattern => requestUrl.includes(pattern))
+    ) {
+      request.abort();
+      return;
+    }
+
+    // Only the page itself has to be on the allowlist, frames and subresources are checked like subresources
+    const isPageDocument = request.isNavigationRequest() && request.frame() === page.mainFrame();
+    const violation = await findRequestViolation(request.url(), { subresource: !isPageDocument, trustedOrigins });
+    if (request.isInterceptResolutionHandled && request.isInterceptResolutionHandled()) return;
+
+    if (violation) {
+      console.log(`Blocked request: ${violation.message}`);
+      if (isPageDocument) blockedNavigations.set(page, violation);
+      request.abort('accessdenied');
+    } else {
+      request.continue();
+    }
+  });
+};
+
+/**
+ * Returns the error of a page navigation the target URL policy blocked
+ * @param {puppeteer.Page} page - Puppeteer page
+ * @returns {Error|null} TARGET_NOT_ALLOWED error, or null if no navigation was blocked
+ */
+const getBlockedNavigation = (page) => blockedNavigations.get(page) || null;
+
+/**
+ * Waits until all stylesheets have loaded and web fonts are ready
+ * @param {puppeteer.Page} page - Puppeteer page
+ * @param {number} timeout - Maximum time to wait in ms
+ * @returns {Promise<Object>} Summary of loaded stylesheets and fonts
+ */
+const waitForStyles = async (page, timeout = 10000) => {
+  return await page.evaluate(async (timeout, key) => {
+    const links = Array.from(document.querySelectorAll('link[rel~="stylesheet"]'));
+    const settled = window[Symbol.for(key)];
+
+    // A link is done once its sheet is attached, or once it fired load or error
+    const isSettled = (link) => Boolean(
+      link.sheet ||
+      link.disabled ||
+      (settled && settled.has(link)) ||
+      performance.getEntriesByName(link.href, 'resource').some(entry => entry.responseEnd > 0)
+    );
+
+    const pendingSheets = links
+      .filter(link => !isSettled(link))
+      .map(link => new Promise(resolve => {
+        link.addEventListener('load', resolve, { once: true });
+        link.addEventListener('error', resolve, { once: true });
+      }));
+
+    let timedOut = false;
+    await Promise.race([
+      Promise.all([...pendingSheets, document.fonts.ready]),
+      new Promise(resolve => setTimeout(() => {
+        timedOut = true;
+        resolve();
+      }, timeout))
+    ]);
+
+    const fontFaces = Array.from(document.fonts);
+
+    return {
+      stylesheets: links.length,
+      stylesheetsLoaded: links.filter(link => link.sheet).length,
+      fontsLoaded: fontFaces.filter(face => face.status === 'loaded').length,
+      fontsFailed: fontFaces.filter(face => face.status === 'error').length,
+      timedOut
+    };
+  }, timeout, SETTLED_STYLESHEETS_KEY);
+};
+
+/**
+ * Turns off CSS transitions and animations so restyled elements show their final values right away
+ * @param {puppeteer.Page} page - Puppeteer page
+ * @returns {Promise<void>}
+ */
+const disableTransitions = async (page) => {
+  await page.addStyleTag({
+    content: '*, *::before, *::after { transition: none !important; animation-duration: 0s !important; }'
+  });
+};
+
+module.exports = {
+  POLICIES,
+  resolveResourcePolicy,
+  applyResourcePolicy,
+  getBlockedNavigation,
+  waitForStyles,
+  disableTransitions
+};
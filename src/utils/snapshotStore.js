@@ -0,0 +1,154 @@
+/**
+ * File based persistence for style snapshots
+ *
+ * Snapshots of a URL live in their own directory, named after a hash of the URL.
+ * The directory also holds baseline.json, which points to the snapshot drift is measured against.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Directory holding one sub directory per URL
+const SNAPSHOTS_DIR = path.resolve(process.env.SNAPSHOTS_DIR || path.join(process.cwd(), 'data', 'snapshots'));
+const BASELINE_FILE = 'baseline.json';
+
+/**
+ * Returns the short key identifying a URL's snapshot directory
+ * @param {string} url - Normalized URL
+ * @returns {string} Hex key
+ */
+const getUrlKey = (url) => crypto.createHash('sha256').update(url).digest('hex').substring(0, 16);
+
+/**
+ * Creates a snapshot id, which starts with the URL key so the snapshot can be found from its id alone
+ * @param {string} url - Normalized URL
+ * @returns {string} Snapshot id
+ */
+const createSnapshotId = (url) => `${getUrlKey(url)}-${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`;
+
+/**
+ * Returns the directory of a snapshot id, or null for malformed ids
+ * @param {string} id - Snapshot id
+ * @returns {string|null} Absolute directory path
+ */
+const getSnapshotDir = (id) => {
+  const match = /^([0-9a-f]{16})-[0-9a-z]+$/.exec(id || '');
+  return match ? path.join(SNAPSHOTS_DIR, match[1]) : null;
+};
+
+/**
+ * Writes JSON to disk, replacing the file atomically
+ * @param {string} filePath - Target file
+ * @param {Object} value - Value to store
+ * @returns {Promise<void>}
+ */
+const writeJson = async (filePath, value) => {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(value));
+  await fs.promises.rename(tempPath, filePath);
+};
+
+/**
+ * Reads a JSON file
+ * @param {string} filePath - File to read
+ * @returns {Promise<Object|null>} Parsed content, or null if the file doesn't exist
+ */
+const readJson = async (filePath) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+/**
+ * Stores a snapshot
+ * @param {Object} snapshot - Snapshot with id, url, createdAt and result
+ * @returns {Promise<void>}
+ */
+const saveSnapshot = async (snapshot) => {
+  await writeJson(path.join(getSnapshotDir(snapshot.id), `${snapshot.id}.json`), snapshot);
+};
+
+/**
+ * Loads a snapshot
+ * @param {string} id - Snapshot id
+ * @returns {Promise<Object|null>} Snapshot, or null if it doesn't exist
+ */
+const loadSnapshot = async (id) => {
+  const dir = getSnapshotDir(id);
+  return dir ? readJson(path.join(dir, `${id}.json`)) : null;
+};
+
+/**
+ * Deletes a snapshot
+ * @param {string} id - Snapshot id
+ * @returns {Promise<void>}
+ */
+const deleteSnapshot = async (id) => {
+  try {
+    await fs.promises.unlink(path.join(getSnapshotDir(id), `${id}.json`));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+/**
+ * Loads every snapshot of a URL
+ * @param {string} url - Normalized URL
+ * @returns {Promise<Array>} Snapshots, oldest first
+ */
+const loadSnapshots = async (url) => {
+  const dir = path.join(SNAPSHOTS_DIR, getUrlKey(url));
+  let files;
+  try {
+    files = (await fs.promises.readdir(dir)).filter(file => file.endsWith('.json') && file !== BASELINE_FILE);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const snapshots = [];
+  for (const file of files) {
+    try {
+      snapshots.push(JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8')));
+    } catch (error) {
+      console.error(`Skipping unreadable snapshot file ${file}:`, error.message);
+    }
+  }
+
+  return snapshots.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+/**
+ * Returns the baseline snapshot id of a URL
+ * @param {string} url - Normalized URL
+ * @returns {Promise<string|null>} Snapshot id, or null if there is no baseline
+ */
+const loadBaselineId = async (url) => {
+  const baseline = await readJson(path.join(SNAPSHOTS_DIR, getUrlKey(url), BASELINE_FILE));
+  return baseline ? baseline.snapshotId : null;
+};
+
+/**
+ * Sets the baseline snapshot of a URL
+ * @param {string} url - Normalized URL
+ * @param {string} snapshotId - Snapshot id
+ * @returns {Promise<void>}
+ */
+const saveBaselineId = async (url, snapshotId) => {
+  await writeJson(path.join(SNAPSHOTS_DIR, getUrlKey(url), BASELINE_FILE), { snapshotId, updatedAt: new Date().toISOString() });
+};
+
+module.exports = {
+  SNAPSHOTS_DIR,
+  createSnapshotId,
+  saveSnapshot,
+  loadSnapshot,
+  deleteSnapshot,
+  loadSnapshots,
+  loadBaselineId,
+  saveBaselineId
+};
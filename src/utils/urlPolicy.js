@@ -0,0 +1,316 @@
+/**
+ * Target URL policy that keeps scrapes away from internal networks
+ *
+ * Only http and https URLs are fetched, and only from hosts that resolve to public addresses.
+ * Domain allowlists and denylists from the environment narrow it down further.
+ */
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Parses a comma separated list of domains
+ * @param {string} [value] - Domains such as example.com or *.example.com
+ * @returns {Array} Lowercase domains without wildcard prefix
+ */
+const parseDomainList = (value) => String(value || '')
+  .split(',')
+  .map(domain => domain.trim().toLowerCase().replace(/^\*?\./, '').replace(/\.$/, ''))
+  .filter(Boolean);
+
+// Domains scrapes may target, subdomains included. Empty allows every public domain.
+const TARGET_ALLOWLIST = parseDomainList(process.env.TARGET_ALLOWLIST);
+
+// Domains that are never fetched, not even as subresources
+const TARGET_DENYLIST = parseDomainList(process.env.TARGET_DENYLIST);
+
+// Turns off the private address check, for scraping local development servers
+const TARGET_ALLOW_PRIVATE = process.env.TARGET_ALLOW_PRIVATE === 'true';
+
+// Redirects followed by HTTP fetches, each one checked again
+const MAX_REDIRECTS = 5;
+
+// How long resolved addresses are reused, subresources of one page share few hosts
+const DNS_CACHE_TTL = 60000;
+const DNS_CACHE_MAX_ENTRIES = 1000;
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+// Schemes that never reach the network, pages may use them freely
+const LOCAL_PROTOCOLS = ['data:', 'blob:', 'about:'];
+
+// IPv4 ranges that aren't publicly routable: this network, private, shared, loopback,
+// link-local, IETF protocol assignments, documentation, benchmarking, multicast and reserved
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+// Resolved addresses by hostname
+const dnsCache = new Map();
+
+/**
+ * Creates the error thrown for targets the policy rejects
+ * @param {string} url - Rejected URL
+ * @param {string} reason - Why it is rejected
+ * @returns {Error} Error with code TARGET_NOT_ALLOWED
+ */
+const createTargetError = (url, reason) => {
+  const error = new Error(`${url} is not allowed: ${reason}`);
+  error.code = 'TARGET_NOT_ALLOWED';
+  return error;
+};
+
+/**
+ * Converts a dotted IPv4 address to a number
+ * @param {string} address - IPv4 address
+ * @returns {number} Unsigned 32-bit value
+ */
+const ipv4ToNumber = (address) => address.split('.').reduce((value, part) => value * 256 + parseInt(part, 10), 0);
+
+/**
+ * Checks whether an IPv4 address is outside the public address space
+ * @param {string} address - IPv4 address
+ * @returns {boolean} True for private, loopback, link-local and reserved addresses
+ */
+const isPrivateIPv4 = (address) => {
+  const value = ipv4ToNumber(address);
+  return PRIVATE_IPV4_RANGES.some(([base, bits]) => {
+    const size = Math.pow(2, 32 - bits);
+    return Math.floor(value / size) === Math.floor(ipv4ToNumber(base) / size);
+  });
+};
+
+/**
+ * Expands an IPv6 address into its eight 16-bit groups
+ * @param {string} address - IPv6 address, optionally with an IPv4 tail or zone
+ * @returns {Array} Eight numbers
+ */
+const expandIPv6 = (address) => {
+  let text = address.toLowerCase().split('%')[0];
+
+  // An IPv4 tail such as ::ffff:127.0.0.1 fills the last two groups
+  const ipv4Tail = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (ipv4Tail) {
+    const value = ipv4ToNumber(ipv4Tail[1]);
+    text = `${text.slice(0, -ipv4Tail[1].length)}${Math.floor(value / 65536).toString(16)}:${(value % 65536).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  if (tail === undefined) return headGroups.map(group => parseInt(group, 16));
+
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = new Array(8 - headGroups.length - tailGroups.length).fill('0');
+  return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16));
+};
+
+/**
+ * Checks whether an IPv6 address is outside the public address space
+ * @param {string} address - IPv6 address
+ * @returns {boolean} True for unspecified, loopback, unique local, link-local, multicast and documentation addresses, and for IPv4 addresses embedded in them that are private
+ */
+const isPrivateIPv6 = (address) => {
+  const groups = expandIPv6(address);
+  const embeddedIPv4 = (high, low) => `${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`;
+
+  // Unspecified (::), loopback (::1) and IPv4-compatible addresses
+  if (groups.slice(0, 6).every(group => group === 0)) {
+    return groups[6] === 0 || isPrivateIPv4(embeddedIPv4(groups[6], groups[7]));
+  }
+  // IPv4-mapped (::ffff:0:0/96) and NAT64 (64:ff9b::/96) addresses reach the embedded IPv4 address
+  if ((groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff) ||
+      (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0))) {
+    return isPrivateIPv4(embeddedIPv4(groups[6], groups[7]));
+  }
+  // 6to4 (2002::/16) carries the IPv4 address in the second and third groups
+  if (groups[0] === 0x2002) {
+    return isPrivateIPv4(embeddedIPv4(groups[1], groups[2]));
+  }
+
+  return (groups[0] & 0xfe00) === 0xfc00 ||
+    (groups[0] & 0xffc0) === 0xfe80 ||
+    (groups[0] & 0xffc0) === 0xfec0 ||
+    (groups[0] & 0xff00) === 0xff00 ||
+    (groups[0] === 0x2001 && groups[1] === 0x0db8);
+};
+
+/**
+ * Checks whether an IP address is outside the public address space
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address must not be fetched
+ */
+const isPrivateAddress = (address) => {
+  const version = net.isIP(address);
+  if (version === 4) return isPrivateIPv4(address);
+  if (version === 6) return isPrivateIPv6(address);
+  return true;
+};
+
+/**
+ * Checks whether a hostname is one of the domains or a subdomain of one
+ * @param {string} hostname - Lowercase hostname
+ * @param {Array} domains - Domains from parseDomainList
+ * @returns {boolean} True if it matches
+ */
+const matchesDomain = (hostname, domains) => domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+
+/**
+ * Resolves a hostname to all its addresses, reusing recent lookups
+ * @param {string} hostname - Hostname to resolve
+ * @returns {Promise<Array>} IP addresses
+ */
+const resolveAddresses = async (hostname) => {
+  const cached = dnsCache.get(hostname);
+  if (cached && cached.expiresAt > Date.now()) return cached.addresses;
+
+  const results = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  const addresses = results.map(result => result.address);
+
+  if (dnsCache.size >= DNS_CACHE_MAX_ENTRIES) dnsCache.clear();
+  dnsCache.set(hostname, { addresses, expiresAt: Date.now() + DNS_CACHE_TTL });
+  return addresses;
+};
+
+/**
+ * Resolves a host for a socket, refusing denied hosts and private addresses
+ * The socket connects to the address checked here, so a host can't pass with a public address and
+ * then connect to a private one (DNS rebinding). Takes the arguments of dns.lookup, for the lookup
+ * option of net, http and https.
+ * @param {string} hostname - Host to connect to
+ * @param {Object} [options] - dns.lookup options
+ * @param {Function} callback - Called like the callback of dns.lookup, or with a TARGET_NOT_ALLOWED error
+ */
+const lookupTarget = (hostname, options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  dns.lookup(host, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const privateAddress = !TARGET_ALLOW_PRIVATE && addresses.map(entry => entry.address).find(isPrivateAddress);
+    if (matchesDomain(host, TARGET_DENYLIST)) {
+      return callback(createTargetError(host, `${host} is on the denylist`));
+    }
+    if (privateAddress) {
+      return callback(createTargetError(host, `${host} resolves to the private, loopback or link-local address ${privateAddress}`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Finds why a host must not be connected to, if anything
+ * @param {string} hostname - Lowercase hostname or IP address, without brackets
+ * @returns {Promise<string|null>} Reason, or null if the host is public or private hosts are allowed. Rejects with the DNS error of an unknown host.
+ */
+const findHostViolation = async (hostname) => {
+  if (TARGET_ALLOW_PRIVATE) return null;
+
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    return `${hostname} is a loopback host`;
+  }
+
+  // Every address counts, a host with one public and one private address could be either
+  const addresses = net.isIP(hostname) ? [hostname] : await resolveAddresses(hostname);
+  const privateAddress = addresses.find(isPrivateAddress);
+  return privateAddress ? `${hostname} resolves to the private, loopback or link-local address ${privateAddress}` : null;
+};
+
+/**
+ * Checks a URL against the target policy
+ * @param {string} url - URL to fetch
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.subresource=false] - The URL is loaded by a page, so the allowlist doesn't apply
+ * @param {Array} [options.trustedOrigins] - Origins the service serves itself, exempt from the policy
+ * @returns {Promise<void>} Rejects with TARGET_NOT_ALLOWED, or with the DNS error of an unknown host
+ */
+const checkTargetUrl = async (url, { subresource = false, trustedOrigins = [] } = {}) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw createTargetError(url, 'it is not a valid URL');
+  }
+
+  if (trustedOrigins.includes(parsed.origin)) return;
+  if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+    throw createTargetError(url, `only http and https URLs can be fetched, not ${parsed.protocol.slice(0, -1)}`);
+  }
+
+  // IPv6 literals keep their brackets in hostname
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (matchesDomain(hostname, TARGET_DENYLIST)) {
+    throw createTargetError(url, `${hostname} is on the denylist`);
+  }
+  if (!subresource && TARGET_ALLOWLIST.length > 0 && !matchesDomain(hostname, TARGET_ALLOWLIST)) {
+    throw createTargetError(url, `${hostname} is not on the allowlist`);
+  }
+  const reason = await findHostViolation(hostname);
+  if (reason) throw createTargetError(url, reason);
+};
+
+/**
+ * Finds why the page may not load a request, if anything
+ * @param {string} url - Requested URL
+ * @param {Object} [options] - Check options, as for checkTargetUrl
+ * @returns {Promise<Error|null>} TARGET_NOT_ALLOWED error, or null if the request may be sent
+ */
+const findRequestViolation = async (url, options) => {
+  if (LOCAL_PROTOCOLS.some(protocol => url.startsWith(protocol))) return null;
+
+  try {
+    await checkTargetUrl(url, options);
+    return null;
+  } catch (error) {
+    // Hosts that don't resolve here could still resolve behind a proxy, so they are blocked too
+    return error.code === 'TARGET_NOT_ALLOWED' ? error : createTargetError(url, `its host could not be resolved (${error.code || error.message})`);
+  }
+};
+
+/**
+ * Sends an HTTP request and follows its redirects, checking every URL against the policy first
+ * @param {string} url - URL to fetch
+ * @param {Function} send - Called with each URL, must not follow redirects itself and resolve with 3xx responses
+ * @param {Object} [options] - Check options, as for checkTargetUrl
+ * @returns {Promise<Object>} The final response and its URL
+ */
+const requestWithTargetPolicy = async (url, send, options) => {
+  let currentUrl = url;
+  for (let redirects = 0; ; redirects++) {
+    await checkTargetUrl(currentUrl, options);
+    const response = await send(currentUrl);
+
+    const location = response.status >= 300 && response.status < 400 && response.headers.location;
+    if (!location) return { response, url: currentUrl };
+    if (redirects >= MAX_REDIRECTS) throw new Error(`${url} redirected more than ${MAX_REDIRECTS} times`);
+
+    // Redirects are checked like the first URL, including the allowlist
+    currentUrl = new URL(location, currentUrl).toString();
+  }
+};
+
+module.exports = {
+  isPrivateAddress,
+  lookupTarget,
+  findHostViolation,
+  checkTargetUrl,
+  findRequestViolation,
+  requestWithTargetPolicy
+};
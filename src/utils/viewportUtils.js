@@ -0,0 +1,120 @@
+/**
+ * Viewport presets and parsing of the viewports parameter
+ */
+
+const MOBILE_USER_AGENT = 'Mozilla/5.0 (iPhone; CPU iPhone OS 16_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.5 Mobile/15E148 Safari/604.1';
+const TABLET_USER_AGENT = 'Mozilla/5.0 (iPad; CPU OS 16_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.5 Mobile/15E148 Safari/604.1';
+
+// Device presets selectable by name
+const VIEWPORT_PRESETS = {
+  mobile: {
+    width: 390,
+    height: 844,
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: MOBILE_USER_AGENT
+  },
+  tablet: {
+    width: 820,
+    height: 1180,
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: TABLET_USER_AGENT
+  },
+  desktop: {
+    width: 1920,
+    height: 1080,
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    userAgent: null
+  }
+};
+
+const DEFAULT_VIEWPORT = { name: 'desktop', ...VIEWPORT_PRESETS.desktop };
+
+// Every viewport is a separate page load, they all have to fit in one request timeout
+const MAX_VIEWPORTS = 3;
+
+/**
+ * Creates the error thrown for an invalid viewports parameter
+ * @param {string} message - What is wrong
+ * @returns {Error} Error with code INVALID_VIEWPORTS
+ */
+const createViewportError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_VIEWPORTS';
+  return error;
+};
+
+/**
+ * Parses a custom viewport such as 375x667, 390x844@3 or 390x844@3:mobile
+ * The mobile flag emulates a phone (mobile layout, touch and mobile user agent), touch only enables touch events.
+ * @param {string} entry - Viewport description
+ * @returns {Object} Viewport
+ */
+const parseCustomViewport = (entry) => {
+  const match = /^(\d{2,5})x(\d{2,5})(?:@(\d+(?:\.\d+)?))?((?::(?:mobile|touch))*)$/.exec(entry);
+  if (!match) {
+    throw createViewportError(`Unknown viewport "${entry}". Use ${Object.keys(VIEWPORT_PRESETS).join(', ')} or WIDTHxHEIGHT[@DPR][:mobile][:touch]`);
+  }
+
+  const width = parseInt(match[1]);
+  const height = parseInt(match[2]);
+  const deviceScaleFactor = match[3] ? parseFloat(match[3]) : 1;
+  const flags = match[4].split(':').filter(Boolean);
+  const isMobile = flags.includes('mobile');
+
+  if (width < 200 || width > 7680 || height < 200 || height > 4320) {
+    throw createViewportError(`Viewport "${entry}" must be between 200x200 and 7680x4320`);
+  }
+  if (deviceScaleFactor <= 0 || deviceScaleFactor > 4) {
+    throw createViewportError(`Device pixel ratio of "${entry}" must be greater than 0 and at most 4`);
+  }
+
+  return {
+    name: entry,
+    width,
+    height,
+    deviceScaleFactor,
+    isMobile,
+    hasTouch: isMobile || flags.includes('touch'),
+    userAgent: isMobile ? MOBILE_USER_AGENT : null
+  };
+};
+
+/**
+ * Resolves the viewports parameter
+ * @param {string|Array} value - Comma separated presets or custom sizes
+ * @returns {Array} Viewports with name, size and device emulation settings
+ */
+const resolveViewports = (value) => {
+  const entries = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(entry => String(entry).trim().toLowerCase())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    throw createViewportError('At least one viewport is required');
+  }
+  if (entries.length > MAX_VIEWPORTS) {
+    throw createViewportError(`At most ${MAX_VIEWPORTS} viewports can be analyzed at once`);
+  }
+
+  // Own properties only, names such as "constructor" aren't presets
+  const viewports = [...new Set(entries)].map(entry => (
+    Object.prototype.hasOwnProperty.call(VIEWPORT_PRESETS, entry)
+      ? { name: entry, ...VIEWPORT_PRESETS[entry] }
+      : parseCustomViewport(entry)
+  ));
+
+  // Narrowest first, so breakpoints read from small to large
+  return viewports.sort((a, b) => a.width - b.width);
+};
+
+module.exports = {
+  VIEWPORT_PRESETS,
+  DEFAULT_VIEWPORT,
+  resolveViewports
+};